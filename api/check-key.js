@@ -1,11 +1,12 @@
 /**
- * API endpoint to validate Gemini API key
+ * API endpoint to validate Gemini API key (or, in server key mode, an access token)
  * POST /api/check-key
  */
 
-import { serverLogger } from '../utils/logger.js';
+import { serverLogger, withRequestLogging } from '../utils/logger.js';
+import { isTokenMode, verifyAccessToken, getBearerToken } from '../utils/auth.js';
 
-export default async function handler(req, res) {
+async function handler(req, res) {
   serverLogger.info('Check key endpoint called', {
     method: req.method,
     headers: {
@@ -34,8 +35,30 @@ export default async function handler(req, res) {
     has_key: !!key
   });
 
-  // Validate input
-  if (!key || typeof key !== 'string') {
+  // In server key mode the browser sends an access token and Gemini is checked with the server key
+  let geminiKey = key;
+  let tokenRecord = null;
+  if (isTokenMode()) {
+    let verification;
+    try {
+      verification = verifyAccessToken(key || getBearerToken(req));
+    } catch (error) {
+      serverLogger.error('Failed to read the access token store', error);
+      return res.status(500).json({ error: 'The access token store could not be read', detail: error.message });
+    }
+    if (verification.failure) {
+      serverLogger.warn('Access token check failed', { status: verification.failure.status });
+      return res.status(verification.failure.status).json(verification.failure.body);
+    }
+    if (!process.env.GEMINI_API_KEY) {
+      serverLogger.error('Server key mode is enabled but GEMINI_API_KEY is not set');
+      return res.status(500).json({ error: 'Server key mode is enabled but GEMINI_API_KEY is not set on the server.' });
+    }
+    tokenRecord = verification.record;
+    geminiKey = process.env.GEMINI_API_KEY;
+    serverLogger.debug('Access token verified', { token_id: tokenRecord.id, token_name: tokenRecord.name });
+  } else if (!key || typeof key !== 'string') {
+    // Validate input
     serverLogger.warn('Key validation failed: missing or invalid key');
     return res.status(400).json({ error: 'API key is required' });
   }
@@ -50,7 +73,7 @@ export default async function handler(req, res) {
     const geminiResponse = await fetch('https://generativelanguage.googleapis.com/v1/models/gemini-2.5-flash-lite:generateContent', {
       method: 'POST',
       headers: {
-        'x-goog-api-key': key,
+        'x-goog-api-key': geminiKey,
         'Content-Type': 'application/json',
       },
       body: JSON.stringify({
@@ -74,6 +97,15 @@ export default async function handler(req, res) {
         response_time_ms: responseTime
       });
       
+      if (tokenRecord) {
+        return res.status(200).json({
+          message: 'Your access token is valid and the server key is working!',
+          valid: true,
+          auth_mode: 'token',
+          token_name: tokenRecord.name,
+          expires_at: tokenRecord.expiresAt || null
+        });
+      }
       return res.status(200).json({ 
         message: 'Your Gemini key is valid and working!',
         valid: true 
@@ -84,7 +116,9 @@ export default async function handler(req, res) {
     if (geminiResponse.status === 401) {
       serverLogger.warn('API key validation failed: invalid or expired key');
       return res.status(401).json({ 
-        error: 'Your API key is invalid or expired. Please check your key and try again.' 
+        error: tokenRecord
+          ? 'The server API key is invalid or expired. Please contact your admin.'
+          : 'Your API key is invalid or expired. Please check your key and try again.' 
       });
     }
 
@@ -127,3 +161,4 @@ export default async function handler(req, res) {
   }
 }
 
+export default withRequestLogging('check-key', handler);
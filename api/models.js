@@ -1,12 +1,14 @@
 /**
- * API endpoint to get available voice models and expressions
+ * API endpoint to get available voice models, TTS models and expressions
  * GET /api/models
  */
 
 import { CONFIG } from '../config.js';
-import { serverLogger } from '../utils/logger.js';
+import { serverLogger, withRequestLogging } from '../utils/logger.js';
+import { isTokenMode, verifyAccessToken, getBearerToken } from '../utils/auth.js';
+import { getTtsModelCatalogue } from '../utils/tts-models.js';
 
-export default function handler(req, res) {
+async function handler(req, res) {
   serverLogger.info('Models endpoint called', {
     method: req.method,
     headers: {
@@ -28,14 +30,25 @@ export default function handler(req, res) {
   }
 
   try {
+    // In server key mode the catalogue is only served to valid access tokens
+    if (isTokenMode()) {
+      const { failure } = verifyAccessToken(getBearerToken(req));
+      if (failure) {
+        serverLogger.warn('Models request not authorized', { status: failure.status });
+        return res.status(failure.status).json(failure.body);
+      }
+    }
+
     serverLogger.info('Loading models configuration');
     
     // Format voice models for response
     const voiceModelsList = CONFIG.voiceModels.map(v => v.name);
     const voiceModelsWithGender = CONFIG.voiceModels;
+    const ttsModels = await getTtsModelCatalogue();
 
     serverLogger.debug('Models data prepared', {
       total_voice_models: voiceModelsList.length,
+      tts_models: ttsModels.map(model => model.id),
       models_with_gender: voiceModelsWithGender.length,
       expressions_count: CONFIG.expressions.length,
       default_model: CONFIG.defaultModel,
@@ -44,13 +57,26 @@ export default function handler(req, res) {
     });
 
     const response = {
+      auth_mode: isTokenMode() ? 'token' : 'key',
       voice_models: voiceModelsList,
       voice_models_with_gender: voiceModelsWithGender,
+      tts_models: ttsModels,
+      default_tts_model: CONFIG.geminiTTSModel,
       expressions: CONFIG.expressions,
       expression_instructions: CONFIG.expressionInstructions,
+      custom_expression_rules: CONFIG.customExpressions,
+      lexicon_rules: CONFIG.lexicon,
+      template_rules: CONFIG.templates,
+      prosody_rules: CONFIG.prosody,
+      post_processing_rules: CONFIG.postProcessing,
+      music_bed_rules: CONFIG.musicBed,
+      mp3_bitrates: CONFIG.mp3Bitrates,
+      accents: CONFIG.accents,
+      default_accent: CONFIG.defaultAccent,
       default_model: CONFIG.defaultModel,
       default_expression: CONFIG.defaultExpression,
-      sample_texts: CONFIG.sampleTexts
+      sample_texts: CONFIG.sampleTexts,
+      dialogue_speakers: CONFIG.dialogue.defaultSpeakers
     };
 
     serverLogger.success('Models configuration loaded successfully', {
@@ -73,3 +99,4 @@ export default function handler(req, res) {
   }
 }
 
+export default withRequestLogging('models', handler);
@@ -5,65 +5,23 @@
 
 import { GoogleGenerativeAI } from '@google/generative-ai';
 import { CONFIG } from '../config.js';
-import { serverLogger } from '../utils/logger.js';
-
-/**
- * Convert PCM audio data to WAV format
- * @param {Buffer|Uint8Array} pcmData - Raw PCM audio bytes
- * @param {number} sampleRate - Sample rate in Hz
- * @param {number} channels - Number of audio channels
- * @param {number} sampleWidth - Sample width in bytes
- * @returns {Buffer} WAV formatted audio bytes
- */
-function pcmToWav(pcmData, sampleRate, channels, sampleWidth) {
-  // Validate parameters
-  if (!pcmData || (typeof pcmData !== 'string' && !Buffer.isBuffer(pcmData) && !(pcmData instanceof Uint8Array))) {
-    throw new Error('Invalid pcmData: must be Buffer, Uint8Array, or string');
-  }
-  
-  if (typeof sampleRate !== 'number' || sampleRate <= 0 || !Number.isInteger(sampleRate)) {
-    throw new Error(`Invalid sampleRate: must be a positive integer, got ${sampleRate}`);
-  }
-  
-  if (typeof channels !== 'number' || channels <= 0 || !Number.isInteger(channels)) {
-    throw new Error(`Invalid channels: must be a positive integer, got ${channels}`);
-  }
-  
-  if (typeof sampleWidth !== 'number' || sampleWidth <= 0 || !Number.isInteger(sampleWidth)) {
-    throw new Error(`Invalid sampleWidth: must be a positive integer, got ${sampleWidth}`);
-  }
-  
-  // Ensure pcmData is a Buffer
-  let pcmBuffer;
-  try {
-    pcmBuffer = Buffer.isBuffer(pcmData) ? pcmData : Buffer.from(pcmData);
-  } catch (error) {
-    throw new Error(`Failed to convert pcmData to Buffer: ${error.message}`);
-  }
-  
-  const dataLength = pcmBuffer.length;
-  const buffer = Buffer.alloc(44 + dataLength);
-  
-  // WAV header
-  buffer.write('RIFF', 0);
-  buffer.writeUInt32LE(36 + dataLength, 4);
-  buffer.write('WAVE', 8);
-  buffer.write('fmt ', 12);
-  buffer.writeUInt32LE(16, 16); // fmt chunk size
-  buffer.writeUInt16LE(1, 20); // audio format (PCM)
-  buffer.writeUInt16LE(channels, 22);
-  buffer.writeUInt32LE(sampleRate, 24);
-  buffer.writeUInt32LE(sampleRate * channels * sampleWidth, 28); // byte rate
-  buffer.writeUInt16LE(channels * sampleWidth, 32); // block align
-  buffer.writeUInt16LE(sampleWidth * 8, 34); // bits per sample
-  buffer.write('data', 36);
-  buffer.writeUInt32LE(dataLength, 40);
-  
-  // Copy PCM data
-  pcmBuffer.copy(buffer, 44);
-  
-  return buffer;
-}
+import { serverLogger, withRequestLogging, startSpan } from '../utils/logger.js';
+import { OUTPUT_FORMATS, OPUS_SAMPLE_RATES, encodeMp3, encodeOggOpus, encodeFlac } from '../utils/encoders.js';
+import { WAV_CODECS, convertPcm, createSilence, encodeSampleWidth, joinPcm, pcmToWav } from '../utils/audio.js';
+import { buildSpeechConfig, buildMultiSpeakerConfig, generateSpeechPcm, streamSpeechPcm, getTokenUsage } from '../utils/gemini.js';
+import { splitTextIntoChunks, parseDialogue, splitDialogueIntoChunks } from '../utils/text.js';
+import { parseMarkup, parseDialogueMarkup } from '../utils/markup.js';
+import { validateLexicon, applyLexicon } from '../utils/lexicon.js';
+import { validateTemplateValues, renderTemplate } from '../utils/template.js';
+import { startEventStream, sendEvent } from '../utils/sse.js';
+import { resolveApiKey } from '../utils/auth.js';
+import { getRateLimitIdentity, consumeRateLimit, getUsage } from '../utils/rate-limit.js';
+import { withRetry, throwIfCancelled, getErrorStatus, getSuggestedRetryDelay } from '../utils/retry.js';
+import { getCacheKey, readCache, writeCache } from '../utils/cache.js';
+import { validateProsody, isNeutralProsody, buildPacingInstruction, applyProsody } from '../utils/prosody.js';
+import { validatePostProcessing, trimPcm, normalizePcm } from '../utils/post-processing.js';
+import { validateMusicBed, mixMusicBed } from '../utils/mixer.js';
+import { buildCaptionTimings, adjustCaptionTimings, formatSrt, formatWebVtt } from '../utils/captions.js';
 
 /**
  * Get expression instruction text
@@ -91,7 +49,152 @@ function processTextWithModelName(text, modelName, placeholder) {
   return text.replace(placeholderRegex, modelName);
 }
 
-export default async function handler(req, res) {
+/**
+ * Build the structured prompt with clear separation between instructions and text to speak
+ * @param {string} accentInstructionText - Accent instruction (without trailing colon)
+ * @param {string} expressionInstruction - Expression style instruction
+ * @param {string} textToSpeak - Text Gemini should say
+ * @param {string[]} [speakerLabels] - Speaker labels when the text is a dialogue script
+ * @param {string[]} [markupDirectives] - Delivery notes from markup (emphasis, pronunciation)
+ * @param {string} [pacingInstruction] - Phrasing that suits the requested speaking rate
+ * @returns {string} Prompt text
+ */
+function buildPrompt(accentInstructionText, expressionInstruction, textToSpeak, speakerLabels, markupDirectives, pacingInstruction) {
+  const instructions = [
+    `Accent: ${accentInstructionText}`,
+    `Expression Style: ${expressionInstruction}`
+  ];
+  if (speakerLabels) {
+    instructions.push(`Speakers: This is a conversation between ${speakerLabels.join(' and ')}. Each line starts with the speaker's name; voice it as that speaker and do not read the names aloud.`);
+  }
+  if (pacingInstruction) {
+    instructions.push(`Pacing: ${pacingInstruction}`);
+  }
+  if (markupDirectives?.length > 0) {
+    instructions.push(`Delivery: ${markupDirectives.join(' ')}`);
+  }
+  return `INSTRUCTIONS FOR HOW TO SPEAK:
+${instructions.map((instruction, index) => `${index + 1}. ${instruction}`).join('\n')}
+
+TEXT TO SPEAK (say this exactly as written):
+${textToSpeak}`;
+}
+
+/**
+ * Map a synthesis failure to an HTTP status and JSON error body
+ * @param {Error} error - Error thrown while synthesizing
+ * @returns {{status: number, body: object}} Status code and response body
+ */
+function classifyError(error) {
+  const errorMessage = error.message || 'Voice synthesis failed';
+
+  if (error.errorType === 'no_audio_data') {
+    return { status: 500, body: { error: 'No audio data found in Gemini response' } };
+  }
+
+  if (error.errorType === 'audio_decode_failed') {
+    return { status: 500, body: { error: 'Failed to decode audio data', detail: errorMessage } };
+  }
+
+  if (error.errorType === 'time_budget_exceeded') {
+    return {
+      status: 504,
+      body: {
+        error: `The text is too long to synthesize in one request (stopped after ${error.completed} of ${error.total} chunks). Split it into shorter parts and try again.`,
+        errorType: 'time_budget_exceeded'
+      }
+    };
+  }
+
+  // Check for quota/rate limit errors
+  if (errorMessage.includes('429') || 
+      errorMessage.includes('quota') || 
+      errorMessage.includes('rate limit') ||
+      errorMessage.includes('Quota exceeded')) {
+    serverLogger.warn('Quota/rate limit exceeded', {
+      error_message: errorMessage.substring(0, 200) // Truncate for logging
+    });
+    
+    // Extract retry delay if available
+    const retryDelay = getSuggestedRetryDelay(error);
+    
+    return {
+      status: 429,
+      body: { 
+        error: 'API quota exceeded. You have reached your usage limit for this model. Please wait a moment and try again, or check your billing plan.',
+        errorType: 'quota_exceeded',
+        retryDelay: retryDelay,
+        detail: 'The free tier has limited requests. Consider upgrading your plan or waiting before retrying.'
+      }
+    };
+  }
+  
+  // Gemini overloaded or failing, still failing after the retries
+  if ([500, 502, 503, 504].includes(getErrorStatus(error))) {
+    serverLogger.warn('Gemini unavailable', {
+      status: getErrorStatus(error),
+      attempts: error.attempts,
+      error_message: errorMessage.substring(0, 200)
+    });
+
+    return {
+      status: 503,
+      body: {
+        error: `Gemini is temporarily unavailable${error.attempts > 1 ? ` (failed ${error.attempts} attempts)` : ''}. Please try again in a moment.`,
+        errorType: 'service_unavailable',
+        detail: errorMessage.substring(0, 500)
+      }
+    };
+  }
+
+  // Check for authentication errors
+  if (errorMessage.includes('401') || 
+      errorMessage.includes('403') ||
+      errorMessage.includes('API key') ||
+      errorMessage.includes('authentication') ||
+      errorMessage.includes('unauthorized')) {
+    serverLogger.warn('Authentication error', {
+      error_message: errorMessage.substring(0, 200)
+    });
+    
+    return {
+      status: 401,
+      body: { 
+        error: 'Invalid API key or authentication failed. Please check your API key in settings.',
+        errorType: 'authentication_error'
+      }
+    };
+  }
+  
+  // Check for model not found errors
+  if (errorMessage.includes('404') || 
+      errorMessage.includes('not found') ||
+      (errorMessage.includes('model') && errorMessage.includes('not available'))) {
+    serverLogger.warn('Model not found error', {
+      error_message: errorMessage.substring(0, 200)
+    });
+    
+    return {
+      status: 404,
+      body: { 
+        error: 'Model not found or unavailable. Please try a different model.',
+        errorType: 'model_not_found'
+      }
+    };
+  }
+  
+  // Generic error response
+  return {
+    status: 500,
+    body: { 
+      error: 'Voice synthesis failed', 
+      errorType: 'synthesis_error',
+      detail: errorMessage.substring(0, 500) // Limit detail length
+    }
+  };
+}
+
+async function handler(req, res) {
   serverLogger.info('Synthesize endpoint called', {
     method: req.method,
     headers: {
@@ -112,25 +215,54 @@ export default async function handler(req, res) {
     return res.status(405).json({ error: 'Method not allowed' });
   }
 
+  // Set once progress/audio events have started; errors must then be sent as events
+  let streaming = false;
+  const startedAt = Date.now();
+  // Aborted when the client goes away (Cancel button, closed tab) so no more Gemini calls are made
+  const cancellation = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) {
+      serverLogger.info('Client disconnected before the response finished, cancelling synthesis', {
+        elapsed_ms: Date.now() - startedAt
+      });
+      cancellation.abort();
+    }
+  });
+  const endValidationSpan = startSpan('validation');
+
   try {
-    const { text, model_name, expression, settings, apiKey, modelId } = req.body;
+    const { text, model_name, expression, accent, accent_instruction, settings, apiKey, modelId, long_form, stream, events, dialogue, markup, variables, cache, prosody, music_bed, captions } = req.body;
     
     serverLogger.info('Processing synthesis request', {
       model_name,
       expression,
       text_length: text?.length || 0,
+      long_form: !!long_form,
+      stream: !!stream,
+      dialogue: !!dialogue,
+      markup: !!markup,
+      variable_count: variables && typeof variables === 'object' ? Object.keys(variables).length : 0,
+      cache_bypass: cache === false,
+      has_prosody: !!prosody,
+      has_music_bed: !!music_bed,
+      captions: !!captions,
+      accent,
+      has_accent_override: !!accent_instruction,
       has_settings: !!settings,
       has_api_key: !!apiKey,
       model_id: modelId
     });
     
-    // Get API key from request (required from UI)
-    if (!apiKey) {
-      serverLogger.warn('Synthesis request missing API key');
-      return res.status(400).json({ error: 'API key is required. Please configure it in the setup.' });
+    // Get the API key: sent by the UI, or held by the server when access tokens are in use
+    const auth = resolveApiKey(req, apiKey);
+    if (auth.failure) {
+      serverLogger.warn('Synthesis request not authorized', { status: auth.failure.status, error_message: auth.failure.body.error });
+      return res.status(auth.failure.status).json(auth.failure.body);
     }
-    const geminiApiKey = apiKey;
-    serverLogger.debug('API key validated', { key_length: apiKey.length });
+    const geminiApiKey = auth.apiKey;
+    serverLogger.debug('API key resolved', auth.tokenRecord
+      ? { token_id: auth.tokenRecord.id, token_name: auth.tokenRecord.name }
+      : { key_length: apiKey.length });
     
     // Get model ID from request (required from UI)
     if (!modelId) {
@@ -142,26 +274,53 @@ export default async function handler(req, res) {
     
     // Use custom settings if provided, otherwise use default CONFIG
     const audioSettings = settings?.audio || CONFIG.audio;
-    const accentInstruction = settings?.accentInstruction || CONFIG.accentInstruction;
     const modelNamePlaceholder = settings?.modelNamePlaceholder || CONFIG.modelNamePlaceholder;
-    const expressionInstructions = settings?.expressionInstructions || CONFIG.expressionInstructions;
+    // Request-defined expressions add to (or override) the built-in ones
+    const expressionInstructions = { ...CONFIG.expressionInstructions, ...settings?.expressionInstructions };
     
     // Validate audio settings
     if (!audioSettings || typeof audioSettings !== 'object') {
       return res.status(400).json({ error: 'Invalid audio settings' });
     }
-    if (typeof audioSettings.sampleRate !== 'number' || audioSettings.sampleRate <= 0) {
-      return res.status(400).json({ error: 'Invalid sampleRate: must be a positive number' });
+    if (!CONFIG.sampleRates.includes(audioSettings.sampleRate)) {
+      return res.status(400).json({ error: `Invalid sampleRate. Must be one of: ${CONFIG.sampleRates.join(', ')}` });
     }
-    if (typeof audioSettings.channels !== 'number' || audioSettings.channels <= 0) {
-      return res.status(400).json({ error: 'Invalid channels: must be a positive number' });
+    if (audioSettings.channels !== 1 && audioSettings.channels !== 2) {
+      return res.status(400).json({ error: 'Invalid channels: must be 1 or 2' });
     }
-    if (typeof audioSettings.sampleWidth !== 'number' || audioSettings.sampleWidth <= 0) {
-      return res.status(400).json({ error: 'Invalid sampleWidth: must be a positive number' });
+    if (!CONFIG.sampleWidths.includes(audioSettings.sampleWidth)) {
+      return res.status(400).json({ error: `Invalid sampleWidth. Must be one of: ${CONFIG.sampleWidths.join(', ')}` });
     }
     if (!audioSettings.format || typeof audioSettings.format !== 'string') {
       return res.status(400).json({ error: 'Invalid format: must be a string' });
     }
+    const outputFormat = OUTPUT_FORMATS[audioSettings.format];
+    if (!outputFormat) {
+      return res.status(400).json({ error: `Invalid format. Must be one of: ${Object.keys(OUTPUT_FORMATS).join(', ')}` });
+    }
+    const bitrate = audioSettings.bitrate ?? CONFIG.audio.bitrate;
+    const codec = audioSettings.codec || 'pcm';
+    if (!WAV_CODECS.includes(codec)) {
+      return res.status(400).json({ error: `Invalid codec. Must be one of: ${WAV_CODECS.join(', ')}` });
+    }
+    if (codec !== 'pcm' && audioSettings.format !== 'wav') {
+      return res.status(400).json({ error: `The ${codec} codec is only available for WAV output` });
+    }
+    const isBitrateFormat = audioSettings.format === 'mp3' || audioSettings.format === 'ogg';
+    if (isBitrateFormat && !CONFIG.compressedBitrates.includes(bitrate)) {
+      return res.status(400).json({ error: `Invalid bitrate. Must be one of: ${CONFIG.compressedBitrates.join(', ')} kbps` });
+    }
+    if (audioSettings.format === 'mp3' && !CONFIG.mp3Bitrates[audioSettings.sampleRate].includes(bitrate)) {
+      return res.status(400).json({
+        error: `MP3 at ${audioSettings.sampleRate} Hz supports ${CONFIG.mp3Bitrates[audioSettings.sampleRate].join(', ')} kbps, got ${bitrate}`
+      });
+    }
+    let postProcessing;
+    try {
+      postProcessing = validatePostProcessing(audioSettings);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
 
     // Validate input
     if (!text || typeof text !== 'string') {
@@ -172,34 +331,221 @@ export default async function handler(req, res) {
 
     // Get list of valid model names
     const validModelNames = CONFIG.voiceModels.map(v => v.name);
-    if (!model_name || !validModelNames.includes(model_name)) {
-      serverLogger.warn('Invalid model name in request', { 
-        provided: model_name, 
-        valid_models: validModelNames 
+    let speakers = null;
+    let dialogueTurns = null;
+    if (dialogue) {
+      // Dialogue mode: each speaker label gets its own voice instead of model_name
+      const speakerCount = CONFIG.dialogue.speakerCount;
+      if (!Array.isArray(dialogue.speakers) || dialogue.speakers.length !== speakerCount) {
+        return res.status(400).json({ error: `Dialogue mode needs exactly ${speakerCount} speakers` });
+      }
+      for (const entry of dialogue.speakers) {
+        if (!entry || typeof entry.speaker !== 'string' || !entry.speaker.trim()) {
+          return res.status(400).json({ error: 'Each dialogue speaker needs a label' });
+        }
+        if (!validModelNames.includes(entry.voice)) {
+          return res.status(400).json({ error: `Invalid voice for speaker "${entry.speaker}". Must be one of: ${validModelNames.join(', ')}` });
+        }
+      }
+      speakers = dialogue.speakers.map(({ speaker, voice }) => ({ speaker: speaker.trim(), voice }));
+      const labels = speakers.map(s => s.speaker);
+      if (new Set(labels).size !== labels.length) {
+        return res.status(400).json({ error: 'Dialogue speaker labels must be unique' });
+      }
+
+      try {
+        dialogueTurns = parseDialogue(text, labels);
+      } catch (error) {
+        return res.status(400).json({ error: error.message });
+      }
+      if (dialogueTurns.length === 0) {
+        return res.status(400).json({ error: 'Dialogue script has no lines to speak' });
+      }
+      serverLogger.debug('Dialogue validated', { speakers, turn_count: dialogueTurns.length });
+    } else {
+      if (!model_name || !validModelNames.includes(model_name)) {
+        serverLogger.warn('Invalid model name in request', { 
+          provided: model_name, 
+          valid_models: validModelNames 
+        });
+        return res.status(400).json({ error: `Invalid model_name. Must be one of: ${validModelNames.join(', ')}` });
+      }
+      serverLogger.debug('Model name validated', { model_name });
+    }
+    const voicesUsed = speakers ? speakers.map(s => s.voice).join('-') : model_name;
+
+    // Validate request-defined expressions before choosing one
+    if (settings?.expressionInstructions !== undefined) {
+      const custom = settings.expressionInstructions;
+      if (!custom || typeof custom !== 'object' || Array.isArray(custom)) {
+        return res.status(400).json({ error: 'Invalid expressionInstructions: must be an object of name to instruction text' });
+      }
+      const { keyPattern, maxKeyLength, maxInstructionLength } = CONFIG.customExpressions;
+      const keyRegex = new RegExp(keyPattern);
+      for (const [key, instruction] of Object.entries(custom)) {
+        if (key.length > maxKeyLength || !keyRegex.test(key)) {
+          return res.status(400).json({ error: `Invalid expression name "${key}": use lowercase letters, digits and underscores (max ${maxKeyLength} characters)` });
+        }
+        if (typeof instruction !== 'string' || !instruction.trim()) {
+          return res.status(400).json({ error: `Expression "${key}" needs instruction text` });
+        }
+        if (instruction.length > maxInstructionLength) {
+          return res.status(400).json({ error: `Expression "${key}" instruction is too long (max ${maxInstructionLength} characters)` });
+        }
+      }
+    }
+
+    // Validate the pronunciation lexicon
+    let lexicon = [];
+    if (settings?.lexicon !== undefined) {
+      try {
+        lexicon = validateLexicon(settings.lexicon);
+      } catch (error) {
+        serverLogger.warn('Invalid lexicon in synthesis request', { error_message: error.message });
+        return res.status(400).json({ error: error.message });
+      }
+      serverLogger.debug('Lexicon validated', { entry_count: lexicon.length });
+    }
+
+    // Validate {{variable}} values
+    let templateValues = {};
+    if (variables !== undefined && variables !== null) {
+      try {
+        templateValues = validateTemplateValues(variables);
+      } catch (error) {
+        serverLogger.warn('Invalid template variables in synthesis request', { error_message: error.message });
+        return res.status(400).json({ error: error.message });
+      }
+      serverLogger.debug('Template variables validated', { variable_names: Object.keys(templateValues) });
+    }
+
+    // Validate speaking rate, pitch and volume (null when they leave the audio unchanged)
+    let prosodySettings = null;
+    if (prosody !== undefined && prosody !== null) {
+      try {
+        prosodySettings = validateProsody(prosody);
+      } catch (error) {
+        serverLogger.warn('Invalid prosody in synthesis request', { error_message: error.message });
+        return res.status(400).json({ error: error.message });
+      }
+      if (isNeutralProsody(prosodySettings)) {
+        prosodySettings = null;
+      }
+      serverLogger.debug('Prosody validated', { prosody: prosodySettings });
+    }
+
+    // Validate and decode the background music track
+    let musicBed = null;
+    if (music_bed !== undefined && music_bed !== null) {
+      try {
+        musicBed = validateMusicBed(music_bed);
+      } catch (error) {
+        serverLogger.warn('Invalid music bed in synthesis request', { error_message: error.message });
+        return res.status(400).json({ error: error.message });
+      }
+      const { track, ...options } = musicBed;
+      serverLogger.debug('Music bed validated', {
+        ...options,
+        sample_rate: track.sampleRate,
+        channels: track.channels
       });
-      return res.status(400).json({ error: `Invalid model_name. Must be one of: ${validModelNames.join(', ')}` });
     }
-    serverLogger.debug('Model name validated', { model_name });
 
-    if (!expression || !CONFIG.expressions.includes(expression)) {
+    if (captions !== undefined && captions !== null && typeof captions !== 'boolean') {
+      return res.status(400).json({ error: 'Invalid captions: must be true or false' });
+    }
+
+    const availableExpressions = Object.keys(expressionInstructions);
+    if (!expression || !availableExpressions.includes(expression)) {
       serverLogger.warn('Invalid expression in request', { 
         provided: expression, 
-        valid_expressions: CONFIG.expressions 
+        valid_expressions: availableExpressions 
       });
-      return res.status(400).json({ error: `Invalid expression. Must be one of: ${CONFIG.expressions.join(', ')}` });
+      return res.status(400).json({ error: `Invalid expression. Must be one of: ${availableExpressions.join(', ')}` });
     }
     serverLogger.debug('Expression validated', { expression });
 
+    // Resolve the accent: custom override text, then the catalogue entry, then the settings/default text
+    let accentInstruction;
+    let accentUsed;
+    if (accent_instruction !== undefined && accent_instruction !== null && accent_instruction !== '') {
+      if (typeof accent_instruction !== 'string' || !accent_instruction.trim()) {
+        return res.status(400).json({ error: 'Invalid accent_instruction: must be non-empty text' });
+      }
+      if (accent_instruction.length > CONFIG.maxAccentInstructionLength) {
+        return res.status(400).json({ error: `accent_instruction is too long (max ${CONFIG.maxAccentInstructionLength} characters)` });
+      }
+      accentInstruction = accent_instruction;
+      accentUsed = 'custom';
+    } else if (accent !== undefined && accent !== null && accent !== '') {
+      const accentEntry = CONFIG.accents.find(entry => entry.id === accent);
+      if (!accentEntry) {
+        serverLogger.warn('Invalid accent in request', { provided: accent });
+        return res.status(400).json({ error: `Invalid accent. Must be one of: ${CONFIG.accents.map(entry => entry.id).join(', ')}` });
+      }
+      accentInstruction = accentEntry.instruction;
+      accentUsed = accentEntry.id;
+    } else {
+      accentInstruction = settings?.accentInstruction || CONFIG.accentInstruction;
+      accentUsed = settings?.accentInstruction ? 'custom' : CONFIG.defaultAccent;
+    }
+    serverLogger.debug('Accent resolved', { accent_used: accentUsed });
+
+    // Validate long-form options (chunked synthesis of scripts past the single-request limit)
+    let longForm = null;
+    if (long_form) {
+      longForm = { ...CONFIG.longForm, ...(typeof long_form === 'object' ? long_form : {}) };
+      if (text.length > CONFIG.longForm.maxTextLength) {
+        return res.status(400).json({ error: `Text is too long. Long-form mode supports up to ${CONFIG.longForm.maxTextLength} characters.` });
+      }
+      if (typeof longForm.silenceMs !== 'number' || longForm.silenceMs < 0 || longForm.silenceMs > CONFIG.longForm.maxSilenceMs) {
+        return res.status(400).json({ error: `Invalid silenceMs: must be between 0 and ${CONFIG.longForm.maxSilenceMs}` });
+      }
+      if (typeof longForm.chunkChars !== 'number' ||
+          longForm.chunkChars < CONFIG.longForm.minChunkChars ||
+          longForm.chunkChars > CONFIG.longForm.maxChunkChars) {
+        return res.status(400).json({ error: `Invalid chunkChars: must be between ${CONFIG.longForm.minChunkChars} and ${CONFIG.longForm.maxChunkChars}` });
+      }
+      serverLogger.debug('Long-form options validated', {
+        silence_ms: longForm.silenceMs,
+        chunk_chars: longForm.chunkChars
+      });
+    }
+
     // Initialize Gemini client
     serverLogger.info('Initializing Gemini client', { model_id: ttsModelId });
     const genAI = new GoogleGenerativeAI(geminiApiKey);
     const modelName = ttsModelId;
 
-    // Process text
-    const processedText = processTextWithModelName(text, model_name, modelNamePlaceholder);
+    // Fill {{variables}}, then the model name placeholder; {{voice}} and the placeholder become
+    // the voice saying the text (in dialogue scripts, the voice of the speaker on that line)
+    const missingVariables = new Set();
+    const invalidVariables = new Set();
+    const processWithVoice = (value, voice) => {
+      const result = renderTemplate(value, { ...templateValues, voice }, { markup: !!markup });
+      result.missing.forEach(name => missingVariables.add(name));
+      result.invalid.forEach(placeholder => invalidVariables.add(placeholder));
+      return processTextWithModelName(result.text, voice, modelNamePlaceholder);
+    };
+    const processedText = speakers ? null : processWithVoice(text, model_name);
+    const processedTurns = speakers && dialogueTurns.map(turn => ({
+      speaker: turn.speaker,
+      text: processWithVoice(turn.text, speakers.find(s => s.speaker === turn.speaker).voice)
+    }));
+    if (invalidVariables.size > 0) {
+      serverLogger.warn('Invalid template placeholders in text', { placeholders: [...invalidVariables] });
+      return res.status(400).json({ error: `Invalid template variable(s): ${[...invalidVariables].join(', ')}. Names use letters, digits and underscores; write \\{{ for literal braces.` });
+    }
+    if (missingVariables.size > 0) {
+      serverLogger.warn('Missing template variable values', { missing_variables: [...missingVariables] });
+      return res.status(400).json({
+        error: `Missing value for template variable(s): ${[...missingVariables].join(', ')}`,
+        missing_variables: [...missingVariables]
+      });
+    }
     serverLogger.debug('Text processed with model name placeholder', { 
       original_length: text.length,
-      processed_length: processedText.length 
+      processed_length: speakers ? processedTurns.reduce((n, turn) => n + turn.text.length, 0) : processedText.length
     });
     
     // Get expression instruction
@@ -215,162 +561,526 @@ export default async function handler(req, res) {
         accentInstructionText = accentInstructionText.slice(0, -1).trim();
     }
     
-    // Create structured prompt with clear separation between instructions and text to speak
-    const prompt = `INSTRUCTIONS FOR HOW TO SPEAK:
-1. Accent: ${accentInstructionText}
-2. Expression Style: ${expressionInstruction}
+    // Markup: <break> pauses split the script into groups generated separately with real silence
+    // between them; the other tags become text substitutions and prompt directives
+    // writtenGroups keeps the script as the reader sees it for captions: no emphasis markers,
+    // <sub> and <say-as> text rather than what is spoken, and no lexicon respellings
+    let groups = [speakers ? processedTurns : processedText];
+    let writtenGroups = groups;
+    let groupPauses = [0, 0];
+    let markupDirectives = [];
+    if (markup) {
+      try {
+        if (speakers) {
+          ({ groups, written: writtenGroups, pauses: groupPauses, directives: markupDirectives } = parseDialogueMarkup(processedTurns));
+        } else {
+          ({ segments: groups, written: writtenGroups, pauses: groupPauses, directives: markupDirectives } = parseMarkup(processedText));
+        }
+      } catch (error) {
+        serverLogger.warn('Invalid markup in synthesis request', { error_message: error.message });
+        return res.status(400).json({ error: error.message });
+      }
+      serverLogger.debug('Markup parsed', {
+        segment_count: groups.length,
+        pauses_ms: groupPauses,
+        directive_count: markupDirectives.length
+      });
+    }
 
-TEXT TO SPEAK (say this exactly as written):
-${processedText}`;
-    
-    serverLogger.debug('Prompt constructed', { 
-      prompt_length: prompt.length,
-      has_accent_instruction: !!accentInstructionText,
-      has_expression_instruction: !!expressionInstruction
+    // Swap lexicon terms for their spoken forms (after markup, so tags and attributes are left alone)
+    let lexiconReplacements = 0;
+    if (lexicon.length > 0) {
+      const applyTo = (value) => {
+        const result = applyLexicon(value, lexicon);
+        lexiconReplacements += result.replacements;
+        return result.text;
+      };
+      groups = groups.map(group => (speakers
+        ? group.map(turn => ({ ...turn, text: applyTo(turn.text) }))
+        : applyTo(group)));
+      serverLogger.debug('Lexicon applied', { entry_count: lexicon.length, replacements: lexiconReplacements });
+    }
+
+    // Split long-form scripts so every chunk is voiced with the same voice and expression.
+    // chunkPauses[i] is the silence before chunk i; the last entry is the silence after the script.
+    const chunks = [];
+    const chunkPauses = [];
+    const chunkGroups = []; // Group each chunk came from, for the caption text
+    groups.forEach((group, groupIndex) => {
+      let groupChunks;
+      if (speakers) {
+        groupChunks = longForm
+          ? splitDialogueIntoChunks(group, longForm.chunkChars)
+          : [group.map(turn => `${turn.speaker}: ${turn.text}`).join('\n')];
+      } else {
+        groupChunks = longForm ? splitTextIntoChunks(group, longForm.chunkChars) : [group];
+      }
+      groupChunks.forEach((chunk, index) => {
+        chunks.push(chunk);
+        chunkGroups.push(groupIndex);
+        chunkPauses.push(index === 0 ? groupPauses[groupIndex] : longForm.silenceMs);
+      });
     });
-    
-    // Log the full prompt for debugging
-    serverLogger.info('Full prompt to be sent to Gemini', {
-      prompt: prompt,
-      accent_instruction: accentInstructionText,
-      expression_instruction: expressionInstruction,
-      text_to_speak: processedText
+    chunkPauses.push(groupPauses[groups.length]);
+    if (longForm) {
+      serverLogger.info('Long-form text split into chunks', {
+        chunk_count: chunks.length,
+        chunk_lengths: chunks.map(chunk => chunk.length)
+      });
+    }
+
+    const speechConfig = speakers ? buildMultiSpeakerConfig(speakers) : buildSpeechConfig(model_name);
+    const pacingInstruction = prosodySettings && buildPacingInstruction(prosodySettings);
+    const prompts = chunks.map(chunk => {
+      // Only send the directives whose marked-up words appear in this chunk
+      const chunkDirectives = markupDirectives
+        .filter(directive => chunk.includes(directive.term))
+        .map(directive => directive.instruction);
+      return buildPrompt(accentInstructionText, expressionInstruction, chunk, speakers?.map(s => s.speaker), chunkDirectives, pacingInstruction);
     });
 
-    // Generate speech using Gemini
-    serverLogger.info('Calling Gemini API for speech generation', {
+    // Fields that describe this request rather than the audio, so cache hits report them too
+    const requestSummary = {
+      message: speakers
+        ? `Dialogue synthesis completed successfully using ${speakers.map(s => `${s.speaker} (${s.voice})`).join(' and ')}`
+        : `Voice synthesis completed successfully using ${model_name} model`,
+      model_used: voicesUsed,
+      model_id: modelName,
+      ...(speakers && { speakers }),
+      expression_used: expression,
+      accent_used: accentUsed,
+      text_length: text.length,
+      ...(lexicon.length > 0 && { lexicon_replacements: lexiconReplacements }),
+      ...(prosodySettings && { prosody: prosodySettings })
+    };
+
+    // The same prompts, voices, model, pauses and output settings always give the same file.
+    // Whitespace runs are collapsed so re-wrapped text still hits the cache.
+    const normalizeText = (value) => value.replace(/[ \t]+/g, ' ').replace(/ *\n */g, '\n').trim();
+    const normalizeWritten = (written) => written.map(group => (speakers
+      ? group.map(turn => `${turn.speaker}: ${normalizeText(turn.text)}`)
+      : normalizeText(group)));
+    const cacheKey = getCacheKey({
       model: modelName,
-      voice_name: model_name,
-      prompt_length: prompt.length
+      speechConfig,
+      prompts: prompts.map(normalizeText),
+      pauses: chunkPauses,
+      ...(prosodySettings && { prosody: prosodySettings }),
+      // The track is keyed by its digest; undefined drops it from the JSON
+      ...(musicBed && { musicBed: { ...musicBed, track: undefined } }),
+      // Captions show the written text, which markup and the lexicon can change without changing the prompts
+      ...(captions && { captions: normalizeWritten(writtenGroups) }),
+      output: {
+        format: audioSettings.format,
+        sampleRate: audioSettings.sampleRate,
+        channels: audioSettings.channels,
+        ...(audioSettings.format === 'wav' && { sampleWidth: audioSettings.sampleWidth, codec }),
+        ...(isBitrateFormat && { bitrate }),
+        ...(postProcessing.normalize !== 'off' && { normalize: postProcessing.normalize, normalizeTarget: postProcessing.normalizeTarget }),
+        ...(postProcessing.trimSilence && { trimThresholdDb: postProcessing.trimThresholdDb, trimPaddingMs: postProcessing.trimPaddingMs })
+      }
     });
-    const model = genAI.getGenerativeModel({ model: modelName });
-    
-    // Use generateContent with audio modality
-    const result = await model.generateContent({
-      contents: [{ role: 'user', parts: [{ text: prompt }] }],
-      generationConfig: {
-        responseModalities: ['AUDIO'],
-        speechConfig: {
-          voiceConfig: {
-            prebuiltVoiceConfig: {
-              voiceName: model_name
-            }
-          }
-        }
+    endValidationSpan();
+    const rateLimitIdentity = getRateLimitIdentity(auth);
+    if (CONFIG.cache.enabled && cache !== false) {
+      const endCacheSpan = startSpan('cache');
+      const cached = await readCache(cacheKey);
+      endCacheSpan();
+      if (cached) {
+        // Nothing is sent to Gemini, so the hit doesn't count against the rate limits
+        const { token_usage: cachedTokens, ...cachedData } = cached;
+        serverLogger.success('Audio served from cache', {
+          cache_key: cacheKey,
+          file_type: cachedData.file_type,
+          duration_seconds: cachedData.audio_info?.duration_seconds
+        });
+        return res.status(200).json({
+          ...cachedData,
+          ...requestSummary,
+          cached: true,
+          usage: await getUsage(rateLimitIdentity)
+        });
       }
+      serverLogger.debug('Audio cache miss', { cache_key: cacheKey });
+    }
+
+    // Count the request against the per-key limits before calling Gemini (one call per chunk)
+    const rateLimit = await consumeRateLimit(rateLimitIdentity, {
+      requests: chunks.length,
+      characters: chunks.reduce((total, chunk) => total + chunk.length, 0)
     });
+    if (!rateLimit.allowed) {
+      serverLogger.warn('Rate limit reached before calling Gemini', {
+        limit: rateLimit.limit,
+        retry_delay_seconds: rateLimit.retryDelay,
+        usage: rateLimit.usage
+      });
+      return res.status(429).json({
+        error: rateLimit.error,
+        errorType: 'rate_limited',
+        limit: rateLimit.limit,
+        retryDelay: rateLimit.retryDelay,
+        // Waiting for the daily window isn't worth an automatic retry
+        retryable: rateLimit.limit !== 'characters_per_day',
+        usage: rateLimit.usage
+      });
+    }
 
-    // Extract audio from response
-    serverLogger.info('Processing Gemini API response');
-    const response = result.response;
-    let audioData = null;
+    const model = genAI.getGenerativeModel({ model: modelName });
 
-    serverLogger.debug('Analyzing response structure', {
-      has_candidates: !!response.candidates,
-      candidates_count: response.candidates?.length || 0
-    });
+    // Long-form, streaming and events requests answer with Server-Sent Events:
+    // progress per text chunk, raw source PCM as Gemini produces it, and retry notices.
+    // Rate and pitch changes and the music bed need the whole clip, so those requests don't stream audio.
+    const streamAudio = !!stream && !prosodySettings && !musicBed;
+    if (stream && !streamAudio) {
+      serverLogger.debug('Audio streaming skipped: prosody or a music bed is applied to the finished clip');
+    }
+    if (longForm || stream || events) {
+      startEventStream(res);
+      streaming = true;
+    }
+    if (streamAudio) {
+      sendEvent(res, 'start', {
+        sample_rate: CONFIG.sourceAudio.sampleRate,
+        channels: CONFIG.sourceAudio.channels,
+        bits_per_sample: CONFIG.sourceAudio.sampleWidth * 8
+      });
+    }
+    if (longForm) {
+      sendEvent(res, 'progress', { completed: 0, total: chunks.length });
+    }
+
+    const pcmSegments = new Array(chunks.length);
+    let retryCount = 0;
+    // Summed over chunks from each response's usageMetadata, so the browser can price the request
+    let tokenUsage = null;
+
+    // Long-form chunks are voiced CONFIG.longForm.concurrency at a time so long scripts fit the
+    // time budget. Streamed audio still plays in order: a chunk that finishes ahead of the one
+    // playing is held back until its turn. A failed chunk stops the others.
+    const chunkAbort = new AbortController();
+    cancellation.signal.addEventListener('abort', () => chunkAbort.abort());
+    const concurrency = longForm ? CONFIG.longForm.concurrency : 1;
+    let nextChunk = 0;
+    let completedChunks = 0;
+    let chunkTimeMs = 0;
+    let playing = 0; // First chunk whose audio hasn't all been sent
+    const heldAudio = chunks.map(() => []);
+    const audioSent = chunks.map(() => false);
+    const finished = chunks.map(() => false);
+    const sendAudio = (i, piece) => {
+      if (i === playing) {
+        audioSent[i] = true;
+        sendEvent(res, 'audio', { data: piece.toString('base64') });
+      } else {
+        heldAudio[i].push(piece);
+      }
+    };
+    // Play the pauses between chunks too, so playback matches the final file
+    const startPlaying = (i) => {
+      if (chunkPauses[i] > 0) {
+        sendEvent(res, 'audio', { data: createSilence(chunkPauses[i], CONFIG.sourceAudio).toString('base64') });
+      }
+      heldAudio[i].forEach(piece => sendAudio(i, piece));
+      heldAudio[i] = [];
+    };
 
-    if (response.candidates && response.candidates.length > 0) {
-      const candidate = response.candidates[0];
-      serverLogger.debug('Processing candidate', {
-        has_content: !!candidate.content,
-        has_parts: !!candidate.content?.parts,
-        parts_count: candidate.content?.parts?.length || 0
+    const synthesizeChunk = async (i) => {
+      const prompt = prompts[i];
+      const chunkStartedAt = Date.now();
+
+      serverLogger.debug('Prompt constructed', { 
+        chunk: i + 1,
+        prompt_length: prompt.length,
+        has_accent_instruction: !!accentInstructionText,
+        has_expression_instruction: !!expressionInstruction
+      });
+      
+      // Log the full prompt for debugging (redacted unless LOG_REDACT=off)
+      serverLogger.debug('Full prompt to be sent to Gemini', {
+        prompt: prompt,
+        accent_instruction: accentInstructionText,
+        expression_instruction: expressionInstruction,
+        text_to_speak: chunks[i]
+      });
+
+      // Generate speech using Gemini
+      serverLogger.info('Calling Gemini API for speech generation', {
+        model: modelName,
+        voice_name: voicesUsed,
+        prompt_length: prompt.length,
+        chunk: i + 1,
+        total_chunks: chunks.length
       });
+      const onRetry = ({ attempt, maxAttempts, delayMs, error }) => {
+        retryCount++;
+        serverLogger.warn('Retrying Gemini call after transient error', {
+          chunk: i + 1,
+          attempt,
+          max_attempts: maxAttempts,
+          delay_ms: delayMs,
+          status: getErrorStatus(error),
+          error_message: error.message?.substring(0, 200)
+        });
+        if (streaming) {
+          sendEvent(res, 'retry', {
+            attempt,
+            max_attempts: maxAttempts,
+            delay_seconds: Math.ceil(delayMs / 1000),
+            chunk: i + 1,
+            total_chunks: chunks.length
+          });
+        }
+      };
+      let pcm;
+      let response;
+      if (streamAudio) {
+        ({ pcm, response } = await withRetry(() => {
+          // Audio held back from a failed attempt is replaced by the retry's
+          heldAudio[i] = [];
+          return streamSpeechPcm(model, prompt, speechConfig, (piece) => sendAudio(i, piece), chunkAbort.signal);
+        }, {
+          // Audio that has already been played can't be taken back, so only retry before it starts
+          canRetry: () => !audioSent[i],
+          onRetry,
+          signal: chunkAbort.signal
+        }));
+      } else {
+        ({ pcm, response } = await withRetry(() => generateSpeechPcm(model, prompt, speechConfig, chunkAbort.signal), {
+          onRetry,
+          signal: chunkAbort.signal
+        }));
+      }
+      pcmSegments[i] = pcm;
+
+      const chunkTokens = getTokenUsage(response);
+      if (chunkTokens) {
+        tokenUsage = tokenUsage || { prompt_tokens: 0, output_tokens: 0, total_tokens: 0 };
+        Object.keys(tokenUsage).forEach(key => {
+          tokenUsage[key] += chunkTokens[key];
+        });
+      }
 
-      if (candidate.content && candidate.content.parts) {
-        for (const part of candidate.content.parts) {
-          // Check for inlineData (base64) or data property
-          if (part.inlineData && part.inlineData.data) {
-            audioData = part.inlineData.data;
-            serverLogger.debug('Audio data found in inlineData', {
-              data_type: typeof audioData,
-              data_length: typeof audioData === 'string' ? audioData.length : 'buffer'
-            });
-            break;
-          } else if (part.data) {
-            audioData = part.data;
-            serverLogger.debug('Audio data found in data property', {
-              data_type: typeof audioData,
-              data_length: typeof audioData === 'string' ? audioData.length : 'buffer'
-            });
-            break;
+      completedChunks++;
+      chunkTimeMs += Date.now() - chunkStartedAt;
+      finished[i] = true;
+      if (streamAudio) {
+        while (playing < chunks.length && finished[playing]) {
+          playing++;
+          if (playing < chunks.length) {
+            startPlaying(playing);
           }
         }
       }
-    }
+      if (longForm) {
+        sendEvent(res, 'progress', { completed: completedChunks, total: chunks.length });
+      }
+    };
 
-    if (!audioData) {
-      serverLogger.error('No audio data found in Gemini response', null, {
-        response_structure: {
-          has_candidates: !!response.candidates,
-          candidates_count: response.candidates?.length || 0
+    const runChunks = async () => {
+      while (nextChunk < chunks.length) {
+        throwIfCancelled(chunkAbort.signal);
+
+        // Stop while there is still time to send an error, rather than being cut off mid-call
+        const elapsedMs = Date.now() - startedAt;
+        const chunkEstimateMs = completedChunks > 0 ? chunkTimeMs / completedChunks : 0;
+        if (elapsedMs + chunkEstimateMs > CONFIG.longForm.timeBudgetMs) {
+          serverLogger.warn('Time budget reached before the last chunk', {
+            completed_chunks: completedChunks,
+            total_chunks: chunks.length,
+            elapsed_ms: elapsedMs,
+            time_budget_ms: CONFIG.longForm.timeBudgetMs
+          });
+          const error = new Error('Time budget exceeded');
+          error.errorType = 'time_budget_exceeded';
+          error.completed = completedChunks;
+          error.total = chunks.length;
+          throw error;
         }
-      });
-      return res.status(500).json({ error: 'No audio data found in Gemini response' });
-    }
-    
-    serverLogger.success('Audio data extracted successfully', {
-      data_type: typeof audioData,
-      is_string: typeof audioData === 'string',
-      is_buffer: Buffer.isBuffer(audioData)
-    });
 
-    // Decode base64 audio data if needed
-    serverLogger.info('Decoding audio data');
-    let pcmBytes;
-    try {
-      if (typeof audioData === 'string') {
-        serverLogger.debug('Decoding string audio data from base64');
-        pcmBytes = Buffer.from(audioData, 'base64');
-      } else if (Buffer.isBuffer(audioData)) {
-        serverLogger.debug('Audio data is already a Buffer');
-        pcmBytes = audioData;
-      } else if (audioData instanceof Uint8Array) {
-        serverLogger.debug('Converting Uint8Array to Buffer');
-        pcmBytes = Buffer.from(audioData);
-      } else {
-        throw new Error(`Invalid audioData type: ${typeof audioData}`);
+        await synthesizeChunk(nextChunk++);
       }
-      serverLogger.debug('Audio data decoded', { 
-        pcm_bytes_length: pcmBytes.length,
-        pcm_size_kb: (pcmBytes.length / 1024).toFixed(2)
-      });
+    };
+
+    const endGeminiSpan = startSpan('gemini');
+    if (streamAudio) {
+      startPlaying(0);
+    }
+    try {
+      await Promise.all(Array.from({ length: Math.min(concurrency, chunks.length) }, runChunks));
     } catch (error) {
-      serverLogger.error('Failed to decode audio data', error, {
-        audio_data_type: typeof audioData,
-        is_buffer: Buffer.isBuffer(audioData),
-        is_uint8array: audioData instanceof Uint8Array
+      chunkAbort.abort();
+      // A cancelled client leaves the other chunks failing as cancelled too; report the cause
+      throwIfCancelled(cancellation.signal);
+      throw error;
+    }
+    endGeminiSpan();
+    if (streamAudio && chunkPauses[chunks.length] > 0) {
+      sendEvent(res, 'audio', { data: createSilence(chunkPauses[chunks.length], CONFIG.sourceAudio).toString('base64') });
+    }
+
+    // Join chunk audio with the long-form and markup pauses
+    const endEncodingSpan = startSpan('encoding');
+    const pcmBytes = joinPcm(pcmSegments, chunkPauses, CONFIG.sourceAudio);
+    if (pcmSegments.length > 1 || chunkPauses.some(ms => ms > 0)) {
+      serverLogger.debug('Chunk audio joined', {
+        chunk_count: pcmSegments.length,
+        pauses_ms: chunkPauses,
+        pcm_bytes_length: pcmBytes.length
       });
-      return res.status(500).json({ 
-        error: 'Failed to decode audio data', 
-        detail: error.message 
+    }
+
+    // Sentence timings, measured on each chunk's audio before anything changes its length
+    const captionTimings = captions && buildCaptionTimings({
+      segments: pcmSegments,
+      pauses: chunkPauses,
+      chunks,
+      chunkGroups,
+      dialogue: !!speakers,
+      sampleRate: CONFIG.sourceAudio.sampleRate,
+      writtenGroups: markup || lexiconReplacements > 0 ? writtenGroups : null,
+      markup: !!markup
+    });
+
+    // Speaking rate, pitch and volume, on the source audio before it is converted
+    let processedPcm = pcmBytes;
+    if (prosodySettings) {
+      const { pcm, clippedSamples } = applyProsody(pcmBytes, prosodySettings, CONFIG.sourceAudio.sampleRate);
+      processedPcm = pcm;
+      serverLogger.debug('Prosody applied', {
+        prosody: prosodySettings,
+        duration_before_seconds: (pcmBytes.length / (CONFIG.sourceAudio.sampleRate * 2)).toFixed(2),
+        duration_after_seconds: (processedPcm.length / (CONFIG.sourceAudio.sampleRate * 2)).toFixed(2),
+        ...(clippedSamples > 0 && { clipped_samples: clippedSamples })
       });
     }
 
-    // Convert PCM to WAV format
+    // Resample and remix to the requested layout (Opus only runs at a few rates, so fall back to 48kHz)
     // Gemini TTS returns: 24kHz, 16-bit, mono PCM
-    serverLogger.info('Converting PCM to WAV format', {
-      sample_rate: audioSettings.sampleRate,
-      channels: audioSettings.channels,
-      sample_width: audioSettings.sampleWidth,
-      format: audioSettings.format
+    const outputSampleRate = audioSettings.format === 'ogg' && !OPUS_SAMPLE_RATES.includes(audioSettings.sampleRate)
+      ? 48000
+      : audioSettings.sampleRate;
+    const outputChannels = audioSettings.channels;
+    serverLogger.info('Converting PCM layout', {
+      from_sample_rate: CONFIG.sourceAudio.sampleRate,
+      to_sample_rate: outputSampleRate,
+      from_channels: CONFIG.sourceAudio.channels,
+      to_channels: outputChannels
+    });
+    const layoutPcm = convertPcm(processedPcm, CONFIG.sourceAudio, {
+      sampleRate: outputSampleRate,
+      channels: outputChannels
     });
-    const wavBytes = pcmToWav(
-      pcmBytes,
-      audioSettings.sampleRate,
-      audioSettings.channels,
-      audioSettings.sampleWidth
-    );
-    serverLogger.debug('WAV conversion completed', {
-      wav_bytes_length: wavBytes.length,
-      wav_size_kb: (wavBytes.length / 1024).toFixed(2),
-      size_increase: ((wavBytes.length - pcmBytes.length) / 1024).toFixed(2) + ' KB'
+    serverLogger.debug('PCM layout converted', {
+      pcm_bytes_length: layoutPcm.length,
+      duration_seconds: (layoutPcm.length / (outputSampleRate * outputChannels * 2)).toFixed(2)
     });
 
+    // Trim silence, mix in the music bed and normalize loudness in the output layout, then
+    // measure what will be encoded. Trimming first keeps the intro and outro exact.
+    const outputLayout = { sampleRate: outputSampleRate, channels: outputChannels };
+    const trimmed = trimPcm(layoutPcm, outputLayout, postProcessing);
+    let mixedPcm = trimmed.pcm;
+    let musicBedReport = null;
+    if (musicBed) {
+      const mixed = mixMusicBed(trimmed.pcm, musicBed, outputLayout);
+      mixedPcm = mixed.pcm;
+      musicBedReport = mixed.report;
+      serverLogger.debug('Music bed mixed', {
+        ...musicBedReport,
+        duration_seconds: (mixedPcm.length / (outputSampleRate * outputChannels * 2)).toFixed(2)
+      });
+    }
+    const normalized = normalizePcm(mixedPcm, outputLayout, postProcessing);
+    const { pcm: convertedPcm, loudnessLufs, peakDbfs } = normalized;
+    const durationSeconds = convertedPcm.length / (outputSampleRate * outputChannels * 2);
+    const postProcessingReport = (trimmed.report || normalized.report) && {
+      ...trimmed.report,
+      ...normalized.report,
+      duration_before_seconds: Number((layoutPcm.length / (outputSampleRate * outputChannels * 2)).toFixed(3))
+    };
+    // Follow the speech through the rate change, trimming and music intro
+    let captionData = null;
+    let cueMarkers = [];
+    if (captionTimings) {
+      const cues = adjustCaptionTimings(captionTimings, {
+        rate: prosodySettings?.rate ?? 1,
+        offsetSeconds: trimmed.offsetMs / 1000 + (musicBed ? musicBed.introMs / 1000 : 0),
+        durationSeconds
+      });
+      if (audioSettings.format === 'wav' && durationSeconds >= CONFIG.captions.wavCueMinSeconds) {
+        cueMarkers = cues.map(cue => ({
+          frame: Math.round(cue.start * outputSampleRate),
+          label: cue.speaker ? `${cue.speaker}: ${cue.text}` : cue.text
+        }));
+      }
+      captionData = {
+        timings: cues,
+        srt: formatSrt(cues),
+        vtt: formatWebVtt(cues),
+        ...(cueMarkers.length > 0 && { wav_cue_markers: cueMarkers.length })
+      };
+      serverLogger.debug('Captions timed', { cue_count: cues.length, wav_cue_markers: cueMarkers.length });
+    }
+    if (postProcessingReport) {
+      serverLogger.debug('Post-processing applied', {
+        ...postProcessingReport,
+        loudness_lufs: loudnessLufs?.toFixed(1),
+        peak_dbfs: peakDbfs?.toFixed(1),
+        duration_seconds: durationSeconds.toFixed(2)
+      });
+    }
+
+    // Encode PCM into the requested output format
+    let audioBytes;
+    let outputSampleWidth = 2;
+    if (audioSettings.format === 'wav') {
+      outputSampleWidth = codec === 'pcm' ? audioSettings.sampleWidth : 1;
+      serverLogger.info('Converting PCM to WAV format', {
+        sample_rate: outputSampleRate,
+        channels: outputChannels,
+        sample_width: outputSampleWidth,
+        codec
+      });
+      audioBytes = pcmToWav(
+        encodeSampleWidth(convertedPcm, outputSampleWidth, codec),
+        outputSampleRate,
+        outputChannels,
+        outputSampleWidth,
+        codec,
+        cueMarkers
+      );
+      serverLogger.debug('WAV conversion completed', {
+        wav_bytes_length: audioBytes.length,
+        wav_size_kb: (audioBytes.length / 1024).toFixed(2),
+        size_increase: ((audioBytes.length - pcmBytes.length) / 1024).toFixed(2) + ' KB'
+      });
+    } else {
+      serverLogger.info('Encoding PCM to compressed format', {
+        format: audioSettings.format,
+        sample_rate: outputSampleRate,
+        channels: outputChannels,
+        ...(isBitrateFormat && { bitrate_kbps: bitrate })
+      });
+      if (audioSettings.format === 'mp3') {
+        audioBytes = encodeMp3(convertedPcm, outputSampleRate, outputChannels, bitrate);
+      } else if (audioSettings.format === 'ogg') {
+        audioBytes = encodeOggOpus(convertedPcm, outputSampleRate, outputChannels, bitrate);
+      } else {
+        audioBytes = encodeFlac(convertedPcm, outputSampleRate, outputChannels);
+      }
+      serverLogger.debug('Compressed encoding completed', {
+        format: audioSettings.format,
+        encoded_bytes_length: audioBytes.length,
+        encoded_size_kb: (audioBytes.length / 1024).toFixed(2),
+        compression_ratio: (convertedPcm.length / audioBytes.length).toFixed(2)
+      });
+    }
+
     // Encode to base64 for JSON response
-    serverLogger.info('Encoding WAV to base64');
-    const base64Audio = wavBytes.toString('base64');
+    serverLogger.info('Encoding audio to base64');
+    const base64Audio = audioBytes.toString('base64');
+    endEncodingSpan();
     serverLogger.debug('Base64 encoding completed', {
       base64_length: base64Audio.length,
       base64_size_kb: (base64Audio.length / 1024).toFixed(2)
@@ -378,26 +1088,65 @@ ${processedText}`;
 
     // Create response
     const responseData = {
-      message: `Voice synthesis completed successfully using ${model_name} model`,
-      file_type: audioSettings.format,
+      ...requestSummary,
+      file_type: outputFormat.extension,
+      mime_type: outputFormat.mimeType,
       file_data: base64Audio,
-      model_used: model_name,
-      expression_used: expression,
-      text_length: text.length
+      ...((longForm || markup) && { chunk_count: chunks.length }),
+      cached: false,
+      usage: rateLimit.usage,
+      ...(retryCount > 0 && { retries: retryCount }),
+      ...(tokenUsage && { token_usage: tokenUsage }),
+      ...(postProcessingReport && { post_processing: postProcessingReport }),
+      ...(musicBedReport && { music_bed: musicBedReport }),
+      ...(captionData && { captions: captionData }),
+      audio_info: {
+        sample_rate: outputSampleRate,
+        channels: outputChannels,
+        bits_per_sample: outputSampleWidth * 8,
+        codec: audioSettings.format === 'wav' ? codec : audioSettings.format,
+        duration_seconds: Number(durationSeconds.toFixed(3)),
+        // Measured on the 16-bit PCM before the output codec; null for silent audio
+        loudness_lufs: loudnessLufs === null ? null : Number(loudnessLufs.toFixed(1)),
+        peak_dbfs: peakDbfs === null ? null : Number(peakDbfs.toFixed(1))
+      }
     };
 
+    if (CONFIG.cache.enabled) {
+      // Also refreshes the entry when this request bypassed the cache
+      const { usage, retries, cached, ...cacheEntry } = responseData;
+      const endCacheSpan = startSpan('cache');
+      const stored = await writeCache(cacheKey, cacheEntry);
+      endCacheSpan();
+      if (stored) {
+        serverLogger.debug('Audio stored in cache', { cache_key: cacheKey });
+      }
+    }
+
     serverLogger.success('Voice synthesis completed successfully', {
-      model_name,
+      model_name: voicesUsed,
       expression,
       text_length: text.length,
-      file_type: audioSettings.format,
+      file_type: outputFormat.extension,
       file_size_kb: (base64Audio.length / 1024).toFixed(2),
+      ...(tokenUsage && { token_usage: tokenUsage }),
       response_size_kb: (JSON.stringify(responseData).length / 1024).toFixed(2)
     });
 
+    if (streaming) {
+      sendEvent(res, 'complete', responseData);
+      res.end();
+      return;
+    }
+
     res.status(200).json(responseData);
 
   } catch (error) {
+    // Nobody is left to answer
+    if (error.errorType === 'cancelled') {
+      serverLogger.info('Synthesis cancelled by the client', { elapsed_ms: Date.now() - startedAt });
+      return;
+    }
     serverLogger.error('Voice synthesis failed', error, {
       model_name: req.body?.model_name,
       expression: req.body?.expression,
@@ -406,87 +1155,23 @@ ${processedText}`;
       has_model_id: !!req.body?.modelId
     });
     
-    // Check if response was already sent
-    if (res.headersSent) {
-      serverLogger.warn('Response already sent, cannot send error response');
-      return;
-    }
-    
-    // Handle specific error types
-    const errorMessage = error.message || 'Voice synthesis failed';
-    
     try {
-      // Check for quota/rate limit errors
-      if (errorMessage.includes('429') || 
-          errorMessage.includes('quota') || 
-          errorMessage.includes('rate limit') ||
-          errorMessage.includes('Quota exceeded')) {
-        serverLogger.warn('Quota/rate limit exceeded', {
-          error_message: errorMessage.substring(0, 200) // Truncate for logging
-        });
-        
-        // Extract retry delay if available
-        let retryDelay = null;
-        const retryMatch = errorMessage.match(/retry in (\d+(?:\.\d+)?)s/i);
-        if (retryMatch) {
-          retryDelay = Math.ceil(parseFloat(retryMatch[1]));
-        }
-        
-        if (!res.headersSent) {
-          res.status(429).json({ 
-            error: 'API quota exceeded. You have reached your usage limit for this model. Please wait a moment and try again, or check your billing plan.',
-            errorType: 'quota_exceeded',
-            retryDelay: retryDelay,
-            detail: 'The free tier has limited requests. Consider upgrading your plan or waiting before retrying.'
-          });
-        }
-        return;
-      }
-      
-      // Check for authentication errors
-      if (errorMessage.includes('401') || 
-          errorMessage.includes('403') ||
-          errorMessage.includes('API key') ||
-          errorMessage.includes('authentication') ||
-          errorMessage.includes('unauthorized')) {
-        serverLogger.warn('Authentication error', {
-          error_message: errorMessage.substring(0, 200)
-        });
-        
-        if (!res.headersSent) {
-          res.status(401).json({ 
-            error: 'Invalid API key or authentication failed. Please check your API key in settings.',
-            errorType: 'authentication_error'
-          });
-        }
+      const { status, body } = classifyError(error);
+
+      // Event streams already sent a 200, so report the failure as an event
+      if (streaming) {
+        sendEvent(res, 'error', { status, ...body });
+        res.end();
         return;
       }
-      
-      // Check for model not found errors
-      if (errorMessage.includes('404') || 
-          errorMessage.includes('not found') ||
-          (errorMessage.includes('model') && errorMessage.includes('not available'))) {
-        serverLogger.warn('Model not found error', {
-          error_message: errorMessage.substring(0, 200)
-        });
-        
-        if (!res.headersSent) {
-          res.status(404).json({ 
-            error: 'Model not found or unavailable. Please try a different model.',
-            errorType: 'model_not_found'
-          });
-        }
+
+      // Check if response was already sent
+      if (res.headersSent) {
+        serverLogger.warn('Response already sent, cannot send error response');
         return;
       }
-      
-      // Generic error response
-      if (!res.headersSent) {
-        res.status(500).json({ 
-          error: 'Voice synthesis failed', 
-          errorType: 'synthesis_error',
-          detail: errorMessage.substring(0, 500) // Limit detail length
-        });
-      }
+
+      res.status(status).json(body);
     } catch (responseError) {
       // If we can't send the response, just log it
       serverLogger.error('Failed to send error response', responseError);
@@ -494,3 +1179,4 @@ ${processedText}`;
   }
 }
 
+export default withRequestLogging('synthesize', handler);
@@ -0,0 +1,42 @@
+/**
+ * API endpoint to report rate limit usage for an API key or access token
+ * POST /api/usage
+ */
+
+import { CONFIG } from '../config.js';
+import { serverLogger, withRequestLogging } from '../utils/logger.js';
+import { resolveApiKey } from '../utils/auth.js';
+import { getRateLimitIdentity, getUsage } from '../utils/rate-limit.js';
+
+async function handler(req, res) {
+  serverLogger.info('Usage endpoint called', { method: req.method });
+
+  // Handle CORS preflight
+  if (req.method === 'OPTIONS') {
+    res.status(200).end();
+    return;
+  }
+
+  if (req.method !== 'POST') {
+    serverLogger.warn('Invalid method for usage endpoint', { method: req.method });
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    // The key is sent in the body (like /api/synthesize) so it never appears in URLs or logs
+    const auth = resolveApiKey(req, req.body?.apiKey);
+    if (auth.failure) {
+      serverLogger.warn('Usage request not authorized', { status: auth.failure.status });
+      return res.status(auth.failure.status).json(auth.failure.body);
+    }
+
+    const usage = await getUsage(getRateLimitIdentity(auth));
+    serverLogger.debug('Usage loaded', { usage });
+    res.status(200).json({ limits_enabled: CONFIG.rateLimit.enabled, usage });
+  } catch (error) {
+    serverLogger.error('Error in usage endpoint', error);
+    res.status(500).json({ error: 'Failed to load usage', detail: error.message });
+  }
+}
+
+export default withRequestLogging('usage', handler);
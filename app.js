@@ -24,9 +24,30 @@ const logger = {
 
 let currentAudioBlob = null;
 let currentFilename = '';
+let currentCaptions = null; // Captions and sentence timings of the current clip
 let allVoiceModels = []; // Store all voice models
 let currentSettings = {}; // Store current settings
 let userConfig = {}; // Store user API key and model ID
+let streamPlayer = null; // Web Audio player for streamed synthesis
+let dialogueSpeakers = []; // Default speaker-to-voice mapping for dialogue mode
+let builtInExpressions = []; // Expression names defined by the server
+let builtInExpressionInstructions = {}; // Server instruction text for the built-in expressions
+let defaultExpressionName = ''; // Server default expression
+let customExpressionRules = { maxKeyLength: 40, maxInstructionLength: 2000 }; // Limits for user-defined expressions
+let lexiconRules = { maxEntries: 500, maxTermLength: 100, maxReplacementLength: 200 }; // Limits for the pronunciation lexicon
+let templateRules = { maxVariables: 50, maxValueLength: 500, builtIn: ['voice'] }; // Limits for {{variable}} values
+let templateValues = loadTemplateValues(); // Values typed into the {{variable}} fields
+let postProcessingRules = { lufsTarget: -16, minLufsTarget: -36, maxLufsTarget: -6, peakTarget: -1, minPeakTarget: -24, maxPeakTarget: 0, trimThresholdDb: -50, minTrimThresholdDb: -80, maxTrimThresholdDb: -20, trimPaddingMs: 100, maxTrimPaddingMs: 2000 }; // Loudness and trimming limits
+let prosodyRules = null; // Rate/pitch/gain ranges and presets from the server
+let musicBedRules = null; // Music bed limits and defaults from the server
+let mp3Bitrates = null; // MP3 bitrates (kbps) lame encodes at each sample rate, from the server
+let accentCatalogue = []; // Accent / locale presets from the server
+let defaultAccentId = ''; // Server default accent
+let historyRerunSettings = null; // Settings snapshot for the next submit when re-running a history entry
+let synthesisAbortController = null; // Aborts the main form's synthesis request (Cancel button)
+let ttsModelCatalogue = []; // TTS models from the server catalogue
+let defaultTtsModelId = ''; // Server default TTS model
+let authMode = 'key'; // 'key': each browser sends its own Gemini key; 'token': the server holds the key and browsers send access tokens
 
 // Initialize the application
 document.addEventListener('DOMContentLoaded', async () => {
@@ -106,9 +127,13 @@ document.addEventListener('DOMContentLoaded', async () => {
         updateValidateButtonState();
     }
     
-    // Now check user config
+    // Now check user config (the auth mode decides which credential is needed)
     logger.info('Checking user configuration');
+    const authError = await detectAuthMode();
     checkUserConfig();
+    if (authError) {
+        showError(authError);
+    }
 });
 
 /**
@@ -116,7 +141,7 @@ document.addEventListener('DOMContentLoaded', async () => {
  */
 async function loadModels() {
     try {
-        const response = await fetch(CONFIG.apiModelsEndpoint);
+        const response = await fetch(CONFIG.apiModelsEndpoint, { headers: getAuthHeaders() });
         if (!response.ok) {
             throw new Error('Failed to load models');
         }
@@ -141,24 +166,67 @@ async function loadModels() {
         if (!expressionSelect) {
             throw new Error('Expression select element not found');
         }
-        expressionSelect.innerHTML = '';
         
         if (!data.expressions || !Array.isArray(data.expressions)) {
             throw new Error('Invalid expressions data from API');
         }
         
-        data.expressions.forEach(expr => {
-            const option = document.createElement('option');
-            option.value = expr;
-            option.textContent = formatExpressionName(expr);
-            if (expr === data.default_expression) {
-                option.selected = true;
-            }
-            expressionSelect.appendChild(option);
-        });
+        builtInExpressions = data.expressions;
+        builtInExpressionInstructions = data.expression_instructions || {};
+        defaultExpressionName = data.default_expression;
+        if (data.custom_expression_rules) {
+            customExpressionRules = data.custom_expression_rules;
+        }
+        if (data.lexicon_rules) {
+            lexiconRules = data.lexicon_rules;
+        }
+        if (data.template_rules) {
+            templateRules = data.template_rules;
+            renderTemplateFields();
+        }
+        if (data.post_processing_rules) {
+            postProcessingRules = data.post_processing_rules;
+        }
+        if (data.music_bed_rules) {
+            musicBedRules = data.music_bed_rules;
+            applyMusicBedRules();
+        }
+        if (data.mp3_bitrates) {
+            mp3Bitrates = data.mp3_bitrates;
+            updateCodecDependentFields();
+        }
+        populateExpressionSelects();
+        
+        // Populate accents
+        accentCatalogue = Array.isArray(data.accents) ? data.accents : [];
+        defaultAccentId = data.default_accent || accentCatalogue[0]?.id || '';
+        populateAccentSelect();
+        
+        // Populate pace & volume presets
+        if (data.prosody_rules) {
+            prosodyRules = data.prosody_rules;
+            populateProsodyControls();
+        }
+        
+        // Populate TTS models; a new user starts on the server default
+        ttsModelCatalogue = Array.isArray(data.tts_models) ? data.tts_models : [];
+        defaultTtsModelId = data.default_tts_model || ttsModelCatalogue[0]?.id || '';
+        if (!userConfig.modelId && defaultTtsModelId) {
+            userConfig.modelId = defaultTtsModelId;
+            localStorage.setItem('geminiVoicesUserConfig', JSON.stringify(userConfig));
+        }
+        populateTtsModelSelects();
+        renderCompareModels();
         
         // Filter and populate voice models based on gender
         filterVoiceModelsByGender();
+        renderCompareVoices();
+        
+        // Populate the dialogue speaker mapping editor
+        if (Array.isArray(data.dialogue_speakers)) {
+            dialogueSpeakers = data.dialogue_speakers;
+        }
+        renderSpeakerMapping();
         
         // Validate form after loading
         setTimeout(() => validateForm(), 100);
@@ -180,6 +248,307 @@ function formatExpressionName(expr) {
     ).join(' ');
 }
 
+/**
+ * All expression names: built-in first, then the user's own
+ * @returns {string[]}
+ */
+function getAvailableExpressions() {
+    const custom = Object.keys(currentSettings.expressionInstructions || {})
+        .filter(name => !builtInExpressions.includes(name));
+    return [...builtInExpressions, ...custom];
+}
+
+/**
+ * Fill the main and example expression selects, keeping the current choice while it still exists
+ */
+function populateExpressionSelects() {
+    const expressions = getAvailableExpressions();
+    const preferred = currentSettings.defaultExpression || defaultExpressionName;
+    
+    ['expressionSelect', 'exampleExpression'].forEach(id => {
+        const select = document.getElementById(id);
+        if (!select) return;
+        const previous = select.value;
+        select.innerHTML = '';
+        expressions.forEach(expr => {
+            const option = document.createElement('option');
+            option.value = expr;
+            option.textContent = formatExpressionName(expr);
+            select.appendChild(option);
+        });
+        select.value = [previous, preferred, expressions[0]].find(name => name && expressions.includes(name)) || '';
+    });
+    renderCompareExpressions();
+}
+
+/**
+ * Fill the accent select from the catalogue, plus a Custom option for free-text instructions
+ */
+function populateAccentSelect() {
+    const select = document.getElementById('accentSelect');
+    if (!select) return;
+    const previous = select.value;
+    select.innerHTML = '';
+    
+    accentCatalogue.forEach(entry => {
+        const option = document.createElement('option');
+        option.value = entry.id;
+        option.textContent = entry.label;
+        option.title = entry.instruction;
+        select.appendChild(option);
+    });
+    const customOption = document.createElement('option');
+    customOption.value = 'custom';
+    customOption.textContent = 'Custom instruction…';
+    select.appendChild(customOption);
+    
+    const preferred = currentSettings.defaultAccent || defaultAccentId;
+    const values = Array.from(select.options, option => option.value);
+    select.value = [previous, preferred].find(value => value && values.includes(value)) || values[0];
+    updateAccentCustomInput();
+}
+
+/**
+ * Show the custom instruction input only when Custom is selected
+ */
+function updateAccentCustomInput() {
+    const select = document.getElementById('accentSelect');
+    const input = document.getElementById('accentCustomInput');
+    if (!select || !input) return;
+    const isCustom = select.value === 'custom';
+    input.style.display = isCustom ? 'block' : 'none';
+    if (isCustom && !input.value) {
+        input.value = currentSettings.accentInstruction || '';
+    }
+}
+
+/**
+ * Instruction text for the accent chosen in the main form
+ * @returns {string}
+ */
+function getSelectedAccentInstruction() {
+    const select = document.getElementById('accentSelect');
+    if (select?.value === 'custom') {
+        return document.getElementById('accentCustomInput').value.trim();
+    }
+    const entry = accentCatalogue.find(item => item.id === select?.value);
+    return entry ? entry.instruction : (currentSettings.accentInstruction || '');
+}
+
+// Slider element ids for each prosody option
+const PROSODY_INPUTS = { rate: 'prosodyRate', pitch: 'prosodyPitch', gain: 'prosodyGain' };
+
+/**
+ * Fill the pace & volume presets and set the slider ranges from the server rules
+ */
+function populateProsodyControls() {
+    const select = document.getElementById('prosodyPresetSelect');
+    if (!select || !prosodyRules) return;
+    const values = getProsodyValues();
+    select.innerHTML = '';
+    
+    prosodyRules.presets.forEach(preset => {
+        select.appendChild(new Option(preset.label, preset.id));
+    });
+    select.appendChild(new Option('Custom', 'custom'));
+    
+    Object.entries(PROSODY_INPUTS).forEach(([option, inputId]) => {
+        const input = document.getElementById(inputId);
+        const { min, max, step } = prosodyRules[option];
+        Object.assign(input, { min, max, step });
+    });
+    setProsodyValues(values);
+}
+
+/**
+ * Rate, pitch and gain set on the sliders
+ * @returns {{rate: number, pitch: number, gain: number}}
+ */
+function getProsodyValues() {
+    return Object.fromEntries(Object.entries(PROSODY_INPUTS).map(([option, inputId]) => [
+        option,
+        Number(document.getElementById(inputId)?.value ?? (option === 'rate' ? 1 : 0))
+    ]));
+}
+
+/**
+ * Move the sliders to the given values
+ * @param {{rate?: number, pitch?: number, gain?: number}} values - Missing options reset to neutral
+ */
+function setProsodyValues({ rate = 1, pitch = 0, gain = 0 } = {}) {
+    const values = { rate, pitch, gain };
+    Object.entries(PROSODY_INPUTS).forEach(([option, inputId]) => {
+        const input = document.getElementById(inputId);
+        if (input) input.value = values[option];
+    });
+    updateProsodyLabels();
+}
+
+/**
+ * Show the slider values and select the preset they match (or Custom)
+ */
+function updateProsodyLabels() {
+    const { rate, pitch, gain } = getProsodyValues();
+    const signed = (value) => (value > 0 ? `+${value}` : `${value}`);
+    const outputs = {
+        prosodyRateValue: `${rate.toFixed(2)}×`,
+        prosodyPitchValue: `${signed(pitch)} st`,
+        prosodyGainValue: `${signed(gain)} dB`
+    };
+    Object.entries(outputs).forEach(([id, text]) => {
+        const output = document.getElementById(id);
+        if (output) output.textContent = text;
+    });
+    
+    const select = document.getElementById('prosodyPresetSelect');
+    if (select && prosodyRules) {
+        const preset = prosodyRules.presets.find(entry => entry.rate === rate && entry.pitch === pitch && entry.gain === gain);
+        select.value = preset ? preset.id : 'custom';
+    }
+}
+
+/**
+ * Describe prosody settings for display, e.g. "0.85× rate, +2 dB"
+ * @param {{rate: number, pitch: number, gain: number}} prosody - Settings returned by the server
+ * @returns {string}
+ */
+function formatProsody({ rate, pitch, gain }) {
+    const parts = [];
+    if (rate !== 1) parts.push(`${rate}× rate`);
+    if (pitch !== 0) parts.push(`${pitch > 0 ? '+' : ''}${pitch} st pitch`);
+    if (gain !== 0) parts.push(`${gain > 0 ? '+' : ''}${gain} dB`);
+    return parts.join(', ');
+}
+
+/**
+ * Turn a typed expression name into its key (e.g. "Sales Upbeat" -> "sales_upbeat")
+ * @param {string} name - Name as typed
+ * @returns {string}
+ */
+function normalizeExpressionName(name) {
+    return name.trim().toLowerCase()
+        .replace(/[\s-]+/g, '_')
+        .replace(/[^a-z0-9_]/g, '')
+        .replace(/_+/g, '_')
+        .replace(/^_|_$/g, '');
+}
+
+/**
+ * Render the expression editor in settings
+ * @param {object} instructions - Expression name to instruction text
+ */
+function renderExpressionEditor(instructions) {
+    const list = document.getElementById('expressionList');
+    if (!list) return;
+    list.innerHTML = '';
+    
+    const names = [...builtInExpressions, ...Object.keys(instructions).filter(name => !builtInExpressions.includes(name))];
+    names.forEach(name => addExpressionRow(name, instructions[name] || ''));
+    refreshDefaultExpressionOptions();
+}
+
+/**
+ * Add one expression to the settings editor. Built-in expressions can't be renamed or deleted.
+ * @param {string} name - Expression name ('' for a new expression)
+ * @param {string} instruction - Instruction text
+ */
+function addExpressionRow(name, instruction) {
+    const list = document.getElementById('expressionList');
+    const isBuiltIn = builtInExpressions.includes(name);
+    
+    const row = document.createElement('div');
+    row.className = 'setting-item expression-row';
+    row.dataset.name = name;
+    
+    const header = document.createElement('div');
+    header.className = 'expression-row-header';
+    
+    const nameInput = document.createElement('input');
+    nameInput.type = 'text';
+    nameInput.className = 'expression-name';
+    nameInput.value = isBuiltIn ? formatExpressionName(name) : name;
+    nameInput.placeholder = 'e.g. sales_upbeat';
+    nameInput.maxLength = customExpressionRules.maxKeyLength;
+    nameInput.disabled = isBuiltIn;
+    nameInput.setAttribute('aria-label', 'Expression name');
+    nameInput.addEventListener('input', () => {
+        // Keep the default expression pointing at this row when it is renamed
+        const defaultSelect = document.getElementById('settingDefaultExpression');
+        const nextName = normalizeExpressionName(nameInput.value);
+        const keepDefault = defaultSelect.value === row.dataset.name;
+        row.dataset.name = nextName;
+        refreshDefaultExpressionOptions(keepDefault ? nextName : undefined);
+    });
+    header.appendChild(nameInput);
+    
+    if (!isBuiltIn) {
+        const deleteBtn = document.createElement('button');
+        deleteBtn.type = 'button';
+        deleteBtn.className = 'btn-text-link danger';
+        deleteBtn.textContent = 'Delete';
+        deleteBtn.addEventListener('click', () => {
+            row.remove();
+            refreshDefaultExpressionOptions();
+        });
+        header.appendChild(deleteBtn);
+    }
+    
+    const instructionInput = document.createElement('textarea');
+    instructionInput.className = 'expression-instruction';
+    instructionInput.rows = 3;
+    instructionInput.value = instruction;
+    instructionInput.maxLength = customExpressionRules.maxInstructionLength;
+    instructionInput.placeholder = 'Describe how the voice should sound, e.g. "Speak in a sincere, apologetic tone..."';
+    instructionInput.setAttribute('aria-label', 'Expression instruction');
+    
+    row.append(header, instructionInput);
+    list.appendChild(row);
+    return row;
+}
+
+/**
+ * Rebuild the default expression options from the editor rows
+ * @param {string} [preferred] - Name to select if present
+ */
+function refreshDefaultExpressionOptions(preferred) {
+    const select = document.getElementById('settingDefaultExpression');
+    if (!select) return;
+    const previous = preferred || select.value;
+    const names = [...new Set(Array.from(document.querySelectorAll('#expressionList .expression-row'), row => row.dataset.name).filter(Boolean))];
+    
+    select.innerHTML = '';
+    names.forEach(name => {
+        const option = document.createElement('option');
+        option.value = name;
+        option.textContent = formatExpressionName(name);
+        select.appendChild(option);
+    });
+    select.value = names.includes(previous) ? previous : (names[0] || '');
+}
+
+/**
+ * Read the expression editor
+ * @returns {{instructions?: object, error?: string}} Name to instruction map, or a validation error
+ */
+function collectExpressionInstructions() {
+    const instructions = {};
+    for (const row of document.querySelectorAll('#expressionList .expression-row')) {
+        const name = row.dataset.name;
+        const instruction = row.querySelector('.expression-instruction').value.trim();
+        if (!name) {
+            return { error: 'Every expression needs a name (letters, digits, spaces or underscores).' };
+        }
+        if (instructions[name] !== undefined) {
+            return { error: `There are two expressions named "${formatExpressionName(name)}".` };
+        }
+        if (!instruction) {
+            return { error: `Expression "${formatExpressionName(name)}" needs instruction text.` };
+        }
+        instructions[name] = instruction;
+    }
+    return { instructions };
+}
+
 /**
  * Filter and populate voice models based on selected gender
  */
@@ -224,6 +593,193 @@ function filterVoiceModelsByGender() {
     }
 }
 
+/**
+ * Render one label/voice row per dialogue speaker
+ */
+function renderSpeakerMapping() {
+    const container = document.getElementById('speakerRows');
+    if (!container) return;
+    container.innerHTML = '';
+    
+    const sortedModels = [...allVoiceModels].sort((a, b) => a.name.localeCompare(b.name));
+    dialogueSpeakers.forEach((entry, index) => {
+        const row = document.createElement('div');
+        row.className = 'speaker-row';
+        
+        const labelInput = document.createElement('input');
+        labelInput.type = 'text';
+        labelInput.className = 'speaker-label';
+        labelInput.value = entry.speaker;
+        labelInput.placeholder = `Speaker ${index + 1}`;
+        labelInput.setAttribute('aria-label', `Speaker ${index + 1} label`);
+        labelInput.addEventListener('input', validateForm);
+        
+        const arrow = document.createElement('span');
+        arrow.className = 'speaker-arrow';
+        arrow.textContent = '→';
+        
+        const voiceSelect = document.createElement('select');
+        voiceSelect.className = 'speaker-voice';
+        voiceSelect.setAttribute('aria-label', `Speaker ${index + 1} voice`);
+        sortedModels.forEach(model => {
+            const option = document.createElement('option');
+            option.value = model.name;
+            option.textContent = model.gender ? `${model.name} (${model.gender})` : model.name;
+            voiceSelect.appendChild(option);
+        });
+        voiceSelect.value = entry.voice;
+        
+        row.append(labelInput, arrow, voiceSelect);
+        container.appendChild(row);
+    });
+}
+
+/**
+ * Whether dialogue (multi-speaker) mode is enabled
+ * @returns {boolean}
+ */
+function isDialogueEnabled() {
+    return !!document.getElementById('dialogueToggle')?.checked;
+}
+
+/**
+ * Read the speaker-to-voice mapping from the editor
+ * @returns {Array<{speaker: string, voice: string}>}
+ */
+function getDialogueSpeakers() {
+    return Array.from(document.querySelectorAll('#speakerRows .speaker-row'), row => ({
+        speaker: row.querySelector('.speaker-label').value.trim(),
+        voice: row.querySelector('.speaker-voice').value
+    }));
+}
+
+/**
+ * Fill the speaker labels from the "Label:" prefixes used in the script
+ */
+function detectSpeakerLabels() {
+    const text = document.getElementById('textInput').value;
+    const labels = [];
+    for (const line of text.split(/\r?\n/)) {
+        const match = line.match(/^\s*([\p{L}\p{N}][\p{L}\p{N} .'_-]{0,39}?)\s*:/u);
+        if (match && !labels.includes(match[1])) {
+            labels.push(match[1]);
+        }
+    }
+    
+    if (labels.length === 0) {
+        showError('No speaker labels found. Start each line with a label, e.g. "Agent: Hello".');
+        return;
+    }
+    const inputs = document.querySelectorAll('#speakerRows .speaker-label');
+    if (labels.length > inputs.length) {
+        showError(`Found ${labels.length} speakers (${labels.join(', ')}), but dialogue mode supports ${inputs.length}.`);
+    } else {
+        hideError();
+    }
+    inputs.forEach((input, index) => {
+        if (labels[index]) {
+            input.value = labels[index];
+        }
+    });
+    validateForm();
+}
+
+/**
+ * Read the {{variable}} values saved from earlier visits
+ * @returns {Object<string, string>} Values by variable name
+ */
+function loadTemplateValues() {
+    try {
+        const saved = JSON.parse(localStorage.getItem('geminiVoicesTemplateValues') || '{}');
+        return saved && typeof saved === 'object' && !Array.isArray(saved) ? saved : {};
+    } catch (e) {
+        logger.warn('Ignoring unreadable template values in localStorage', { error_message: e.message });
+        return {};
+    }
+}
+
+/**
+ * Find the {{variables}} a script uses, in order of first use.
+ * Built-in variables such as {{voice}} are filled in by the server, and \{{ keeps braces literal.
+ * @param {string} text - Script text
+ * @returns {string[]} Variable names
+ */
+function findTemplateVariables(text) {
+    const names = [];
+    for (const match of text.matchAll(/(\\?)\{\{\s*([A-Za-z_][A-Za-z0-9_]*)\s*\}\}/g)) {
+        const [, escape, name] = match;
+        if (!escape && !templateRules.builtIn.includes(name) && !names.includes(name)) {
+            names.push(name);
+        }
+    }
+    return names;
+}
+
+/**
+ * Values for the variables a script uses; blank fields are left out so the server reports them
+ * @param {string} text - Script text
+ * @returns {Object<string, string>} Values by variable name
+ */
+function getTemplateValues(text) {
+    const values = {};
+    findTemplateVariables(text).forEach(name => {
+        const value = (templateValues[name] || '').trim();
+        if (value) {
+            values[name] = value;
+        }
+    });
+    return values;
+}
+
+/**
+ * Remember {{variable}} values for the next visit
+ * @param {Object<string, string>} values - Values by variable name
+ */
+function saveTemplateValues(values) {
+    Object.assign(templateValues, values);
+    localStorage.setItem('geminiVoicesTemplateValues', JSON.stringify(templateValues));
+    validateForm();
+    updateCostEstimate();
+}
+
+/**
+ * Show an input for each {{variable}} in the script. The fields are only rebuilt when the
+ * set of variables changes, so typing in the script doesn't reset them.
+ * @param {boolean} [force] - Rebuild even if the variables are unchanged
+ */
+function renderTemplateFields(force = false) {
+    const container = document.getElementById('templateFields');
+    const textInput = document.getElementById('textInput');
+    if (!container || !textInput) return;
+
+    const names = findTemplateVariables(textInput.value);
+    if (!force && container.dataset.names === names.join(',')) return;
+    container.dataset.names = names.join(',');
+    container.innerHTML = '';
+    container.style.display = names.length > 0 ? 'block' : 'none';
+    if (names.length === 0) return;
+
+    const heading = document.createElement('div');
+    heading.className = 'template-fields-heading';
+    heading.textContent = 'Template variables';
+    container.appendChild(heading);
+
+    names.forEach(name => {
+        const label = document.createElement('label');
+        label.className = 'template-field';
+        const code = document.createElement('code');
+        code.textContent = `{{${name}}}`;
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.value = templateValues[name] || '';
+        input.placeholder = name.replace(/_/g, ' ');
+        input.maxLength = templateRules.maxValueLength;
+        input.addEventListener('input', () => saveTemplateValues({ [name]: input.value }));
+        label.append(code, input);
+        container.appendChild(label);
+    });
+}
+
 // CONFIG is loaded from config-frontend.js
 
 /**
@@ -240,23 +796,37 @@ function setupEventListeners() {
     // Character count update function with validation
     const updateCharCount = () => {
         const length = textInput.value.length;
+        const limit = getTextLimit();
         charCount.textContent = length;
+        document.getElementById('charLimit').textContent = limit;
         
         // Add warning/error classes
         charCount.parentElement.classList.remove('warning', 'error');
-        if (length > 4000) {
+        if (length > limit * 0.8) {
             charCount.parentElement.classList.add('error');
-        } else if (length > 3000) {
+        } else if (length > limit * 0.6) {
             charCount.parentElement.classList.add('warning');
         }
         
         // Real-time form validation
         validateForm();
+        updateCostEstimate();
     };
-    textInput.addEventListener('input', updateCharCount);
+    textInput.addEventListener('input', () => {
+        renderTemplateFields();
+        updateCharCount();
+    });
     // Initialize count on page load
+    renderTemplateFields();
     updateCharCount();
 
+    // Long-form mode raises the text limit and shows the pause setting
+    const longFormToggle = document.getElementById('longFormToggle');
+    longFormToggle.addEventListener('change', () => {
+        document.getElementById('longFormSilenceField').style.display = longFormToggle.checked ? 'flex' : 'none';
+        updateCharCount();
+    });
+
     // Gender filter change
     genderSelect.addEventListener('change', () => {
         filterVoiceModelsByGender();
@@ -280,13 +850,14 @@ function setupEventListeners() {
                     logger.error('Failed to save model ID', e);
                 }
             }
-            updateModelDescriptionForMainForm();
+            updateModelDescription('modelIdSelect', 'modelDescription');
             validateForm();
+            updateCostEstimate();
         });
         // Load current model ID
         if (userConfig && userConfig.modelId) {
             modelIdSelect.value = userConfig.modelId;
-            updateModelDescriptionForMainForm();
+            updateModelDescription('modelIdSelect', 'modelDescription');
         }
     }
     
@@ -305,6 +876,39 @@ function setupEventListeners() {
     // Expression change - validate
     const expressionSelect = document.getElementById('expressionSelect');
     expressionSelect.addEventListener('change', validateForm);
+    
+    // Accent change - show the custom instruction input when needed
+    document.getElementById('accentSelect').addEventListener('change', () => {
+        updateAccentCustomInput();
+        validateForm();
+    });
+    document.getElementById('accentCustomInput').addEventListener('input', validateForm);
+    
+    // Pace & volume: a preset moves the sliders, moving a slider picks the matching preset (or Custom)
+    document.getElementById('prosodyPresetSelect').addEventListener('change', (e) => {
+        const preset = prosodyRules?.presets.find(entry => entry.id === e.target.value);
+        if (preset) {
+            setProsodyValues(preset);
+            updateCostEstimate();
+        }
+    });
+    Object.values(PROSODY_INPUTS).forEach(inputId => {
+        document.getElementById(inputId).addEventListener('input', () => {
+            updateProsodyLabels();
+            updateCostEstimate();
+        });
+    });
+    
+    // Dialogue mode swaps the single voice for the speaker mapping editor
+    const dialogueToggle = document.getElementById('dialogueToggle');
+    dialogueToggle.addEventListener('change', () => {
+        const enabled = dialogueToggle.checked;
+        document.getElementById('speakerMapping').style.display = enabled ? 'block' : 'none';
+        modelSelect.disabled = enabled;
+        genderSelect.disabled = enabled;
+        validateForm();
+    });
+    document.getElementById('detectSpeakersBtn').addEventListener('click', detectSpeakerLabels);
 
     // Sample text buttons
     sampleButtons.forEach(btn => {
@@ -312,6 +916,7 @@ function setupEventListeners() {
             const sampleType = btn.getAttribute('data-sample');
             if (CONFIG.sampleTexts && CONFIG.sampleTexts[sampleType]) {
                 textInput.value = CONFIG.sampleTexts[sampleType];
+                renderTemplateFields();
                 updateCharCount();
                 textInput.focus();
                 // Visual feedback
@@ -323,6 +928,9 @@ function setupEventListeners() {
 
     // Form submission
     form.addEventListener('submit', handleFormSubmit);
+    document.getElementById('cancelSynthesisBtn').addEventListener('click', () => {
+        synthesisAbortController?.abort();
+    });
     
     // Keyboard shortcuts
     document.addEventListener('keydown', (e) => {
@@ -337,6 +945,9 @@ function setupEventListeners() {
 
     // Download button
     downloadBtn.addEventListener('click', handleDownload);
+    document.querySelectorAll('[data-caption-format]').forEach(button => {
+        button.addEventListener('click', () => handleCaptionDownload(button.dataset.captionFormat));
+    });
     
     // Settings button
     const settingsBtn = document.getElementById('settingsBtn');
@@ -391,6 +1002,14 @@ function setupEventListeners() {
         });
     });
     
+    // Add expression button
+    const addExpressionBtn = document.getElementById('addExpressionBtn');
+    if (addExpressionBtn) {
+        addExpressionBtn.addEventListener('click', () => {
+            addExpressionRow('', '').querySelector('.expression-name').focus();
+        });
+    }
+    
     // Generate example button
     const generateExampleBtn = document.getElementById('generateExampleBtn');
     if (generateExampleBtn) {
@@ -406,7 +1025,7 @@ function setupEventListeners() {
             const statusSpan = document.getElementById('apiKeyStatus');
             
             if (!apiKey) {
-                showError('Please enter an API key first');
+                showError(`Please enter an ${getCredentialLabel()} first`);
                 return;
             }
             
@@ -424,13 +1043,13 @@ function setupEventListeners() {
                         statusSpan.textContent = '✓ Valid';
                         statusSpan.style.color = '#10b981';
                     }
-                    showSuccess('API key is valid!');
+                    showSuccess(`${authMode === 'token' ? 'Access token' : 'API key'} is valid!`);
                 } else {
                     if (statusSpan) {
                         statusSpan.textContent = '❌ Invalid';
                         statusSpan.style.color = '#ef4444';
                     }
-                    showError('Invalid API key. Please check your key and try again.');
+                    showError(`Invalid ${getCredentialLabel()}. Please check it and try again.`);
                 }
             } catch (error) {
                 logger.error('Error testing API key', error);
@@ -438,18 +1057,37 @@ function setupEventListeners() {
                     statusSpan.textContent = '⚠ Error';
                     statusSpan.style.color = '#ef4444';
                 }
-                showError('Failed to validate API key. Please check your connection and try again.');
+                showError(`Failed to validate ${getCredentialLabel()}. Please check your connection and try again.`);
             } finally {
                 testApiKeyBtn.disabled = false;
-                testApiKeyBtn.textContent = 'Test API Key';
+                testApiKeyBtn.textContent = authMode === 'token' ? 'Test Access Token' : 'Test API Key';
             }
         });
     }
     
+    // Codec/format/sample rate change in settings
+    const settingCodec = document.getElementById('settingCodec');
+    const settingFormat = document.getElementById('settingFormat');
+    if (settingCodec && settingFormat) {
+        settingCodec.addEventListener('change', updateCodecDependentFields);
+        settingFormat.addEventListener('change', updateCodecDependentFields);
+        document.getElementById('settingSampleRate').addEventListener('change', updateCodecDependentFields);
+    }
+    
+    // Post-processing: each normalization mode starts at its own default target
+    const settingNormalize = document.getElementById('settingNormalize');
+    if (settingNormalize) {
+        settingNormalize.addEventListener('change', () => {
+            document.getElementById('settingNormalizeTarget').value = getDefaultNormalizeTarget(settingNormalize.value) ?? '';
+            updatePostProcessingFields();
+        });
+        document.getElementById('settingTrimSilence').addEventListener('change', updatePostProcessingFields);
+    }
+    
     // Model ID change in settings
     const settingModelId = document.getElementById('settingModelId');
     if (settingModelId) {
-        settingModelId.addEventListener('change', updateModelDescriptionForSettings);
+        settingModelId.addEventListener('change', () => updateModelDescription('settingModelId', 'settingModelDescription'));
     }
     
     // Setup modal close handlers (already handled in DOMContentLoaded, but keep for reference)
@@ -461,7 +1099,7 @@ function setupEventListeners() {
         closeSetupModalBtn.addEventListener('click', (e) => {
             e.stopPropagation();
             // Only allow closing if user has already configured (editing mode)
-            if (userConfig.apiKey) {
+            if (getCredential()) {
                 if (setupModal) {
                     setupModal.style.display = 'none';
                     const mainContainer = document.getElementById('mainContainer');
@@ -479,7 +1117,7 @@ function setupEventListeners() {
         setupModal.addEventListener('click', (e) => {
             if (e.target === setupModal) {
                 // Only allow closing if user has already configured (editing mode)
-                if (userConfig.apiKey) {
+                if (getCredential()) {
                     setupModal.style.display = 'none';
                     const mainContainer = document.getElementById('mainContainer');
                     if (mainContainer) {
@@ -500,13 +1138,9 @@ function checkUserConfig() {
     if (saved) {
         try {
             userConfig = JSON.parse(saved);
-            if (userConfig && userConfig.apiKey) {
-                // User has API key, show main app (model ID can be set in main form)
-                // Set default model ID if not present
-                if (!userConfig.modelId) {
-                    userConfig.modelId = 'gemini-2.5-flash-preview-tts';
-                    localStorage.setItem('geminiVoicesUserConfig', JSON.stringify(userConfig));
-                }
+            if (userConfig && getCredential()) {
+                // User has an API key (or access token), show main app (model ID can be set in main form;
+                // loadModels() fills in the server default if none is saved)
                 showMainApp();
                 return;
             }
@@ -557,9 +1191,9 @@ function showSetupModal() {
             setupErrorDiv.style.display = 'none';
         }
         
-        // Load existing API key if editing
-        if (userConfig.apiKey && setupApiKey) {
-            setupApiKey.value = userConfig.apiKey;
+        // Load existing API key (or access token) if editing
+        if (getCredential() && setupApiKey) {
+            setupApiKey.value = getCredential();
         }
         
         // Update Validate button state based on API key input
@@ -571,158 +1205,188 @@ function showSetupModal() {
 }
 
 /**
- * Get model info object
+ * TTS models from the /api/models catalogue, by id
+ * @returns {Object<string, object>} Entries with id, title, description, status, multiSpeaker, maxSpeakers, languages, inputTokenLimit and pricing (USD per 1M tokens)
  */
 function getModelInfo() {
-    return {
-        'gemini-2.5-pro-preview-tts': {
-            title: 'Gemini 2.5 Pro Preview TTS',
-            modelId: 'gemini-2.5-pro-preview-tts',
-            description: 'Our 2.5 Pro text-to-speech audio model optimized for powerful, low-latency speech generation for more natural outputs and easier to steer prompts.',
-            contextLengths: 'All context lengths',
-            inputPrice: '$1.00',
-            outputPrice: '$20.00',
-            knowledgeCutoff: 'Unknown'
-        },
-        'gemini-2.5-flash-preview-tts': {
-            title: 'Gemini 2.5 Flash Preview TTS',
-            modelId: 'gemini-2.5-flash-preview-tts',
-            description: 'Our 2.5 Flash text-to-speech audio model optimized for price-performance, low-latency, controllable speech generation.',
-            contextLengths: 'All context lengths',
-            inputPrice: '$0.50',
-            outputPrice: '$10.00',
-            knowledgeCutoff: 'Unknown'
+    return Object.fromEntries(ttsModelCatalogue.map(model => [model.id, model]));
+}
+
+/**
+ * Option label for a TTS model
+ * @param {object} model - Catalogue entry
+ * @returns {string}
+ */
+function formatTtsModelLabel(model) {
+    const notes = { deprecated: ' (deprecated)', discovered: ' (new)', unlisted: ' (not in catalogue)' };
+    return `${model.title || model.id}${notes[model.status] || ''}`;
+}
+
+/**
+ * Fill the TTS model selectors (main form and settings) from the catalogue, keeping each one's
+ * choice. A saved model the catalogue no longer lists stays selectable.
+ */
+function populateTtsModelSelects() {
+    ['modelIdSelect', 'settingModelId'].forEach(selectId => {
+        const select = document.getElementById(selectId);
+        if (!select) return;
+        const current = select.value || userConfig.modelId || defaultTtsModelId;
+        const models = [...ttsModelCatalogue];
+        if (current && !models.some(model => model.id === current)) {
+            models.push({ id: current, title: current, status: 'unlisted' });
         }
-    };
+
+        select.innerHTML = '';
+        select.appendChild(new Option('Select a model...', ''));
+        models.forEach(model => select.appendChild(new Option(formatTtsModelLabel(model), model.id)));
+        select.value = current || '';
+    });
 }
 
 /**
- * Update model description (for setup modal)
+ * Describe the model picked in a TTS model selector: status, speakers, languages and pricing
+ * @param {string} selectId - Id of the model select
+ * @param {string} descriptionId - Id of the element to render into
  */
-function updateModelDescription() {
-    const modelIdSelect = document.getElementById('setupModelId');
-    const descDiv = document.getElementById('modelDescription');
+function updateModelDescription(selectId, descriptionId) {
+    const modelIdSelect = document.getElementById(selectId);
+    const descDiv = document.getElementById(descriptionId);
     
     if (!descDiv || !modelIdSelect) {
         return;
     }
     
-    const modelId = modelIdSelect.value;
-    const modelInfo = getModelInfo();
-    
-    if (modelId && modelInfo[modelId]) {
-        const info = modelInfo[modelId];
-        descDiv.innerHTML = `
-            <div class="model-desc-header">
-                <h4 class="model-desc-title">${info.title}</h4>
-                <code class="model-desc-id">${info.modelId}</code>
-            </div>
-            <div class="model-desc-text">${info.description}</div>
-            <div class="model-desc-details">
-                <div class="model-desc-detail-item">
-                    <span class="detail-label">Context lengths:</span>
-                    <span class="detail-value">${info.contextLengths}</span>
-                </div>
-                <div class="model-desc-detail-item">
-                    <span class="detail-label">Pricing:</span>
-                    <span class="detail-value">Input: ${info.inputPrice} / Output: ${info.outputPrice}</span>
-                </div>
-                <div class="model-desc-detail-item">
-                    <span class="detail-label">Knowledge cut off:</span>
-                    <span class="detail-value">${info.knowledgeCutoff}</span>
-                </div>
-            </div>
-        `;
-        descDiv.style.display = 'block';
-    } else {
+    const info = getModelInfo()[modelIdSelect.value];
+    if (!info) {
         descDiv.style.display = 'none';
+        return;
+    }
+
+    // Built with textContent: discovered models carry descriptions straight from Gemini
+    const element = (tag, className, text) => {
+        const node = document.createElement(tag);
+        node.className = className;
+        if (text !== undefined) node.textContent = text;
+        return node;
+    };
+    const header = element('div', 'model-desc-header');
+    header.append(element('h4', 'model-desc-title', info.title || info.id), element('code', 'model-desc-id', info.id));
+    if (info.status) {
+        header.append(element('span', `model-desc-status status-${info.status}`, info.status));
+    }
+
+    const speakers = info.multiSpeaker === true
+        ? `Single or multi-speaker (up to ${info.maxSpeakers || 2})`
+        : info.multiSpeaker === false ? 'Single speaker' : 'Unknown';
+    const languages = info.languages?.length > 0 ? `${info.languages.length} languages` : 'Unknown';
+    const pricing = info.pricing
+        ? `Input: $${info.pricing.inputPerMillion.toFixed(2)} / Output: $${info.pricing.outputPerMillion.toFixed(2)} per 1M tokens`
+        : 'Not listed';
+    const details = element('div', 'model-desc-details');
+    [
+        ['Speakers:', speakers],
+        ['Languages:', languages, info.languages?.join(', ')],
+        ...(info.inputTokenLimit ? [['Input limit:', `${info.inputTokenLimit.toLocaleString()} tokens`]] : []),
+        ['Pricing:', pricing]
+    ].forEach(([label, value, title]) => {
+        const item = element('div', 'model-desc-detail-item');
+        const valueSpan = element('span', 'detail-value', value);
+        if (title) valueSpan.title = title;
+        item.append(element('span', 'detail-label', label), valueSpan);
+        details.appendChild(item);
+    });
+
+    descDiv.innerHTML = '';
+    descDiv.append(header);
+    if (info.description) {
+        descDiv.append(element('div', 'model-desc-text', info.description));
     }
+    descDiv.append(details);
+    descDiv.style.display = 'block';
 }
 
 /**
- * Update model description for main form
+ * Field of userConfig holding the credential for the current auth mode
+ * @returns {'apiKey'|'accessToken'}
  */
-function updateModelDescriptionForMainForm() {
-    const modelIdSelect = document.getElementById('modelIdSelect');
-    const descDiv = document.getElementById('modelDescription');
-    
-    if (!descDiv || !modelIdSelect) {
-        return;
-    }
-    
-    const modelId = modelIdSelect.value;
-    const modelInfo = getModelInfo();
-    
-    if (modelId && modelInfo[modelId]) {
-        const info = modelInfo[modelId];
-        descDiv.innerHTML = `
-            <div class="model-desc-header">
-                <h4 class="model-desc-title">${info.title}</h4>
-                <code class="model-desc-id">${info.modelId}</code>
-            </div>
-            <div class="model-desc-text">${info.description}</div>
-            <div class="model-desc-details">
-                <div class="model-desc-detail-item">
-                    <span class="detail-label">Context lengths:</span>
-                    <span class="detail-value">${info.contextLengths}</span>
-                </div>
-                <div class="model-desc-detail-item">
-                    <span class="detail-label">Pricing:</span>
-                    <span class="detail-value">Input: ${info.inputPrice} / Output: ${info.outputPrice}</span>
-                </div>
-                <div class="model-desc-detail-item">
-                    <span class="detail-label">Knowledge cut off:</span>
-                    <span class="detail-value">${info.knowledgeCutoff}</span>
-                </div>
-            </div>
-        `;
-        descDiv.style.display = 'block';
-    } else {
-        descDiv.style.display = 'none';
-    }
+function getCredentialField() {
+    return authMode === 'token' ? 'accessToken' : 'apiKey';
 }
 
 /**
- * Update model description for settings modal
+ * The saved Gemini API key, or the access token in token mode
+ * @returns {string}
  */
-function updateModelDescriptionForSettings() {
-    const modelIdSelect = document.getElementById('settingModelId');
-    const descDiv = document.getElementById('settingModelDescription');
-    
-    if (!descDiv || !modelIdSelect) {
-        return;
+function getCredential() {
+    return userConfig?.[getCredentialField()] || '';
+}
+
+/**
+ * What the user calls their credential in messages
+ * @returns {string}
+ */
+function getCredentialLabel() {
+    return authMode === 'token' ? 'access token' : 'API key';
+}
+
+/**
+ * Headers that authenticate API calls in token mode
+ * @returns {object}
+ */
+function getAuthHeaders() {
+    return authMode === 'token' && userConfig?.accessToken
+        ? { Authorization: `Bearer ${userConfig.accessToken}` }
+        : {};
+}
+
+/**
+ * Ask the server whether it holds the Gemini key (token mode) and relabel the key fields.
+ * A saved access token the server rejects (disabled or expired) is forgotten.
+ * @returns {Promise<string|null>} Why the saved token was rejected, if it was
+ */
+async function detectAuthMode() {
+    let rejection = null;
+    try {
+        const saved = JSON.parse(localStorage.getItem('geminiVoicesUserConfig') || '{}') || {};
+        const response = await fetch(CONFIG.apiModelsEndpoint, {
+            headers: saved.accessToken ? { Authorization: `Bearer ${saved.accessToken}` } : {}
+        });
+        const data = await response.json();
+        authMode = data.auth_mode === 'token' ? 'token' : 'key';
+        if (authMode === 'token' && !response.ok && saved.accessToken) {
+            logger.warn('Saved access token was rejected', { status: response.status });
+            delete saved.accessToken;
+            localStorage.setItem('geminiVoicesUserConfig', JSON.stringify(saved));
+            rejection = data.error;
+        }
+    } catch (error) {
+        logger.warn('Could not detect the auth mode; using browser API keys', { error_message: error.message });
     }
-    
-    const modelId = modelIdSelect.value;
-    const modelInfo = getModelInfo();
-    
-    if (modelId && modelInfo[modelId]) {
-        const info = modelInfo[modelId];
-        descDiv.innerHTML = `
-            <div class="model-desc-header">
-                <h4 class="model-desc-title">${info.title}</h4>
-                <code class="model-desc-id">${info.modelId}</code>
-            </div>
-            <div class="model-desc-text">${info.description}</div>
-            <div class="model-desc-details">
-                <div class="model-desc-detail-item">
-                    <span class="detail-label">Context lengths:</span>
-                    <span class="detail-value">${info.contextLengths}</span>
-                </div>
-                <div class="model-desc-detail-item">
-                    <span class="detail-label">Pricing:</span>
-                    <span class="detail-value">Input: ${info.inputPrice} / Output: ${info.outputPrice}</span>
-                </div>
-                <div class="model-desc-detail-item">
-                    <span class="detail-label">Knowledge cut off:</span>
-                    <span class="detail-value">${info.knowledgeCutoff}</span>
-                </div>
-            </div>
-        `;
-        descDiv.style.display = 'block';
-    } else {
-        descDiv.style.display = 'none';
+    logger.info('Auth mode detected', { auth_mode: authMode });
+
+    if (authMode === 'token') {
+        document.querySelectorAll('.credential-label').forEach(label => {
+            label.textContent = 'Access Token';
+        });
+        document.querySelectorAll('.credential-hint').forEach(hint => {
+            hint.textContent = 'This server holds the Gemini API key. Ask your admin for an access token.';
+        });
+        ['setupApiKey', 'settingApiKey'].forEach(id => {
+            const input = document.getElementById(id);
+            if (input) {
+                input.placeholder = 'Enter the access token from your admin';
+            }
+        });
+        const privacyText = document.getElementById('setupPrivacyText');
+        if (privacyText) {
+            privacyText.innerHTML = '<strong>Privacy Notice:</strong> Your access token is stored locally in your browser and only sent to this server, which calls Gemini with its own API key.';
+        }
+        const testApiKeyBtn = document.getElementById('testApiKeyBtn');
+        if (testApiKeyBtn) {
+            testApiKeyBtn.textContent = 'Test Access Token';
+        }
     }
+    return rejection;
 }
 
 /**
@@ -735,7 +1399,7 @@ async function validateApiKey(apiKey) {
     }
     
     // Basic format validation - Gemini API keys typically start with AIza and are ~39 chars
-    if (!apiKey.startsWith('AIza') || apiKey.length < 35) {
+    if (authMode !== 'token' && (!apiKey.startsWith('AIza') || apiKey.length < 35)) {
         logger.warn('API key format validation failed');
         return false;
     }
@@ -816,7 +1480,7 @@ async function handleValidateClick(e) {
     
     if (!apiKey) {
         logger.warn('Validation rejected: API key missing');
-        showError('Please enter your API key');
+        showError(`Please enter your ${getCredentialLabel()}`);
         return;
     }
     
@@ -834,7 +1498,7 @@ async function handleValidateClick(e) {
         const isValid = await validateApiKey(apiKey);
         if (!isValid) {
             logger.warn('API key validation failed');
-            showError('Invalid API key. Please check your key and try again.');
+            showError(`Invalid ${getCredentialLabel()}. Please check it and try again.`);
             validateBtn.disabled = false;
             validateBtn.textContent = originalBtnText;
             isApiKeyValidated = false;
@@ -860,7 +1524,7 @@ async function handleValidateClick(e) {
         
     } catch (error) {
         logger.error('Error validating API key', error);
-        showError('Failed to validate API key. Please check your connection and try again.');
+        showError(`Failed to validate ${getCredentialLabel()}. Please check your connection and try again.`);
         validateBtn.disabled = false;
         validateBtn.textContent = originalBtnText;
         isApiKeyValidated = false;
@@ -875,7 +1539,7 @@ async function handleSaveAndContinue(e) {
     
     if (!isApiKeyValidated) {
         logger.warn('Save attempted without validation');
-        showError('Please validate your API key first');
+        showError(`Please validate your ${getCredentialLabel()} first`);
         return;
     }
     
@@ -885,7 +1549,7 @@ async function handleSaveAndContinue(e) {
     
     if (!apiKey) {
         logger.warn('Save rejected: API key missing');
-        showError('Please enter your API key');
+        showError(`Please enter your ${getCredentialLabel()}`);
         return;
     }
     
@@ -898,10 +1562,9 @@ async function handleSaveAndContinue(e) {
     
     logger.info('Saving user configuration');
     
-    // Save user config (model ID will be set from main form)
+    // Save user config (model ID defaults to the server's in loadModels() and can be changed in the main form)
     userConfig = {
-        apiKey: apiKey,
-        modelId: 'gemini-2.5-flash-preview-tts' // Default model
+        [getCredentialField()]: apiKey
     };
     
     try {
@@ -977,6 +1640,7 @@ async function initializeMainApp() {
         await loadModels();
         loadSettings();
         setupEventListeners();
+        loadUsage();
         logger.success('Main application initialized successfully');
     } catch (error) {
         logger.error('Error in initializeMainApp', error);
@@ -989,6 +1653,170 @@ async function initializeMainApp() {
     }
 }
 
+/**
+ * Whether long-form (chunked) synthesis is enabled
+ * @returns {boolean}
+ */
+function isLongFormEnabled() {
+    return !!document.getElementById('longFormToggle')?.checked;
+}
+
+/**
+ * Maximum text length for the current mode
+ * @returns {number}
+ */
+function getTextLimit() {
+    return isLongFormEnabled() ? CONFIG.longFormMaxTextLength : CONFIG.maxTextLength;
+}
+
+/**
+ * Read named Server-Sent Events from a fetch response body
+ * @param {Response} response - Fetch response with a text/event-stream body
+ * @param {Function} onEvent - Called with (eventName, data) for each event
+ */
+async function readServerEvents(response, onEvent) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    const dispatch = (block) => {
+        let eventName = 'message';
+        const dataLines = [];
+        for (const line of block.split('\n')) {
+            if (line.startsWith('event:')) {
+                eventName = line.slice(6).trim();
+            } else if (line.startsWith('data:')) {
+                dataLines.push(line.slice(5).trimStart());
+            }
+        }
+        if (dataLines.length > 0) {
+            onEvent(eventName, JSON.parse(dataLines.join('\n')));
+        }
+    };
+
+    while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        buffer += decoder.decode(value, { stream: true }).replace(/\r\n/g, '\n');
+
+        let boundary;
+        while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+            dispatch(buffer.slice(0, boundary));
+            buffer = buffer.slice(boundary + 2);
+        }
+    }
+    if (buffer.trim()) {
+        dispatch(buffer);
+    }
+}
+
+/**
+ * Show long-form synthesis progress below the generate button
+ * @param {number} completed - Chunks synthesized so far
+ * @param {number} total - Total number of chunks
+ */
+function updateSynthesisProgress(completed, total) {
+    const progress = document.getElementById('synthesisProgress');
+    progress.style.display = 'flex';
+    document.getElementById('synthesisProgressFill').style.width = `${total ? (completed / total) * 100 : 0}%`;
+    document.getElementById('synthesisProgressText').textContent = `Chunk ${completed} of ${total}`;
+}
+
+/**
+ * Show that the server is retrying a transient Gemini failure
+ * @param {{attempt: number, max_attempts: number, delay_seconds: number, chunk: number, total_chunks: number}} retry - retry event data
+ */
+function showRetryStatus(retry) {
+    const progress = document.getElementById('synthesisProgress');
+    progress.style.display = 'flex';
+    const chunkLabel = retry.total_chunks > 1 ? `Chunk ${retry.chunk} of ${retry.total_chunks}: ` : '';
+    document.getElementById('synthesisProgressText').textContent =
+        `${chunkLabel}Gemini is busy, retrying (${retry.attempt}/${retry.max_attempts})… in ${retry.delay_seconds}s`;
+}
+
+/**
+ * Hide the long-form progress bar
+ */
+function hideSynthesisProgress() {
+    const progress = document.getElementById('synthesisProgress');
+    if (progress) {
+        progress.style.display = 'none';
+        document.getElementById('synthesisProgressFill').style.width = '0';
+    }
+}
+
+/**
+ * Build the /api/synthesize request body shared by single and batch synthesis:
+ * credentials, the accent and markup mode chosen in the main form and any saved settings
+ * @param {string} text - Text to speak
+ * @param {string} modelName - Voice name
+ * @param {string} expression - Expression name
+ * @param {object} [settingsSnapshot] - Settings to send instead of the current ones (history re-run)
+ * @returns {object} Request body
+ */
+function buildSynthesisRequestBody(text, modelName, expression, settingsSnapshot) {
+    // Get current model ID from form
+    const currentModelId = document.getElementById('modelIdSelect')?.value || userConfig.modelId;
+    
+    const requestBody = {
+        text: text,
+        model_name: modelName,
+        expression: expression,
+        apiKey: userConfig.apiKey,
+        modelId: currentModelId
+    };
+    
+    // Accent: a catalogue id, or custom instruction text that overrides it
+    const accentValue = document.getElementById('accentSelect')?.value;
+    if (accentValue === 'custom') {
+        requestBody.accent_instruction = getSelectedAccentInstruction();
+    } else if (accentValue) {
+        requestBody.accent = accentValue;
+    }
+    
+    if (document.getElementById('markupToggle')?.checked) {
+        requestBody.markup = true;
+    }
+    
+    // Rate, pitch and volume (left out at the natural settings)
+    const prosody = getProsodyValues();
+    if (prosody.rate !== 1 || prosody.pitch !== 0 || prosody.gain !== 0) {
+        requestBody.prosody = prosody;
+    }
+    
+    const musicBedRequest = getMusicBedRequest();
+    if (musicBedRequest) {
+        requestBody.music_bed = musicBedRequest;
+    }
+    
+    // Regenerate even if the server has this exact request cached
+    if (document.getElementById('skipCacheToggle')?.checked) {
+        requestBody.cache = false;
+    }
+    
+    const variables = getTemplateValues(text);
+    if (Object.keys(variables).length > 0) {
+        requestBody.variables = variables;
+    }
+    
+    // Add custom settings if user has modified them
+    const settingsSource = settingsSnapshot || currentSettings;
+    if (Object.keys(settingsSource).length > 0) {
+        requestBody.settings = {
+            audio: settingsSource.audio,
+            accentInstruction: settingsSource.accentInstruction,
+            modelNamePlaceholder: settingsSource.modelNamePlaceholder,
+            expressionInstructions: settingsSource.expressionInstructions,
+            lexicon: settingsSource.lexicon
+        };
+        logger.debug('Custom settings added to request', {
+          settings_keys: Object.keys(requestBody.settings)
+        });
+    }
+    
+    return requestBody;
+}
+
 /**
  * Handle form submission
  */
@@ -1001,6 +1829,10 @@ async function handleFormSubmit(e) {
     const modelName = formData.get('model_name');
     const expression = formData.get('expression');
     const textInput = document.getElementById('textInput');
+    
+    // Take the history re-run snapshot (if any) so it only applies to this submit
+    const settingsSnapshot = historyRerunSettings;
+    historyRerunSettings = null;
 
     // Validate inputs (real-time validation should have caught these, but double-check)
     if (!validateForm()) {
@@ -1014,57 +1846,64 @@ async function handleFormSubmit(e) {
         return;
     }
 
-    if (!modelName || !expression) {
+    const dialogueEnabled = isDialogueEnabled();
+    if ((!modelName && !dialogueEnabled) || !expression) {
         showError(CONFIG.errorMessages.noModelExpression);
         return;
     }
     
     // Check if text is too long (optional validation)
-    if (trimmedText.length > 5000) {
-        showError('Text is too long. Please keep it under 5000 characters.');
+    const longForm = isLongFormEnabled();
+    if (trimmedText.length > getTextLimit()) {
+        showError(longForm
+            ? `Text is too long. Please keep it under ${CONFIG.longFormMaxTextLength} characters.`
+            : `Text is too long. Please keep it under ${CONFIG.maxTextLength} characters, or enable long-form mode.`);
         return;
     }
 
     // Hide previous errors and audio
     hideError();
     hideAudioSection();
+    stopStreamPlayer();
 
     // Show loading state
     setLoading(true);
 
     try {
         // Validate userConfig before sending
-        if (!userConfig || !userConfig.apiKey || !userConfig.modelId) {
+        if (!userConfig || !getCredential() || !userConfig.modelId) {
             showError('Configuration missing. Please set up your API key and model in the settings.');
             setLoading(false);
             return;
         }
         
-        // Get current model ID from form
-        const currentModelId = document.getElementById('modelIdSelect')?.value || userConfig.modelId;
+        const requestBody = buildSynthesisRequestBody(trimmedText, modelName, expression, settingsSnapshot);
         
-        // Include settings in request if available
-        const requestBody = {
-            text: trimmedText,
-            model_name: modelName,
-            expression: expression,
-            apiKey: userConfig.apiKey,
-            modelId: currentModelId
-        };
+        if (dialogueEnabled) {
+            requestBody.dialogue = { speakers: getDialogueSpeakers() };
+        }
+        
+        if (document.getElementById('captionsToggle')?.checked) {
+            requestBody.captions = true;
+        }
         
-        // Add custom settings if user has modified them
-        if (Object.keys(currentSettings).length > 0) {
-            requestBody.settings = {
-                audio: currentSettings.audio,
-                accentInstruction: currentSettings.accentInstruction,
-                modelNamePlaceholder: currentSettings.modelNamePlaceholder,
-                expressionInstructions: currentSettings.expressionInstructions
+        const streamAudio = !!document.getElementById('streamToggle')?.checked;
+        if (streamAudio) {
+            requestBody.stream = true;
+            streamPlayer = createStreamPlayer();
+        }
+        
+        if (longForm) {
+            const silenceMs = parseInt(document.getElementById('longFormSilence').value, 10);
+            requestBody.long_form = {
+                silenceMs: Number.isNaN(silenceMs) ? CONFIG.longFormDefaultSilenceMs : silenceMs
             };
-            logger.debug('Custom settings added to request', {
-              settings_keys: Object.keys(requestBody.settings)
-            });
         }
         
+        // Ask for an event stream so the server's retries of transient Gemini errors can be shown
+        requestBody.events = true;
+        synthesisAbortController = new AbortController();
+        
         logger.api('POST', CONFIG.apiSynthesizeEndpoint, {
           text_length: trimmedText.length,
           model_name: modelName,
@@ -1076,8 +1915,10 @@ async function handleFormSubmit(e) {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json',
+                ...getAuthHeaders()
             },
-            body: JSON.stringify(requestBody)
+            body: JSON.stringify(requestBody),
+            signal: synthesisAbortController.signal
         });
         
         logger.debug('Synthesis API response received', {
@@ -1090,7 +1931,8 @@ async function handleFormSubmit(e) {
         if (!response.ok) {
             logger.warn('Synthesis API returned error status', {
               status: response.status,
-              status_text: response.statusText
+              status_text: response.statusText,
+              request_id: response.headers.get('X-Request-Id')
             });
             
             let errorData;
@@ -1106,12 +1948,51 @@ async function handleFormSubmit(e) {
             const error = new Error(errorData.error || errorData.detail || 'Synthesis failed');
             error.response = response;
             error.errorData = errorData;
+            updateQuotaStatus(errorData.usage);
             throw error;
         }
 
         let data;
         try {
-            data = await response.json();
+            if (response.headers.get('content-type')?.includes('text/event-stream')) {
+                // Long-form/streaming: progress and audio events arrive while synthesis runs
+                let streamError = null;
+                let streamFormat = null;
+                let streamedPieces = 0;
+                await readServerEvents(response, (eventName, eventData) => {
+                    if (eventName === 'start') {
+                        streamFormat = eventData;
+                        logger.debug('Audio stream started', eventData);
+                    } else if (eventName === 'audio') {
+                        if (streamPlayer && streamFormat) {
+                            streamPlayer.play(eventData.data, streamFormat);
+                        }
+                        if (streamedPieces++ === 0) {
+                            logger.info('First audio chunk received, starting playback');
+                        }
+                    } else if (eventName === 'progress') {
+                        logger.debug('Long-form progress', eventData);
+                        updateSynthesisProgress(eventData.completed, eventData.total);
+                    } else if (eventName === 'retry') {
+                        logger.warn('Server is retrying Gemini', eventData);
+                        showRetryStatus(eventData);
+                    } else if (eventName === 'complete') {
+                        data = eventData;
+                    } else if (eventName === 'error') {
+                        streamError = eventData;
+                    }
+                });
+                if (streamError) {
+                    const error = new Error(streamError.error || streamError.detail || 'Synthesis failed');
+                    error.errorData = streamError;
+                    throw error;
+                }
+                if (!data) {
+                    throw new Error('Synthesis stream ended without a result');
+                }
+            } else {
+                data = await response.json();
+            }
             logger.debug('Success response parsed', {
               has_file_data: !!data.file_data,
               file_type: data.file_type,
@@ -1120,6 +2001,7 @@ async function handleFormSubmit(e) {
               text_length: data.text_length
             });
         } catch (e) {
+            if (e.errorData) throw e;
             logger.error('Failed to parse success response JSON', e);
             throw new Error('Invalid JSON response from server');
         }
@@ -1143,11 +2025,12 @@ async function handleFormSubmit(e) {
         
         logger.info('Converting base64 audio to blob', {
           file_type: data.file_type,
+          mime_type: data.mime_type,
           base64_length: data.file_data.length,
           base64_size_kb: (data.file_data.length / 1024).toFixed(2)
         });
         
-        const audioBlob = base64ToBlob(data.file_data, `audio/${data.file_type}`);
+        const audioBlob = base64ToBlob(data.file_data, data.mime_type || `audio/${data.file_type}`);
         currentAudioBlob = audioBlob;
         currentFilename = `${CONFIG.audioFilenamePrefix}${data.model_used}_${data.expression_used}_${Date.now()}.${data.file_type}`;
         
@@ -1160,17 +2043,32 @@ async function handleFormSubmit(e) {
 
         // Display audio
         displayAudio(audioBlob, data);
+        updateQuotaStatus(data.usage);
+        // Price the request and add it to the usage ledger (costs.js)
+        showRequestCost(recordUsage(data));
+        
+        // Keep the take in local history (history.js)
+        saveToHistory(audioBlob, currentFilename, data, requestBody);
         
         // Show success message
         logger.success('Speech synthesis completed successfully', {
           model_used: data.model_used,
           expression_used: data.expression_used,
           file_type: data.file_type,
-          audio_size_kb: (audioBlob.size / 1024).toFixed(2)
+          audio_size_kb: (audioBlob.size / 1024).toFixed(2),
+          cached: !!data.cached
         });
-        showSuccess('Speech generated successfully!');
+        showSuccess(data.cached
+            ? 'Speech loaded from cache - no new Gemini call was made. Tick "Skip cache" to regenerate.'
+            : 'Speech generated successfully!');
 
     } catch (error) {
+        stopStreamPlayer();
+        if (error.name === 'AbortError') {
+            logger.info('Synthesis cancelled by user');
+            showError('Speech generation cancelled.');
+            return;
+        }
         logger.error('Synthesis error occurred', error, {
           model_name: modelName,
           expression: expression,
@@ -1184,6 +2082,7 @@ async function handleFormSubmit(e) {
         
         // Check for quota/rate limit errors
         if (errorData?.errorType === 'quota_exceeded' || 
+            errorData?.errorType === 'rate_limited' || 
             error.message?.includes('429') || 
             error.message?.includes('quota') || 
             error.message?.includes('rate limit') ||
@@ -1228,6 +2127,7 @@ async function handleFormSubmit(e) {
         showError(errorMessage);
     } finally {
         logger.debug('Form submission completed, resetting loading state');
+        synthesisAbortController = null;
         setLoading(false);
         validateForm();
     }
@@ -1254,6 +2154,64 @@ function base64ToBlob(base64, mimeType) {
     }
 }
 
+/**
+ * Create a Web Audio player that plays raw 16-bit PCM pieces back to back as they arrive.
+ * Create it inside the submit handler so browsers allow the AudioContext to start.
+ * @returns {{play: Function, stop: Function}}
+ */
+function createStreamPlayer() {
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+    const context = new AudioContextClass();
+    context.resume();
+    let nextStartTime = 0;
+
+    return {
+        /**
+         * Queue a PCM piece right after the previous one
+         * @param {string} base64Pcm - Base64 little-endian 16-bit PCM
+         * @param {{sample_rate: number, channels: number}} format - PCM layout from the start event
+         */
+        play(base64Pcm, format) {
+            const byteCharacters = atob(base64Pcm);
+            const view = new DataView(new ArrayBuffer(byteCharacters.length));
+            for (let i = 0; i < byteCharacters.length; i++) {
+                view.setUint8(i, byteCharacters.charCodeAt(i));
+            }
+            const frames = Math.floor(byteCharacters.length / (2 * format.channels));
+            if (frames === 0) return;
+
+            const buffer = context.createBuffer(format.channels, frames, format.sample_rate);
+            for (let channel = 0; channel < format.channels; channel++) {
+                const channelData = buffer.getChannelData(channel);
+                for (let i = 0; i < frames; i++) {
+                    channelData[i] = view.getInt16((i * format.channels + channel) * 2, true) / 32768;
+                }
+            }
+
+            const source = context.createBufferSource();
+            source.buffer = buffer;
+            source.connect(context.destination);
+            // Small lead time so the first piece (and any late piece) doesn't start clipped
+            nextStartTime = Math.max(nextStartTime, context.currentTime + 0.05);
+            source.start(nextStartTime);
+            nextStartTime += buffer.duration;
+        },
+        stop() {
+            context.close();
+        }
+    };
+}
+
+/**
+ * Stop any streamed playback still running
+ */
+function stopStreamPlayer() {
+    if (streamPlayer) {
+        streamPlayer.stop();
+        streamPlayer = null;
+    }
+}
+
 /**
  * Display audio player and info
  */
@@ -1262,6 +2220,7 @@ function displayAudio(audioBlob, data) {
     const audioPlayer = document.getElementById('audioPlayer');
     const modelUsed = document.getElementById('modelUsed');
     const expressionUsed = document.getElementById('expressionUsed');
+    const accentUsed = document.getElementById('accentUsed');
     const textLength = document.getElementById('textLength');
 
     // Create object URL for audio
@@ -1278,6 +2237,17 @@ function displayAudio(audioBlob, data) {
     // Update info
     modelUsed.textContent = modelDisplay;
     expressionUsed.textContent = formatExpressionName(data.expression_used);
+    const accentEntry = accentCatalogue.find(entry => entry.id === data.accent_used);
+    accentUsed.textContent = accentEntry ? accentEntry.label : (data.accent_used === 'custom' ? 'Custom' : data.accent_used || '');
+    const loudness = data.audio_info?.loudness_lufs;
+    document.getElementById('loudnessInfo').style.display = loudness !== undefined ? '' : 'none';
+    document.getElementById('loudnessUsed').textContent = formatLoudness(data);
+    document.getElementById('prosodyInfo').style.display = data.prosody ? '' : 'none';
+    document.getElementById('prosodyUsed').textContent = data.prosody ? formatProsody(data.prosody) : '';
+    document.getElementById('musicBedInfo').style.display = data.music_bed ? '' : 'none';
+    document.getElementById('musicBedUsed').textContent = data.music_bed ? formatMusicBed(data.music_bed) : '';
+    currentCaptions = data.captions || null;
+    document.getElementById('captionDownloads').style.display = currentCaptions ? '' : 'none';
     textLength.textContent = data.text_length;
 
     // Show audio section with animation
@@ -1289,6 +2259,24 @@ function displayAudio(audioBlob, data) {
     // audioPlayer.play().catch(e => console.log('Auto-play prevented:', e));
 }
 
+/**
+ * Describe the measured loudness of a clip, e.g. "-16.0 LUFS, peak -1.2 dBFS, 3.4 s (normalized, trimmed)"
+ * @param {object} data - /api/synthesize response
+ * @returns {string}
+ */
+function formatLoudness(data) {
+    const info = data.audio_info || {};
+    const parts = [
+        info.loudness_lufs === null ? 'silent' : `${info.loudness_lufs?.toFixed(1)} LUFS`,
+        ...(info.peak_dbfs !== null && info.peak_dbfs !== undefined ? [`peak ${info.peak_dbfs.toFixed(1)} dBFS`] : []),
+        `${info.duration_seconds?.toFixed(1)} s`
+    ];
+    const steps = [];
+    if (data.post_processing?.normalize) steps.push('normalized');
+    if (data.post_processing?.trim_threshold_db !== undefined) steps.push('trimmed');
+    return `${parts.join(', ')}${steps.length > 0 ? ` (${steps.join(', ')})` : ''}`;
+}
+
 /**
  * Handle audio download
  */
@@ -1296,11 +2284,37 @@ function handleDownload() {
     if (!currentAudioBlob) {
         return;
     }
+    saveFile(currentAudioBlob, currentFilename);
+}
 
-    const url = URL.createObjectURL(currentAudioBlob);
+/**
+ * Download the captions of the current clip, named after its audio file
+ * @param {string} format - 'srt', 'vtt' or 'json' (sentence timings)
+ */
+function handleCaptionDownload(format) {
+    if (!currentCaptions) {
+        return;
+    }
+    const baseName = currentFilename.replace(/\.[^.]+$/, '');
+    if (format === 'json') {
+        saveFile(new Blob([JSON.stringify(currentCaptions.timings, null, 2)], { type: 'application/json' }), `${baseName}.timings.json`);
+    } else if (format === 'vtt') {
+        saveFile(new Blob([currentCaptions.vtt], { type: 'text/vtt' }), `${baseName}.vtt`);
+    } else {
+        saveFile(new Blob([currentCaptions.srt], { type: 'application/x-subrip' }), `${baseName}.srt`);
+    }
+}
+
+/**
+ * Save a blob through a temporary download link
+ * @param {Blob} blob - File contents
+ * @param {string} filename - Suggested file name
+ */
+function saveFile(blob, filename) {
+    const url = URL.createObjectURL(blob);
     const a = document.createElement('a');
     a.href = url;
-    a.download = currentFilename;
+    a.download = filename;
     document.body.appendChild(a);
     a.click();
     document.body.removeChild(a);
@@ -1438,6 +2452,7 @@ function validateForm() {
     const modelId = document.getElementById('modelIdSelect')?.value;
     const model = modelSelect.value;
     const expression = expressionSelect.value;
+    const missingVariables = findTemplateVariables(text).filter(name => !templateValues[name]?.trim());
     
     let validationMessage = '';
     let isValid = true;
@@ -1445,12 +2460,35 @@ function validateForm() {
     if (!text) {
         validationMessage = 'Enter text to synthesize';
         isValid = false;
-    } else if (text.length > 5000) {
-        validationMessage = 'Text is too long (max 5000 characters)';
+    } else if (text.length > getTextLimit()) {
+        validationMessage = isLongFormEnabled()
+            ? `Text is too long (max ${CONFIG.longFormMaxTextLength} characters)`
+            : `Text is too long (max ${CONFIG.maxTextLength} characters) - enable long-form mode for longer scripts`;
+        isValid = false;
+    } else if (missingVariables.length > 0) {
+        validationMessage = `Fill in ${missingVariables.map(name => `{{${name}}}`).join(', ')}`;
         isValid = false;
     } else if (!modelId) {
         validationMessage = 'Select a TTS model';
         isValid = false;
+    } else if (document.getElementById('accentSelect')?.value === 'custom' && !getSelectedAccentInstruction()) {
+        validationMessage = 'Enter a custom accent instruction';
+        isValid = false;
+    } else if (isDialogueEnabled()) {
+        const labels = getDialogueSpeakers().map(entry => entry.speaker);
+        if (getModelInfo()[modelId]?.multiSpeaker === false) {
+            validationMessage = 'The selected TTS model supports a single speaker only - choose another model for dialogue';
+            isValid = false;
+        } else if (labels.some(label => !label)) {
+            validationMessage = 'Enter a label for each speaker';
+            isValid = false;
+        } else if (new Set(labels).size !== labels.length) {
+            validationMessage = 'Speaker labels must be different';
+            isValid = false;
+        } else if (!expression) {
+            validationMessage = 'Select a speaking style';
+            isValid = false;
+        }
     } else if (!model) {
         validationMessage = 'Select a voice model';
         isValid = false;
@@ -1478,6 +2516,54 @@ function validateForm() {
     return isValid;
 }
 
+/**
+ * Show how much of the server's per-key rate limits is left
+ * @param {object} [usage] - usage from /api/synthesize or /api/usage
+ */
+function updateQuotaStatus(usage) {
+    const quotaStatus = document.getElementById('quotaStatus');
+    if (!quotaStatus || !usage) return;
+
+    const parts = [];
+    const requests = usage.requests_per_minute;
+    const characters = usage.characters_per_day;
+    if (requests?.limit) {
+        parts.push(`${requests.remaining} of ${requests.limit} requests left this minute`);
+    }
+    if (characters?.limit) {
+        parts.push(`${characters.remaining.toLocaleString()} of ${characters.limit.toLocaleString()} characters left today`);
+    }
+    quotaStatus.textContent = parts.join(' · ');
+    quotaStatus.style.display = parts.length > 0 ? 'block' : 'none';
+    quotaStatus.classList.toggle('low', (requests?.limit && requests.remaining === 0) ||
+        (characters?.limit && characters.remaining < characters.limit * 0.1));
+}
+
+/**
+ * Load the current rate limit usage for this key or access token
+ */
+async function loadUsage() {
+    try {
+        const response = await fetch(CONFIG.apiUsageEndpoint, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                ...getAuthHeaders()
+            },
+            body: JSON.stringify({ apiKey: userConfig.apiKey })
+        });
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.error || `Request failed with status ${response.status}`);
+        }
+        if (data.limits_enabled) {
+            updateQuotaStatus(data.usage);
+        }
+    } catch (error) {
+        logger.warn('Could not load rate limit usage', { error_message: error.message });
+    }
+}
+
 /**
  * Hide audio section
  */
@@ -1492,6 +2578,7 @@ function hideAudioSection() {
         audioPlayer.src = '';
     }
     currentAudioBlob = null;
+    currentCaptions = null;
 }
 
 /**
@@ -1502,14 +2589,19 @@ function setLoading(loading) {
     const btnText = btn.querySelector('.btn-text');
     const loader = document.getElementById('loader');
 
+    const cancelBtn = document.getElementById('cancelSynthesisBtn');
+
     if (loading) {
         btn.disabled = true;
         btnText.textContent = 'Generating...';
         loader.style.display = 'inline-flex';
+        cancelBtn.style.display = 'block';
     } else {
         btn.disabled = false;
         btnText.textContent = 'Generate Speech';
         loader.style.display = 'none';
+        cancelBtn.style.display = 'none';
+        hideSynthesisProgress();
     }
 }
 
@@ -1535,6 +2627,19 @@ function saveSettingsToStorage() {
 function applySettings() {
     // Apply settings to UI if needed
     // Most settings are used in API calls
+    if (builtInExpressions.length > 0) {
+        populateExpressionSelects();
+    }
+    // Saved default accent and custom instruction
+    const accentSelect = document.getElementById('accentSelect');
+    if (accentSelect && accentCatalogue.length > 0 && currentSettings.defaultAccent) {
+        accentSelect.value = currentSettings.defaultAccent;
+    }
+    const accentCustomInput = document.getElementById('accentCustomInput');
+    if (accentCustomInput && currentSettings.accentInstruction) {
+        accentCustomInput.value = currentSettings.accentInstruction;
+    }
+    updateAccentCustomInput();
 }
 
 function openSettings() {
@@ -1550,7 +2655,7 @@ function openSettings() {
     // Load accent instruction into live example
     const exampleAccentInput = document.getElementById('exampleAccentInstruction');
     if (exampleAccentInput) {
-        exampleAccentInput.value = currentSettings.accentInstruction || "Say with a natural British English (UK) accent:";
+        exampleAccentInput.value = getSelectedAccentInstruction() || "Say with a natural British English (UK) accent:";
     }
     
     modal.style.display = 'flex';
@@ -1566,17 +2671,17 @@ function closeSettings() {
 }
 
 function loadSettingsIntoForm() {
-    // Load API key and model ID from userConfig
-    if (userConfig && userConfig.apiKey) {
-        document.getElementById('settingApiKey').value = userConfig.apiKey;
+    // Load API key (or access token) and model ID from userConfig
+    if (userConfig && getCredential()) {
+        document.getElementById('settingApiKey').value = getCredential();
     }
     if (userConfig && userConfig.modelId) {
         document.getElementById('settingModelId').value = userConfig.modelId;
-        updateModelDescriptionForSettings();
+        updateModelDescription('settingModelId', 'settingModelDescription');
     }
     
     // Load from API or use defaults
-    fetch(CONFIG.apiModelsEndpoint)
+    fetch(CONFIG.apiModelsEndpoint, { headers: getAuthHeaders() })
         .then(async res => {
             if (!res.ok) {
                 throw new Error(`Failed to load models: ${res.status} ${res.statusText}`);
@@ -1593,6 +2698,10 @@ function loadSettingsIntoForm() {
             document.getElementById('settingChannels').value = currentSettings.audio?.channels || 1;
             document.getElementById('settingSampleWidth').value = currentSettings.audio?.sampleWidth || 2;
             document.getElementById('settingFormat').value = currentSettings.audio?.format || 'wav';
+            document.getElementById('settingBitrate').value = currentSettings.audio?.bitrate || 64;
+            document.getElementById('settingCodec').value = currentSettings.audio?.codec || 'pcm';
+            updateCodecDependentFields();
+            loadPostProcessingIntoForm(currentSettings.audio || {});
             
             // Prompt settings
             document.getElementById('settingAccentInstruction').value = currentSettings.accentInstruction || "Say with a natural British English (UK) accent:";
@@ -1613,11 +2722,14 @@ function loadSettingsIntoForm() {
                 });
             }
             
-            document.getElementById('settingDefaultExpression').value = currentSettings.defaultExpression || data.default_expression;
+            populateDefaultAccentSelect(currentSettings.defaultAccent || data.default_accent);
+            
+            // Expression instructions (built-in plus the user's own)
+            renderExpressionEditor({ ...data.expression_instructions, ...currentSettings.expressionInstructions });
+            refreshDefaultExpressionOptions(currentSettings.defaultExpression || data.default_expression);
             
-            // Expression instructions
-            document.getElementById('settingExprProfessional').value = currentSettings.expressionInstructions?.professional_neutral || data.expression_instructions?.professional_neutral || '';
-            document.getElementById('settingExprWarm').value = currentSettings.expressionInstructions?.warm_friendly || data.expression_instructions?.warm_friendly || '';
+            // Pronunciation lexicon
+            renderLexiconEditor(currentSettings.lexicon || []);
             
             // Sample texts
             const samples = currentSettings.sampleTexts || data.sample_texts || {};
@@ -1641,18 +2753,68 @@ function loadDefaultSettingsIntoForm() {
     document.getElementById('settingChannels').value = 1;
     document.getElementById('settingSampleWidth').value = 2;
     document.getElementById('settingFormat').value = 'wav';
+    document.getElementById('settingBitrate').value = 64;
+    document.getElementById('settingCodec').value = 'pcm';
+    updateCodecDependentFields();
+    loadPostProcessingIntoForm({});
     document.getElementById('settingAccentInstruction').value = "Say with a natural British English (UK) accent:";
     document.getElementById('settingModelPlaceholder').value = "<modelname>";
-    document.getElementById('settingDefaultExpression').value = 'professional_neutral';
+    renderExpressionEditor(builtInExpressionInstructions);
+    refreshDefaultExpressionOptions(defaultExpressionName);
+    populateDefaultAccentSelect(defaultAccentId);
+    renderLexiconEditor([]);
+}
+
+/**
+ * Fill the default accent select in settings
+ * @param {string} selected - Accent id to select
+ */
+function populateDefaultAccentSelect(selected) {
+    const select = document.getElementById('settingDefaultAccent');
+    if (!select) return;
+    select.innerHTML = '';
+    accentCatalogue.forEach(entry => {
+        const option = document.createElement('option');
+        option.value = entry.id;
+        option.textContent = entry.label;
+        select.appendChild(option);
+    });
+    const customOption = document.createElement('option');
+    customOption.value = 'custom';
+    customOption.textContent = 'Custom instruction';
+    select.appendChild(customOption);
+    select.value = selected || defaultAccentId;
 }
 
 async function saveSettings() {
+    // Check the expression and lexicon editors before saving anything
+    const expressionResult = collectExpressionInstructions();
+    if (expressionResult.error) {
+        showError(expressionResult.error);
+        return;
+    }
+    const lexiconResult = collectLexiconEntries();
+    if (lexiconResult.error) {
+        showError(lexiconResult.error);
+        return;
+    }
+    const postProcessingError = checkPostProcessingFields();
+    if (postProcessingError) {
+        showError(postProcessingError);
+        return;
+    }
+    const bitrateError = checkBitrateField();
+    if (bitrateError) {
+        showError(bitrateError);
+        return;
+    }
+    
     // Get API key and model ID from settings form
     const apiKey = document.getElementById('settingApiKey').value.trim();
     const modelId = document.getElementById('settingModelId').value;
     
     // Validate API key if it was changed
-    if (apiKey && apiKey !== userConfig?.apiKey) {
+    if (apiKey && apiKey !== getCredential()) {
         const statusSpan = document.getElementById('apiKeyStatus');
         if (statusSpan) {
             statusSpan.textContent = 'Validating...';
@@ -1662,7 +2824,7 @@ async function saveSettings() {
         try {
             const isValid = await validateApiKey(apiKey);
             if (!isValid) {
-                showError('Invalid API key. Please check your key and try again.');
+                showError(`Invalid ${getCredentialLabel()}. Please check it and try again.`);
                 if (statusSpan) {
                     statusSpan.textContent = '❌ Invalid';
                     statusSpan.style.color = '#ef4444';
@@ -1675,7 +2837,7 @@ async function saveSettings() {
             }
         } catch (error) {
             logger.error('Error validating API key in settings', error);
-            showError('Failed to validate API key. Please check your connection and try again.');
+            showError(`Failed to validate ${getCredentialLabel()}. Please check your connection and try again.`);
             if (statusSpan) {
                 statusSpan.textContent = '⚠ Error';
                 statusSpan.style.color = '#ef4444';
@@ -1686,7 +2848,7 @@ async function saveSettings() {
     
     // Update userConfig with new API key and model ID
     if (apiKey) {
-        userConfig.apiKey = apiKey;
+        userConfig[getCredentialField()] = apiKey;
     }
     if (modelId) {
         userConfig.modelId = modelId;
@@ -1707,16 +2869,18 @@ async function saveSettings() {
             sampleRate: parseInt(document.getElementById('settingSampleRate').value),
             channels: parseInt(document.getElementById('settingChannels').value),
             sampleWidth: parseInt(document.getElementById('settingSampleWidth').value),
-            format: document.getElementById('settingFormat').value
+            format: document.getElementById('settingFormat').value,
+            bitrate: parseInt(document.getElementById('settingBitrate').value),
+            codec: document.getElementById('settingCodec').value,
+            ...collectPostProcessingSettings()
         },
         accentInstruction: document.getElementById('settingAccentInstruction').value,
         modelNamePlaceholder: document.getElementById('settingModelPlaceholder').value,
         defaultModel: document.getElementById('settingDefaultModel').value,
         defaultExpression: document.getElementById('settingDefaultExpression').value,
-        expressionInstructions: {
-            professional_neutral: document.getElementById('settingExprProfessional').value,
-            warm_friendly: document.getElementById('settingExprWarm').value
-        },
+        defaultAccent: document.getElementById('settingDefaultAccent').value,
+        expressionInstructions: expressionResult.instructions,
+        lexicon: lexiconResult.entries,
         sampleTexts: {
             greeting: document.getElementById('settingSampleGreeting').value,
             business: document.getElementById('settingSampleBusiness').value,
@@ -1737,7 +2901,7 @@ async function saveSettings() {
     const modelIdSelect = document.getElementById('modelIdSelect');
     if (modelIdSelect && modelId) {
         modelIdSelect.value = modelId;
-        updateModelDescriptionForMainForm();
+        updateModelDescription('modelIdSelect', 'modelDescription');
     }
     
     closeSettings();
@@ -1746,6 +2910,145 @@ async function saveSettings() {
     showSuccessMessage('Settings saved successfully!');
 }
 
+/**
+ * G.711 codecs are WAV-only and always 8-bit, so lock the related fields
+ */
+function updateCodecDependentFields() {
+    const codecSelect = document.getElementById('settingCodec');
+    const formatSelect = document.getElementById('settingFormat');
+    const sampleWidthSelect = document.getElementById('settingSampleWidth');
+    if (!codecSelect || !formatSelect || !sampleWidthSelect) {
+        return;
+    }
+    
+    const isWav = formatSelect.value === 'wav';
+    if (!isWav) {
+        codecSelect.value = 'pcm';
+    }
+    codecSelect.disabled = !isWav;
+    
+    const isG711 = codecSelect.value !== 'pcm';
+    if (isG711) {
+        sampleWidthSelect.value = '1';
+    }
+    sampleWidthSelect.disabled = isG711 || !isWav;
+
+    // MP3 only offers the bitrates lame keeps at this sample rate; move off one that isn't
+    const bitrateSelect = document.getElementById('settingBitrate');
+    const allowed = formatSelect.value === 'mp3' ? getMp3Bitrates() : null;
+    Array.from(bitrateSelect.options).forEach(option => {
+        option.disabled = !!allowed && !allowed.includes(Number(option.value));
+    });
+    if (allowed && !allowed.includes(Number(bitrateSelect.value))) {
+        const current = Number(bitrateSelect.value);
+        bitrateSelect.value = allowed.reduce((best, value) => (Math.abs(value - current) < Math.abs(best - current) ? value : best));
+    }
+}
+
+/**
+ * MP3 bitrates the server accepts at the sample rate chosen in settings
+ * @returns {number[]|null} Bitrates in kbps, or null before the server rules have loaded
+ */
+function getMp3Bitrates() {
+    return mp3Bitrates?.[document.getElementById('settingSampleRate').value] || null;
+}
+
+/**
+ * Check the MP3 bitrate suits the sample rate
+ * @returns {string} Error message, or '' when valid
+ */
+function checkBitrateField() {
+    const allowed = document.getElementById('settingFormat').value === 'mp3' ? getMp3Bitrates() : null;
+    const bitrate = parseInt(document.getElementById('settingBitrate').value);
+    if (allowed && !allowed.includes(bitrate)) {
+        return `MP3 at ${document.getElementById('settingSampleRate').value} Hz supports ${allowed.join(', ')} kbps`;
+    }
+    return '';
+}
+
+/**
+ * Default target for a loudness normalization mode
+ * @param {string} mode - 'off', 'lufs' or 'peak'
+ * @returns {number|null}
+ */
+function getDefaultNormalizeTarget(mode) {
+    if (mode === 'lufs') return postProcessingRules.lufsTarget;
+    if (mode === 'peak') return postProcessingRules.peakTarget;
+    return null;
+}
+
+/**
+ * Fill the post-processing fields from saved audio settings
+ * @param {object} audio - currentSettings.audio (missing fields use the server defaults)
+ */
+function loadPostProcessingIntoForm(audio) {
+    const mode = audio.normalize || 'off';
+    document.getElementById('settingNormalize').value = mode;
+    document.getElementById('settingNormalizeTarget').value = audio.normalizeTarget ?? getDefaultNormalizeTarget(mode) ?? '';
+    document.getElementById('settingTrimSilence').value = audio.trimSilence ? 'on' : 'off';
+    document.getElementById('settingTrimThreshold').value = audio.trimThresholdDb ?? postProcessingRules.trimThresholdDb;
+    document.getElementById('settingTrimPadding').value = audio.trimPaddingMs ?? postProcessingRules.trimPaddingMs;
+    updatePostProcessingFields();
+}
+
+/**
+ * Label the target with the mode's unit and range, and disable fields that don't apply
+ */
+function updatePostProcessingFields() {
+    const mode = document.getElementById('settingNormalize').value;
+    const target = document.getElementById('settingNormalizeTarget');
+    const rules = postProcessingRules;
+    const [min, max, unit] = mode === 'peak'
+        ? [rules.minPeakTarget, rules.maxPeakTarget, 'dBFS']
+        : [rules.minLufsTarget, rules.maxLufsTarget, 'LUFS'];
+    Object.assign(target, { min, max, disabled: mode === 'off' });
+    document.getElementById('settingNormalizeTargetLabel').textContent = mode === 'off' ? 'Target' : `Target (${unit}, ${min} to ${max})`;
+
+    const trimEnabled = document.getElementById('settingTrimSilence').value === 'on';
+    const threshold = document.getElementById('settingTrimThreshold');
+    Object.assign(threshold, { min: rules.minTrimThresholdDb, max: rules.maxTrimThresholdDb, disabled: !trimEnabled });
+    const padding = document.getElementById('settingTrimPadding');
+    Object.assign(padding, { max: rules.maxTrimPaddingMs, disabled: !trimEnabled });
+}
+
+/**
+ * Check the enabled post-processing fields are within the server's limits
+ * @returns {string} Error message, or '' when valid
+ */
+function checkPostProcessingFields() {
+    const fields = [
+        ['settingNormalizeTarget', 'Normalization target'],
+        ['settingTrimThreshold', 'Silence threshold'],
+        ['settingTrimPadding', 'Padding']
+    ];
+    for (const [id, label] of fields) {
+        const input = document.getElementById(id);
+        const value = parseFloat(input.value);
+        if (!input.disabled && (Number.isNaN(value) || value < Number(input.min) || value > Number(input.max))) {
+            return `${label} must be between ${input.min} and ${input.max}`;
+        }
+    }
+    return '';
+}
+
+/**
+ * Post-processing fields for settings.audio
+ * @returns {{normalize: string, normalizeTarget?: number, trimSilence: boolean, trimThresholdDb?: number, trimPaddingMs?: number}}
+ */
+function collectPostProcessingSettings() {
+    const normalize = document.getElementById('settingNormalize').value;
+    const trimSilence = document.getElementById('settingTrimSilence').value === 'on';
+    return {
+        normalize,
+        ...(normalize !== 'off' && { normalizeTarget: parseFloat(document.getElementById('settingNormalizeTarget').value) }),
+        trimSilence,
+        ...(trimSilence && {
+            trimThresholdDb: parseFloat(document.getElementById('settingTrimThreshold').value),
+            trimPaddingMs: parseInt(document.getElementById('settingTrimPadding').value)
+        })
+    };
+}
+
 function resetSettings() {
     if (confirm('Are you sure you want to reset all settings to defaults?')) {
         localStorage.removeItem('geminiVoicesSettings');
@@ -1800,7 +3103,7 @@ function generateExample() {
     }
     
     // Get expression instruction
-    fetch(CONFIG.apiModelsEndpoint)
+    fetch(CONFIG.apiModelsEndpoint, { headers: getAuthHeaders() })
         .then(async res => {
             if (!res.ok) {
                 throw new Error(`Failed to load models: ${res.status} ${res.statusText}`);
@@ -1812,7 +3115,7 @@ function generateExample() {
             }
         })
         .then(data => {
-            const expressionInstructions = data.expression_instructions || {};
+            const expressionInstructions = { ...data.expression_instructions, ...currentSettings.expressionInstructions };
             const expressionInstruction = expressionInstructions[expression] || '';
             
             // Process text (replace placeholder if exists)
@@ -0,0 +1,656 @@
+/**
+ * Batch Synthesis
+ * Runs a CSV/JSON list of prompts through /api/synthesize (one request per row)
+ * and bundles the results into a single ZIP with a manifest.
+ * Loaded after app.js and uses its helpers (logger, buildSynthesisRequestBody, base64ToBlob, ...)
+ */
+
+let batchRows = []; // Parsed rows with their status and result
+let batchZipBlob = null; // Finished ZIP
+let batchZipFilename = '';
+let batchAbortController = null;
+
+const BATCH_STATUS_LABELS = {
+    pending: 'Queued',
+    running: 'Synthesizing…',
+    done: 'Done',
+    failed: 'Failed',
+    invalid: 'Invalid',
+    cancelled: 'Cancelled'
+};
+
+document.addEventListener('DOMContentLoaded', () => {
+    const fileInput = document.getElementById('batchFileInput');
+    if (!fileInput) return;
+
+    fileInput.addEventListener('change', handleBatchFile);
+    document.getElementById('batchStartBtn').addEventListener('click', runBatch);
+    document.getElementById('batchCancelBtn').addEventListener('click', () => {
+        if (batchAbortController) {
+            logger.info('Batch cancelled by user');
+            batchAbortController.abort();
+        }
+    });
+    document.getElementById('batchDownloadBtn').addEventListener('click', downloadBatchZip);
+});
+
+/**
+ * Parse CSV text into rows of cells (RFC 4180: quoted fields, doubled quotes, embedded newlines)
+ * @param {string} text - CSV content
+ * @returns {string[][]} Rows of cells
+ */
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+    if (cell || row.length > 0) {
+        row.push(cell);
+        rows.push(row);
+    }
+
+    // Drop blank lines
+    return rows.filter(cells => cells.some(value => value.trim()));
+}
+
+/**
+ * Format rows of cells as CSV, quoting cells that need it
+ * @param {Array<Array<*>>} rows - Rows of cells
+ * @returns {string} CSV text with CRLF line endings
+ */
+function formatCsv(rows) {
+    return rows.map(cells => cells.map(value => {
+        const cell = value === null || value === undefined ? '' : String(value);
+        return /[",\r\n]/.test(cell) ? `"${cell.replace(/"/g, '""')}"` : cell;
+    }).join(',')).join('\r\n') + '\r\n';
+}
+
+/**
+ * Read a batch file into plain records
+ * @param {string} content - File content
+ * @param {string} fileName - File name (used to tell JSON from CSV)
+ * @returns {object[]} One object per row
+ */
+function parseBatchFile(content, fileName) {
+    const text = content.replace(/^\uFEFF/, '');
+    const trimmed = text.trim();
+
+    if (fileName.toLowerCase().endsWith('.json') || trimmed.startsWith('[') || trimmed.startsWith('{')) {
+        const data = JSON.parse(trimmed);
+        const records = Array.isArray(data) ? data : data.rows;
+        if (!Array.isArray(records)) {
+            throw new Error('JSON batch files must be an array of rows (or an object with a "rows" array)');
+        }
+        return records;
+    }
+
+    const [header, ...rows] = parseCsv(text);
+    if (!header) {
+        throw new Error('The CSV file is empty');
+    }
+    const columns = header.map(name => name.trim().toLowerCase());
+    if (!columns.includes('text')) {
+        throw new Error('The CSV header must include a "text" column');
+    }
+    return rows.map(cells => Object.fromEntries(columns.map((column, index) => [column, cells[index] ?? ''])));
+}
+
+// Record fields with a meaning of their own; any other field is a {{variable}} value
+const BATCH_ROW_FIELDS = ['id', 'text', 'voice', 'model_name', 'expression', 'filename', 'file_name', 'variables'];
+
+/**
+ * Collect a record's {{variable}} values from its extra fields and its "variables" object.
+ * Blank values are left out so the form's value is used instead.
+ * @param {object} record - Record from parseBatchFile
+ * @returns {Object<string, string>} Values by variable name
+ */
+function getBatchRowVariables(record) {
+    const nested = record?.variables && typeof record.variables === 'object' ? record.variables : {};
+    const extra = Object.entries(record || {}).filter(([name]) => !BATCH_ROW_FIELDS.includes(name));
+    const variables = {};
+    [...extra, ...Object.entries(nested)].forEach(([name, value]) => {
+        const text = value === undefined || value === null ? '' : String(value).trim();
+        if (text && /^[A-Za-z_][A-Za-z0-9_]*$/.test(name)) {
+            variables[name] = text;
+        }
+    });
+    return variables;
+}
+
+/**
+ * Turn records into batch rows and validate them against the loaded voices and expressions.
+ * A blank voice or expression falls back to the one selected in the main form, and blank
+ * {{variable}} values fall back to the ones typed in the form.
+ * @param {object[]} records - Records from parseBatchFile
+ * @returns {object[]} Batch rows
+ */
+function normalizeBatchRows(records) {
+    if (records.length > CONFIG.batch.maxRows) {
+        throw new Error(`Batch files are limited to ${CONFIG.batch.maxRows} rows (this one has ${records.length})`);
+    }
+
+    const voiceNames = allVoiceModels.map(model => model.name);
+    const expressions = getAvailableExpressions();
+    const fallbackVoice = document.getElementById('modelSelect')?.value || '';
+    const fallbackExpression = document.getElementById('expressionSelect')?.value || '';
+    const seenIds = new Set();
+
+    return records.map((record, index) => {
+        const value = (...keys) => {
+            const key = keys.find(name => record?.[name] !== undefined && record[name] !== null);
+            return key ? String(record[key]).trim() : '';
+        };
+        const row = {
+            index: index + 1,
+            id: value('id'),
+            text: value('text'),
+            voice: value('voice', 'model_name') || fallbackVoice,
+            expression: value('expression') || fallbackExpression,
+            filename: value('filename', 'file_name'),
+            variables: getBatchRowVariables(record),
+            status: 'pending',
+            attempts: 0,
+            error: '',
+            result: null
+        };
+
+        let error = '';
+        if (!row.id) {
+            error = 'Missing id';
+        } else if (seenIds.has(row.id)) {
+            error = `Duplicate id "${row.id}"`;
+        } else if (!row.text) {
+            error = 'Missing text';
+        } else if (row.text.length > CONFIG.maxTextLength) {
+            error = `Text is longer than ${CONFIG.maxTextLength} characters`;
+        } else if (!voiceNames.includes(row.voice)) {
+            error = `Unknown voice "${row.voice}"`;
+        } else if (!expressions.includes(row.expression)) {
+            error = `Unknown expression "${row.expression}"`;
+        } else {
+            const missing = findTemplateVariables(row.text).filter(name => !row.variables[name] && !templateValues[name]?.trim());
+            if (missing.length > 0) {
+                error = `Missing value for ${missing.map(name => `{{${name}}}`).join(', ')}`;
+            }
+        }
+        seenIds.add(row.id);
+
+        if (error) {
+            row.status = 'invalid';
+            row.error = error;
+        }
+        return row;
+    });
+}
+
+/**
+ * Load the chosen batch file
+ * @param {Event} e - File input change event
+ */
+async function handleBatchFile(e) {
+    const file = e.target.files[0];
+    batchRows = [];
+    batchZipBlob = null;
+    document.getElementById('batchDownloadBtn').style.display = 'none';
+    if (!file) {
+        renderBatchTable();
+        return;
+    }
+
+    try {
+        const content = await file.text();
+        batchRows = normalizeBatchRows(parseBatchFile(content, file.name));
+        logger.info('Batch file loaded', {
+            file_name: file.name,
+            row_count: batchRows.length,
+            invalid_rows: batchRows.filter(row => row.status === 'invalid').length
+        });
+        hideError();
+    } catch (error) {
+        logger.error('Failed to read batch file', error, { file_name: file.name });
+        showError(`Could not read batch file: ${error.message}`);
+    }
+    renderBatchTable();
+}
+
+/**
+ * Render the per-row status table and summary
+ */
+function renderBatchTable() {
+    const table = document.getElementById('batchTable');
+    const body = document.getElementById('batchTableBody');
+    const summary = document.getElementById('batchSummary');
+    const startBtn = document.getElementById('batchStartBtn');
+
+    body.innerHTML = '';
+    batchRows.forEach(row => {
+        const tr = document.createElement('tr');
+        tr.className = `batch-row batch-row-${row.status}`;
+
+        let statusText = BATCH_STATUS_LABELS[row.status];
+        if (row.status === 'running' && row.attempts > 1) {
+            statusText = `Retrying (${row.attempts - 1}/${row.maxRetries})…`;
+        }
+        if (row.error && (row.status === 'failed' || row.status === 'invalid')) {
+            statusText += `: ${row.error}`;
+        }
+
+        [row.id || `(row ${row.index})`, row.voice, formatExpressionName(row.expression || ''), statusText].forEach(text => {
+            const td = document.createElement('td');
+            td.textContent = text;
+            tr.appendChild(td);
+        });
+        body.appendChild(tr);
+    });
+    table.style.display = batchRows.length > 0 ? 'table' : 'none';
+
+    const counts = batchRows.reduce((acc, row) => {
+        acc[row.status] = (acc[row.status] || 0) + 1;
+        return acc;
+    }, {});
+    summary.textContent = batchRows.length > 0
+        ? `${batchRows.length} rows · ${counts.done || 0} done · ${counts.failed || 0} failed · ${counts.invalid || 0} invalid`
+        : '';
+
+    const running = !!batchAbortController;
+    startBtn.disabled = running || !batchRows.some(row => row.status === 'pending');
+}
+
+/**
+ * Wait, returning early if the batch is cancelled
+ * @param {number} ms - Delay in milliseconds
+ * @param {AbortSignal} signal - Batch abort signal
+ */
+function waitForRetry(ms, signal) {
+    return new Promise(resolve => {
+        const timer = setTimeout(resolve, ms);
+        signal.addEventListener('abort', () => {
+            clearTimeout(timer);
+            resolve();
+        }, { once: true });
+    });
+}
+
+/**
+ * Synthesize one row through /api/synthesize
+ * @param {object} row - Batch row
+ * @param {AbortSignal} signal - Batch abort signal
+ * @returns {Promise<object>} Synthesis response data
+ * @throws {Error} With status/retryDelay from the API when the request fails
+ */
+async function synthesizeBatchRow(row, signal) {
+    const requestBody = buildSynthesisRequestBody(row.text, row.voice, row.expression);
+    // Only send the row values the text uses, so unrelated columns don't reach the server
+    findTemplateVariables(row.text).filter(name => row.variables[name]).forEach(name => {
+        requestBody.variables = { ...requestBody.variables, [name]: row.variables[name] };
+    });
+    logger.api('POST', CONFIG.apiSynthesizeEndpoint, {
+        batch_row_id: row.id,
+        attempt: row.attempts,
+        text_length: row.text.length
+    });
+
+    const response = await fetch(CONFIG.apiSynthesizeEndpoint, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            ...getAuthHeaders()
+        },
+        body: JSON.stringify(requestBody),
+        signal
+    });
+
+    let data = null;
+    try {
+        data = await response.json();
+    } catch (e) {
+        logger.error('Failed to parse batch row response JSON', e, { batch_row_id: row.id });
+    }
+
+    if (!response.ok || !data?.file_data) {
+        const error = new Error(data?.error || `Request failed with status ${response.status}`);
+        error.status = response.status;
+        error.retryDelay = data?.retryDelay;
+        error.retryable = data?.retryable;
+        updateQuotaStatus(data?.usage);
+        throw error;
+    }
+    updateQuotaStatus(data.usage);
+    recordUsage(data);
+    return data;
+}
+
+/**
+ * Network errors, rate limits and server errors are worth retrying; validation errors and
+ * responses marked retryable: false are not
+ * @param {Error} error - Error from synthesizeBatchRow
+ * @returns {boolean}
+ */
+function isRetryableBatchError(error) {
+    if (error.retryable === false) {
+        return false; // e.g. the server's daily character limit, which resets at midnight UTC
+    }
+    return !error.status || error.status === 429 || error.status >= 500;
+}
+
+/**
+ * Synthesize one row, retrying with exponential backoff (or the API's retryDelay)
+ * @param {object} row - Batch row
+ * @param {number} maxRetries - Retries after the first attempt
+ * @param {AbortSignal} signal - Batch abort signal
+ */
+async function runBatchRow(row, maxRetries, signal) {
+    row.maxRetries = maxRetries;
+    for (let attempt = 1; ; attempt++) {
+        row.attempts = attempt;
+        row.status = 'running';
+        renderBatchTable();
+
+        try {
+            row.result = await synthesizeBatchRow(row, signal);
+            row.status = 'done';
+            row.error = '';
+            renderBatchTable();
+            return;
+        } catch (error) {
+            if (signal.aborted) {
+                row.status = 'cancelled';
+                renderBatchTable();
+                return;
+            }
+            if (attempt > maxRetries || !isRetryableBatchError(error)) {
+                logger.warn('Batch row failed', {
+                    batch_row_id: row.id,
+                    attempts: attempt,
+                    status: error.status,
+                    error_message: error.message
+                });
+                row.status = 'failed';
+                row.error = error.message;
+                renderBatchTable();
+                return;
+            }
+
+            const delaySeconds = error.retryDelay || CONFIG.batch.retryBaseDelaySeconds * 2 ** (attempt - 1);
+            logger.info('Retrying batch row', { batch_row_id: row.id, attempt, delay_seconds: delaySeconds });
+            await waitForRetry(delaySeconds * 1000, signal);
+            if (signal.aborted) {
+                row.status = 'cancelled';
+                renderBatchTable();
+                return;
+            }
+        }
+    }
+}
+
+/**
+ * Read a bounded integer from a number input
+ * @param {string} id - Input element id
+ * @param {number} min - Smallest allowed value
+ * @param {number} max - Largest allowed value
+ * @param {number} fallback - Value when the input is empty or invalid
+ * @returns {number}
+ */
+function readBatchNumber(id, min, max, fallback) {
+    const value = parseInt(document.getElementById(id).value, 10);
+    return Number.isNaN(value) ? fallback : Math.min(max, Math.max(min, value));
+}
+
+/**
+ * Run every pending row with a concurrency limit, then build the ZIP
+ */
+async function runBatch() {
+    if (!userConfig || !getCredential() || !userConfig.modelId) {
+        showError('Configuration missing. Please set up your API key and model in the settings.');
+        return;
+    }
+
+    const concurrency = readBatchNumber('batchConcurrency', 1, CONFIG.batch.maxConcurrency, CONFIG.batch.defaultConcurrency);
+    const maxRetries = readBatchNumber('batchRetries', 0, CONFIG.batch.maxRetries, CONFIG.batch.defaultRetries);
+    const queue = batchRows.filter(row => row.status === 'pending');
+    if (queue.length === 0) return;
+
+    batchAbortController = new AbortController();
+    const { signal } = batchAbortController;
+    batchZipBlob = null;
+    document.getElementById('batchCancelBtn').style.display = 'inline-flex';
+    document.getElementById('batchDownloadBtn').style.display = 'none';
+    hideError();
+    logger.info('Batch started', { row_count: queue.length, concurrency, max_retries: maxRetries });
+
+    let next = 0;
+    const worker = async () => {
+        while (next < queue.length && !signal.aborted) {
+            const row = queue[next++];
+            await runBatchRow(row, maxRetries, signal);
+        }
+    };
+    await Promise.all(Array.from({ length: Math.min(concurrency, queue.length) }, worker));
+
+    queue.filter(row => row.status === 'pending').forEach(row => {
+        row.status = 'cancelled';
+    });
+    batchAbortController = null;
+    document.getElementById('batchCancelBtn').style.display = 'none';
+    renderBatchTable();
+
+    const succeeded = batchRows.filter(row => row.status === 'done').length;
+    logger.success('Batch finished', {
+        succeeded,
+        failed: batchRows.filter(row => row.status === 'failed').length,
+        cancelled: signal.aborted
+    });
+
+    try {
+        batchZipBlob = await buildBatchZip();
+        batchZipFilename = `${CONFIG.audioFilenamePrefix}batch_${Date.now()}.zip`;
+        document.getElementById('batchDownloadBtn').style.display = 'inline-flex';
+        if (succeeded > 0) {
+            showSuccess(`Batch finished: ${succeeded} of ${batchRows.length} rows synthesized.`);
+        } else {
+            showError('No rows were synthesized. See the status table and manifest for details.');
+        }
+    } catch (error) {
+        logger.error('Failed to build batch ZIP', error);
+        showError(`Failed to build ZIP: ${error.message}`);
+    }
+}
+
+/**
+ * Pick a safe, unique filename for a row's audio
+ * @param {object} row - Finished batch row
+ * @param {Set<string>} usedNames - Names already in the ZIP
+ * @returns {string}
+ */
+function getBatchFilename(row, usedNames) {
+    const extension = row.result.file_type;
+    const base = (row.filename || row.id)
+        .replace(/\.(wav|mp3|ogg|flac)$/i, '')
+        .replace(/[\\/:*?"<>|\x00-\x1f]/g, '_')
+        .trim() || `row_${row.index}`;
+
+    let name = `${base}.${extension}`;
+    for (let n = 2; usedNames.has(name.toLowerCase()); n++) {
+        name = `${base}_${n}.${extension}`;
+    }
+    usedNames.add(name.toLowerCase());
+    return name;
+}
+
+/**
+ * Bundle the finished rows and manifest.json into a ZIP
+ * @returns {Promise<Blob>}
+ */
+async function buildBatchZip() {
+    const encoder = new TextEncoder();
+    const usedNames = new Set(['manifest.json']);
+    const files = [];
+    const manifestRows = [];
+
+    for (const row of batchRows) {
+        const entry = {
+            id: row.id,
+            status: row.status,
+            voice: row.voice,
+            expression: row.expression,
+            text: row.text,
+            attempts: row.attempts
+        };
+        if (row.status === 'done') {
+            entry.filename = getBatchFilename(row, usedNames);
+            entry.mime_type = row.result.mime_type;
+            entry.accent = row.result.accent_used;
+            entry.audio_info = row.result.audio_info;
+            const blob = base64ToBlob(row.result.file_data, row.result.mime_type || `audio/${row.result.file_type}`);
+            files.push({ name: entry.filename, data: new Uint8Array(await blob.arrayBuffer()) });
+        } else if (row.error) {
+            entry.error = row.error;
+        }
+        manifestRows.push(entry);
+    }
+
+    const manifest = {
+        generated_at: new Date().toISOString(),
+        total: batchRows.length,
+        succeeded: manifestRows.filter(entry => entry.status === 'done').length,
+        failed: manifestRows.filter(entry => entry.status !== 'done').length,
+        rows: manifestRows
+    };
+    files.push({ name: 'manifest.json', data: encoder.encode(JSON.stringify(manifest, null, 2)) });
+
+    return createZip(files);
+}
+
+/**
+ * Download the finished batch ZIP
+ */
+function downloadBatchZip() {
+    if (!batchZipBlob) {
+        return;
+    }
+
+    const url = URL.createObjectURL(batchZipBlob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = batchZipFilename;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+}
+
+const CRC32_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+        }
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+/**
+ * CRC-32 as used by ZIP
+ * @param {Uint8Array} bytes - Data
+ * @returns {number}
+ */
+function crc32(bytes) {
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = CRC32_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Build an uncompressed (stored) ZIP archive. Audio is already compressed or
+ * small enough that deflate would gain little.
+ * @param {Array<{name: string, data: Uint8Array}>} files - Files to add
+ * @returns {Blob} application/zip blob
+ */
+function createZip(files) {
+    const encoder = new TextEncoder();
+    const now = new Date();
+    const dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | (now.getSeconds() >> 1);
+    const dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+    const UTF8_FLAG = 0x0800;
+
+    const parts = [];
+    const centralParts = [];
+    let offset = 0;
+
+    for (const file of files) {
+        const name = encoder.encode(file.name);
+        const crc = crc32(file.data);
+
+        const local = new DataView(new ArrayBuffer(30));
+        local.setUint32(0, 0x04034B50, true);
+        local.setUint16(4, 20, true);
+        local.setUint16(6, UTF8_FLAG, true);
+        local.setUint16(8, 0, true); // stored
+        local.setUint16(10, dosTime, true);
+        local.setUint16(12, dosDate, true);
+        local.setUint32(14, crc, true);
+        local.setUint32(18, file.data.length, true);
+        local.setUint32(22, file.data.length, true);
+        local.setUint16(26, name.length, true);
+        local.setUint16(28, 0, true);
+        parts.push(local, name, file.data);
+
+        const central = new DataView(new ArrayBuffer(46));
+        central.setUint32(0, 0x02014B50, true);
+        central.setUint16(4, 20, true);
+        central.setUint16(6, 20, true);
+        central.setUint16(8, UTF8_FLAG, true);
+        central.setUint16(10, 0, true);
+        central.setUint16(12, dosTime, true);
+        central.setUint16(14, dosDate, true);
+        central.setUint32(16, crc, true);
+        central.setUint32(20, file.data.length, true);
+        central.setUint32(24, file.data.length, true);
+        central.setUint16(28, name.length, true);
+        central.setUint32(42, offset, true);
+        centralParts.push(central, name);
+
+        offset += 30 + name.length + file.data.length;
+    }
+
+    const centralSize = centralParts.reduce((size, part) => size + part.byteLength, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054B50, true);
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+
+    return new Blob([...parts, ...centralParts, end], { type: 'application/zip' });
+}
@@ -0,0 +1,445 @@
+/**
+ * Voice Comparison
+ * Synthesizes the text from the main form with several voices (and optionally
+ * several expressions and TTS models) and shows the takes side by side.
+ * Loaded after app.js and batch.js and uses their helpers (logger, buildSynthesisRequestBody,
+ * base64ToBlob, waitForRetry, isRetryableBatchError, createZip, ...)
+ */
+
+let compareTakes = []; // One entry per voice/expression/model combination
+let compareText = ''; // Text the current takes were generated from
+let compareAbortController = null;
+let compareNextStart = 0; // Earliest time the next request may start (rate limiting)
+
+document.addEventListener('DOMContentLoaded', () => {
+    const section = document.getElementById('compareSection');
+    if (!section) return;
+
+    section.addEventListener('change', updateCompareCount);
+    document.getElementById('compareSelectAllBtn').addEventListener('click', () => setAllCompareVoices(true));
+    document.getElementById('compareSelectNoneBtn').addEventListener('click', () => setAllCompareVoices(false));
+    document.getElementById('compareStartBtn').addEventListener('click', runComparison);
+    document.getElementById('compareCancelBtn').addEventListener('click', () => {
+        if (compareAbortController) {
+            logger.info('Comparison cancelled by user');
+            compareAbortController.abort();
+        }
+    });
+    document.getElementById('compareExportBtn').addEventListener('click', exportCompareFavourites);
+    updateCompareCount();
+});
+
+/**
+ * Build a labelled checkbox for the compare option lists
+ * @param {string} name - Checkbox group name
+ * @param {string} value - Checkbox value
+ * @param {string} label - Visible label
+ * @param {boolean} checked - Initial state
+ * @returns {HTMLLabelElement}
+ */
+function createCompareCheckbox(name, value, label, checked) {
+    const wrapper = document.createElement('label');
+    wrapper.className = 'checkbox-label';
+    const input = document.createElement('input');
+    input.type = 'checkbox';
+    input.name = name;
+    input.value = value;
+    input.checked = checked;
+    const text = document.createElement('span');
+    text.textContent = label;
+    wrapper.append(input, text);
+    return wrapper;
+}
+
+/**
+ * Values of the checked boxes in a group
+ * @param {string} name - Checkbox group name
+ * @returns {string[]}
+ */
+function getCheckedCompareValues(name) {
+    return Array.from(document.querySelectorAll(`#compareSection input[name="${name}"]:checked`))
+        .map(input => input.value);
+}
+
+/**
+ * Fill the voice checkboxes from the loaded voice models, keeping existing choices
+ */
+function renderCompareVoices() {
+    const list = document.getElementById('compareVoiceList');
+    if (!list) return;
+    const checked = new Set(getCheckedCompareValues('compareVoice'));
+    list.innerHTML = '';
+
+    [...allVoiceModels].sort((a, b) => a.name.localeCompare(b.name)).forEach(model => {
+        const label = model.gender ? `${model.name} (${model.gender})` : model.name;
+        const checkbox = createCompareCheckbox('compareVoice', model.name, label, checked.has(model.name));
+        checkbox.title = model.trait || '';
+        list.appendChild(checkbox);
+    });
+    updateCompareCount();
+}
+
+/**
+ * Fill the TTS model checkboxes from the server catalogue, keeping existing choices
+ */
+function renderCompareModels() {
+    const list = document.getElementById('compareModelList');
+    if (!list) return;
+    const checked = new Set(getCheckedCompareValues('compareModel'));
+    list.innerHTML = '';
+
+    ttsModelCatalogue.forEach(model => {
+        const checkbox = createCompareCheckbox('compareModel', model.id, formatTtsModelLabel(model), checked.has(model.id));
+        checkbox.title = model.id;
+        list.appendChild(checkbox);
+    });
+    updateCompareCount();
+}
+
+/**
+ * Fill the expression checkboxes, keeping existing choices (defaults to the form's expression)
+ */
+function renderCompareExpressions() {
+    const list = document.getElementById('compareExpressionList');
+    if (!list) return;
+    const checked = new Set(getCheckedCompareValues('compareExpression'));
+    if (checked.size === 0) {
+        checked.add(document.getElementById('expressionSelect').value);
+    }
+    list.innerHTML = '';
+
+    getAvailableExpressions().forEach(expr => {
+        list.appendChild(createCompareCheckbox('compareExpression', expr, formatExpressionName(expr), checked.has(expr)));
+    });
+    updateCompareCount();
+}
+
+/**
+ * Check or uncheck every voice
+ * @param {boolean} checked
+ */
+function setAllCompareVoices(checked) {
+    document.querySelectorAll('#compareVoiceList input[type="checkbox"]').forEach(input => {
+        input.checked = checked;
+    });
+    updateCompareCount();
+}
+
+/**
+ * Every selected voice/expression/model combination. With no model ticked,
+ * the model chosen in the main form is used.
+ * @returns {Array<{voice: string, expression: string, modelId: string}>}
+ */
+function getCompareCombinations() {
+    const modelIds = getCheckedCompareValues('compareModel');
+    if (modelIds.length === 0) {
+        modelIds.push(document.getElementById('modelIdSelect').value || userConfig.modelId);
+    }
+
+    const combinations = [];
+    getCheckedCompareValues('compareVoice').forEach(voice => {
+        getCheckedCompareValues('compareExpression').forEach(expression => {
+            modelIds.forEach(modelId => {
+                combinations.push({ voice, expression, modelId });
+            });
+        });
+    });
+    return combinations;
+}
+
+/**
+ * Show how many takes the current selection will generate
+ */
+function updateCompareCount() {
+    const countEl = document.getElementById('compareCount');
+    if (!countEl) return;
+    const count = getCompareCombinations().length;
+    const max = CONFIG.compare.maxCombinations;
+
+    countEl.textContent = count > max
+        ? `${count} combinations selected (maximum ${max})`
+        : `${count} combination${count === 1 ? '' : 's'} selected`;
+    countEl.classList.toggle('error', count > max);
+    document.getElementById('compareStartBtn').disabled = !!compareAbortController || count === 0 || count > max;
+}
+
+/**
+ * Label shown on a take's card and used in the export manifest
+ * @param {object} take - Comparison take
+ * @returns {string}
+ */
+function getCompareLabel(take) {
+    return `${take.voice} · ${formatExpressionName(take.expression)} · ${take.modelId}`;
+}
+
+/**
+ * Draw one card per take
+ */
+function renderCompareGrid() {
+    const grid = document.getElementById('compareGrid');
+    grid.innerHTML = '';
+    compareTakes.forEach(take => {
+        take.card = document.createElement('div');
+        grid.appendChild(take.card);
+        renderCompareCard(take);
+    });
+    updateCompareExportButton();
+}
+
+/**
+ * Redraw a single take's card; other cards are left alone so their players keep playing
+ * @param {object} take - Comparison take
+ */
+function renderCompareCard(take) {
+    const card = take.card;
+    card.className = `compare-card compare-card-${take.status}${take.favourite ? ' favourite' : ''}`;
+    card.innerHTML = '';
+
+    const header = document.createElement('div');
+    header.className = 'compare-card-header';
+    const label = document.createElement('span');
+    label.className = 'compare-card-label';
+    label.textContent = getCompareLabel(take);
+
+    const favourite = document.createElement('button');
+    favourite.type = 'button';
+    favourite.className = 'compare-favourite';
+    favourite.textContent = take.favourite ? '★' : '☆';
+    favourite.title = take.favourite ? 'Remove from favourites' : 'Mark as favourite';
+    favourite.disabled = take.status !== 'done';
+    favourite.addEventListener('click', () => {
+        take.favourite = !take.favourite;
+        card.classList.toggle('favourite', take.favourite);
+        favourite.textContent = take.favourite ? '★' : '☆';
+        favourite.title = take.favourite ? 'Remove from favourites' : 'Mark as favourite';
+        updateCompareExportButton();
+    });
+    header.append(label, favourite);
+    card.appendChild(header);
+
+    if (take.status === 'done') {
+        const audio = document.createElement('audio');
+        audio.controls = true;
+        audio.preload = 'none';
+        audio.src = take.url;
+        card.appendChild(audio);
+    } else {
+        const status = document.createElement('div');
+        status.className = 'compare-card-status';
+        status.textContent = take.status === 'failed' ? take.error : BATCH_STATUS_LABELS[take.status];
+        card.appendChild(status);
+    }
+}
+
+/**
+ * Show the export button once there are takes, enabled when at least one is a favourite
+ */
+function updateCompareExportButton() {
+    const favourites = compareTakes.filter(take => take.favourite).length;
+    const exportBtn = document.getElementById('compareExportBtn');
+    exportBtn.style.display = compareTakes.some(take => take.status === 'done') ? 'inline-flex' : 'none';
+    exportBtn.disabled = favourites === 0;
+    exportBtn.textContent = favourites > 0 ? `Export Favourites (${favourites})` : 'Export Favourites';
+}
+
+/**
+ * Wait for the next rate-limit slot so requests start at least CONFIG.compare.minIntervalMs apart
+ * @param {AbortSignal} signal - Comparison abort signal
+ */
+async function waitForCompareSlot(signal) {
+    const now = Date.now();
+    const start = Math.max(now, compareNextStart);
+    compareNextStart = start + CONFIG.compare.minIntervalMs;
+    if (start > now) {
+        await waitForRetry(start - now, signal);
+    }
+}
+
+/**
+ * Synthesize one take, retrying rate limits and server errors
+ * @param {object} take - Comparison take
+ * @param {string} text - Text to speak
+ * @param {AbortSignal} signal - Comparison abort signal
+ */
+async function runCompareTake(take, text, signal) {
+    for (let attempt = 1; ; attempt++) {
+        await waitForCompareSlot(signal);
+        if (signal.aborted) break;
+        take.status = 'running';
+        renderCompareCard(take);
+
+        try {
+            const requestBody = buildSynthesisRequestBody(text, take.voice, take.expression);
+            requestBody.modelId = take.modelId;
+            logger.api('POST', CONFIG.apiSynthesizeEndpoint, {
+                compare_label: getCompareLabel(take),
+                attempt
+            });
+
+            const response = await fetch(CONFIG.apiSynthesizeEndpoint, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...getAuthHeaders()
+                },
+                body: JSON.stringify(requestBody),
+                signal
+            });
+
+            let data = null;
+            try {
+                data = await response.json();
+            } catch (e) {
+                logger.error('Failed to parse comparison response JSON', e, { compare_label: getCompareLabel(take) });
+            }
+
+            if (!response.ok || !data?.file_data) {
+                const error = new Error(data?.error || `Request failed with status ${response.status}`);
+                error.status = response.status;
+                error.retryDelay = data?.retryDelay;
+                error.retryable = data?.retryable;
+                updateQuotaStatus(data?.usage);
+                throw error;
+            }
+            updateQuotaStatus(data.usage);
+            recordUsage(data);
+
+            take.result = data;
+            take.blob = base64ToBlob(data.file_data, data.mime_type || `audio/${data.file_type}`);
+            take.url = URL.createObjectURL(take.blob);
+            take.status = 'done';
+            renderCompareCard(take);
+            updateCompareExportButton();
+            return;
+        } catch (error) {
+            if (signal.aborted) break;
+            if (attempt > CONFIG.compare.maxRetries || !isRetryableBatchError(error)) {
+                logger.warn('Comparison take failed', {
+                    compare_label: getCompareLabel(take),
+                    status: error.status,
+                    error_message: error.message
+                });
+                take.status = 'failed';
+                take.error = error.message;
+                renderCompareCard(take);
+                return;
+            }
+
+            // Push every queued request back, not just this one, so a 429 slows the whole run
+            const delaySeconds = error.retryDelay || CONFIG.batch.retryBaseDelaySeconds * 2 ** (attempt - 1);
+            logger.info('Retrying comparison take', { compare_label: getCompareLabel(take), attempt, delay_seconds: delaySeconds });
+            compareNextStart = Math.max(compareNextStart, Date.now() + delaySeconds * 1000);
+        }
+    }
+
+    take.status = 'cancelled';
+    renderCompareCard(take);
+}
+
+/**
+ * Synthesize every selected combination with the rate limit applied
+ */
+async function runComparison() {
+    if (!userConfig || !getCredential() || !userConfig.modelId) {
+        showError('Configuration missing. Please set up your API key and model in the settings.');
+        return;
+    }
+
+    const text = document.getElementById('textInput').value.trim();
+    if (!text) {
+        showError(CONFIG.errorMessages.noText);
+        return;
+    }
+    if (text.length > CONFIG.maxTextLength) {
+        showError(`Comparison text must be ${CONFIG.maxTextLength} characters or fewer.`);
+        return;
+    }
+
+    const combinations = getCompareCombinations();
+    if (combinations.length === 0 || combinations.length > CONFIG.compare.maxCombinations) {
+        return;
+    }
+
+    compareTakes.forEach(take => {
+        if (take.url) URL.revokeObjectURL(take.url);
+    });
+    compareText = text;
+    compareTakes = combinations.map(combination => ({ ...combination, status: 'pending', favourite: false }));
+    compareAbortController = new AbortController();
+    const { signal } = compareAbortController;
+    compareNextStart = 0;
+    document.getElementById('compareCancelBtn').style.display = 'inline-flex';
+    updateCompareCount();
+    hideError();
+    renderCompareGrid();
+    logger.info('Comparison started', { take_count: compareTakes.length, text_length: text.length });
+
+    let next = 0;
+    const worker = async () => {
+        while (next < compareTakes.length && !signal.aborted) {
+            await runCompareTake(compareTakes[next++], text, signal);
+        }
+    };
+    await Promise.all(Array.from({ length: Math.min(CONFIG.compare.concurrency, compareTakes.length) }, worker));
+
+    compareTakes.filter(take => take.status === 'pending').forEach(take => {
+        take.status = 'cancelled';
+        renderCompareCard(take);
+    });
+    compareAbortController = null;
+    document.getElementById('compareCancelBtn').style.display = 'none';
+    updateCompareCount();
+
+    const succeeded = compareTakes.filter(take => take.status === 'done').length;
+    logger.success('Comparison finished', { succeeded, total: compareTakes.length, cancelled: signal.aborted });
+    if (succeeded === 0 && !signal.aborted) {
+        showError('No takes were synthesized. Check the grid for details.');
+    }
+}
+
+/**
+ * Download the favourite takes and a manifest of their labels as one ZIP
+ */
+async function exportCompareFavourites() {
+    const favourites = compareTakes.filter(take => take.favourite && take.status === 'done');
+    if (favourites.length === 0) return;
+
+    const usedNames = new Set(['manifest.json']);
+    const files = [];
+    const takes = [];
+    for (const take of favourites) {
+        const base = `${take.voice}_${take.expression}_${take.modelId}`.replace(/[^a-zA-Z0-9_.-]/g, '_');
+        let name = `${base}.${take.result.file_type}`;
+        for (let n = 2; usedNames.has(name); n++) {
+            name = `${base}_${n}.${take.result.file_type}`;
+        }
+        usedNames.add(name);
+
+        files.push({ name, data: new Uint8Array(await take.blob.arrayBuffer()) });
+        takes.push({
+            filename: name,
+            voice: take.voice,
+            expression: take.expression,
+            model_id: take.modelId,
+            accent: take.result.accent_used,
+            audio_info: take.result.audio_info
+        });
+    }
+
+    const manifest = {
+        generated_at: new Date().toISOString(),
+        text: compareText,
+        favourites: takes
+    };
+    files.push({ name: 'manifest.json', data: new TextEncoder().encode(JSON.stringify(manifest, null, 2)) });
+
+    const url = URL.createObjectURL(createZip(files));
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `${CONFIG.audioFilenamePrefix}compare_${Date.now()}.zip`;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+    logger.info('Comparison favourites exported', { count: favourites.length });
+}
@@ -8,6 +8,52 @@ const CONFIG = window.CONFIG = {
   apiBaseUrl: "/api",
   apiModelsEndpoint: "/api/models",
   apiSynthesizeEndpoint: "/api/synthesize",
+  apiUsageEndpoint: "/api/usage",
+
+  // Text Limits (long-form mode splits text into chunks on the server)
+  maxTextLength: 5000,
+  longFormMaxTextLength: 50000,
+  longFormDefaultSilenceMs: 600,
+
+  // Batch Synthesis
+  batch: {
+    maxRows: 200,
+    defaultConcurrency: 3,
+    maxConcurrency: 5,
+    defaultRetries: 2,
+    maxRetries: 5,
+    retryBaseDelaySeconds: 2
+  },
+
+  // Voice comparison
+  compare: {
+    maxCombinations: 24,
+    concurrency: 2,
+    minIntervalMs: 1500, // Minimum gap between request starts
+    maxRetries: 2
+  },
+
+  // Generation history (IndexedDB)
+  history: {
+    quotaOptionsMb: [25, 50, 100, 250, 500],
+    defaultQuotaMb: 100,
+    maxEntries: 1000
+  },
+
+  // Cost estimates before generating (model prices come from the /api/models catalogue via getModelInfo())
+  costEstimate: {
+    charactersPerToken: 4,     // Rough size of a text token
+    promptOverheadTokens: 80,  // Accent and expression instructions sent with each chunk
+    charactersPerSecond: 15,   // Typical speaking rate
+    audioTokensPerSecond: 32,  // Gemini counts audio at 32 tokens per second
+    longFormChunkChars: 2000   // Server default chunk size in long-form mode
+  },
+
+  // Music bed uploads are decoded in the browser and sent as mono 16-bit WAV at this rate
+  // (a 60 second bed then stays under the server's upload limit)
+  musicBed: {
+    sampleRate: 24000
+  },
 
   // File Naming
   audioFilenamePrefix: "vera_voice_",
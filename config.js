@@ -3,6 +3,12 @@
  * Used by API serverless functions
  */
 
+// Languages the Gemini TTS models detect and speak (BCP-47)
+const TTS_LANGUAGES = [
+  "ar-EG", "bn-BD", "de-DE", "en-IN", "en-US", "es-US", "fr-FR", "hi-IN", "id-ID", "it-IT", "ja-JP", "ko-KR",
+  "mr-IN", "nl-NL", "pl-PL", "pt-BR", "ro-RO", "ru-RU", "ta-IN", "te-IN", "th-TH", "tr-TR", "uk-UA", "vi-VN"
+];
+
 export const CONFIG = {
   // Voice Models with Gender and Traits
   voiceModels: [
@@ -42,6 +48,44 @@ export const CONFIG = {
   expressions: ["professional_neutral", "warm_friendly"],
   defaultModel: "Puck",
   defaultExpression: "professional_neutral",
+  // Custom expressions sent in settings.expressionInstructions
+  customExpressions: {
+    keyPattern: "^[a-z0-9]+(_[a-z0-9]+)*$",
+    maxKeyLength: 40,
+    maxInstructionLength: 2000
+  },
+  // Pronunciation lexicon sent in settings.lexicon
+  lexicon: {
+    maxEntries: 500,
+    maxTermLength: 100,
+    maxReplacementLength: 200
+  },
+  // {{variable}} values sent in the request's variables object
+  templates: {
+    maxVariables: 50,
+    maxValueLength: 500,
+    builtIn: ["voice"]
+  },
+  // Retries for transient Gemini failures (429, 5xx, network); attempts include the first call
+  retry: {
+    maxAttempts: 3,
+    baseDelayMs: 1000,
+    maxDelayMs: 30000,
+    jitter: 0.3
+  },
+  // Per API key / access token limits checked before calling Gemini (0 = no limit)
+  rateLimit: {
+    enabled: true,
+    requestsPerMinute: 10,
+    charactersPerDay: 200000
+  },
+  // Finished responses reused for identical requests (files in AUDIO_CACHE_DIR, default the temp directory)
+  cache: {
+    enabled: true,
+    ttlSeconds: 7 * 24 * 60 * 60,
+    maxSizeMb: 500,  // Least recently used entries are deleted past this
+    maxEntryMb: 25   // Larger responses (long scripts) are not cached
+  },
 
   // Expression Instructions
   expressionInstructions: {
@@ -54,19 +98,196 @@ export const CONFIG = {
     sampleRate: 24000,
     channels: 1,
     sampleWidth: 2,
-    format: "wav"
+    format: "wav",
+    codec: "pcm", // WAV only: "pcm", "mulaw" or "alaw" (G.711 codecs are always 8-bit)
+    bitrate: 64, // kbps, used for compressed formats
+    normalize: "off", // "off", "lufs" or "peak" (normalizeTarget defaults below)
+    trimSilence: false
+  },
+
+  // Post-processing of the output: loudness normalization and silence trimming (settings.audio)
+  postProcessing: {
+    lufsTarget: -16,
+    minLufsTarget: -36,
+    maxLufsTarget: -6,
+    peakTarget: -1,
+    minPeakTarget: -24,
+    maxPeakTarget: 0,
+    peakCeilingDb: -1, // LUFS normalization lowers its gain rather than push peaks past this
+    trimThresholdDb: -50, // Samples quieter than this (dBFS) count as silence
+    minTrimThresholdDb: -80,
+    maxTrimThresholdDb: -20,
+    trimPaddingMs: 100, // Silence kept (or added) before and after the speech
+    maxTrimPaddingMs: 2000
+  },
+
+  // Background music mixed under the speech (the request's music_bed). The browser decodes the
+  // uploaded track and sends it as a WAV file; volume and ducking are in dB, times in ms.
+  musicBed: {
+    maxSeconds: 60,
+    maxUploadMb: 3, // Decoded WAV bytes; as base64 this must fit Vercel's 4.5MB request body limit
+    volumeDb: -18, // Bed level relative to its source
+    minVolumeDb: -40,
+    maxVolumeDb: 0,
+    duckDb: -12, // Extra reduction while someone is speaking
+    minDuckDb: -40,
+    introMs: 2000, // Music before the speech starts
+    outroMs: 2000, // Music after the speech ends
+    maxIntroOutroMs: 15000,
+    fadeInMs: 1000,
+    fadeOutMs: 2000,
+    maxFadeMs: 10000,
+    loop: true, // Repeat a short bed to cover the whole mix
+    duckThresholdDb: -45, // Speech louder than this (20ms RMS, dBFS) ducks the bed
+    duckHoldMs: 300, // Keeps the bed down through short pauses between words
+    duckRampMs: 150
+  },
+
+  // Sentence captions (the request's captions: true). Sentence ends are placed on the pauses
+  // Gemini leaves in the audio, picked by how far into the text each sentence ends.
+  captions: {
+    silenceThresholdDb: -40, // 10ms windows quieter than this (dBFS) count as a pause
+    minPauseMs: 120,
+    wavCueMinSeconds: 30 // WAV files at least this long also get a cue marker per sentence (0 = always)
+  },
+
+  // Output sample rates (Hz); all of them are supported by the MP3 encoder
+  sampleRates: [8000, 11025, 12000, 16000, 22050, 24000, 32000, 44100, 48000],
+  sampleWidths: [1, 2, 3, 4],
+
+  // Raw PCM format returned by Gemini TTS
+  sourceAudio: {
+    sampleRate: 24000,
+    channels: 1,
+    sampleWidth: 2
+  },
+
+  // Bitrates (kbps) offered for Opus and MP3; MP3 is further limited by mp3Bitrates
+  compressedBitrates: [32, 48, 64, 96, 128, 160],
+
+  // MP3 bitrates (kbps) lame encodes as asked at each sample rate. MPEG-2.5 rates (8-12kHz)
+  // stop at 64 kbps, and below these lame quietly resamples to a lower rate
+  mp3Bitrates: {
+    8000: [32, 48, 64],
+    11025: [32, 48, 64],
+    12000: [32, 48, 64],
+    16000: [32, 48, 64, 96, 128, 160],
+    22050: [32, 48, 64, 96, 128, 160],
+    24000: [48, 64, 96, 128, 160],
+    32000: [48, 64, 96, 128, 160],
+    44100: [64, 96, 128, 160],
+    48000: [64, 96, 128, 160]
+  },
+
+  // Long-form synthesis (text split into chunks and joined with silence).
+  // A 50,000-character script is about 35 chunks of 2000 (paragraph breaks end chunks early);
+  // voiced eight at a time at about 30s per chunk that is around 150s, well inside the 300s
+  // function limit (vercel.json maxDuration)
+  longForm: {
+    maxTextLength: 50000,
+    concurrency: 8, // Gemini calls in flight at once
+    chunkChars: 2000,
+    minChunkChars: 500,
+    maxChunkChars: 5000,
+    silenceMs: 600,
+    maxSilenceMs: 5000,
+    // Gemini calls stop once the next chunk would run past this, leaving time to encode and
+    // report the error before the platform ends the function
+    timeBudgetMs: 260000
+  },
+
+  // SSML-style markup (<break>, <emphasis>, <say-as>, <sub>, <phoneme>)
+  markup: {
+    maxBreakMs: 10000,
+    maxSegments: 30, // Each <break> starts a new Gemini request
+    breakStrengths: { none: 0, "x-weak": 250, weak: 500, medium: 750, strong: 1000, "x-strong": 1250 }
+  },
+
+  // Dialogue (multi-speaker) synthesis - Gemini voices exactly two speakers per request
+  dialogue: {
+    speakerCount: 2,
+    defaultSpeakers: [
+      { speaker: "Agent", voice: "Puck" },
+      { speaker: "Caller", voice: "Kore" }
+    ]
+  },
+
+  // Speaking rate, pitch and volume, applied to the audio after synthesis.
+  // rate: speed multiplier (time-stretch, pitch unchanged); pitch: semitones; gain: dB
+  prosody: {
+    rate: { min: 0.5, max: 2, step: 0.05 },
+    pitch: { min: -12, max: 12, step: 0.5 },
+    gain: { min: -20, max: 12, step: 0.5 },
+    presets: [
+      { id: "natural", label: "Natural", rate: 1, pitch: 0, gain: 0 },
+      { id: "ivr_slow", label: "Slow for IVR menus", rate: 0.85, pitch: 0, gain: 0 },
+      { id: "voicemail", label: "Voicemail greeting", rate: 0.95, pitch: 0, gain: 2 },
+      { id: "audiobook", label: "Audiobook narration", rate: 0.9, pitch: -1, gain: 0 },
+      { id: "promo_fast", label: "Fast promo read", rate: 1.2, pitch: 0.5, gain: 1 },
+      { id: "announcement", label: "Loud announcement", rate: 0.9, pitch: 0, gain: 6 },
+      { id: "soft", label: "Soft / background", rate: 1, pitch: 0, gain: -6 }
+    ]
   },
 
   // Prompt Configuration
-  accentInstruction: "Say with a natural British English (UK) accent:",
+  accentInstruction: "Say with a natural British English (UK) accent:", // Used when a request picks no accent
+  maxAccentInstructionLength: 500,
+
+  // Accent / locale catalogue, chosen per request (accent_instruction overrides the text)
+  accents: [
+    { id: "en-GB", label: "British English (UK)", instruction: "Say with a natural British English (UK) accent:" },
+    { id: "en-US", label: "American English (US)", instruction: "Say with a natural General American English (US) accent:" },
+    { id: "en-AU", label: "Australian English", instruction: "Say with a natural Australian English accent:" },
+    { id: "en-IN", label: "Indian English", instruction: "Say with a natural Indian English accent:" },
+    { id: "en-IE", label: "Irish English", instruction: "Say with a natural Irish English accent:" },
+    { id: "en-GB-scotland", label: "Scottish English", instruction: "Say with a natural Scottish English accent:" },
+    { id: "es-ES", label: "Spanish (Spain)", instruction: "Say with a natural Castilian Spanish (Spain) accent:" },
+    { id: "es-MX", label: "Spanish (Mexico)", instruction: "Say with a natural Mexican Spanish accent:" },
+    { id: "fr-FR", label: "French (France)", instruction: "Say with a natural Metropolitan French (France) accent:" },
+    { id: "fr-CA", label: "French (Canada)", instruction: "Say with a natural Canadian French (Québec) accent:" }
+  ],
+  defaultAccent: "en-GB",
   modelNamePlaceholder: "<modelname>",
 
   // Gemini API Settings
   geminiTTSModel: "gemini-2.5-flash-preview-tts", // Default TTS model (can be overridden by user selection in UI)
 
+  // TTS model catalogue served by /api/models and rendered in every model selector.
+  // status: "stable", "preview" or "deprecated"; pricing in USD per 1M tokens (null if unknown)
+  ttsModels: [
+    {
+      id: "gemini-2.5-pro-preview-tts",
+      title: "Gemini 2.5 Pro Preview TTS",
+      description: "Our 2.5 Pro text-to-speech audio model optimized for powerful, low-latency speech generation for more natural outputs and easier to steer prompts.",
+      status: "preview",
+      multiSpeaker: true,
+      maxSpeakers: 2,
+      languages: TTS_LANGUAGES,
+      inputTokenLimit: 8192,
+      pricing: { inputPerMillion: 1.00, outputPerMillion: 20.00 }
+    },
+    {
+      id: "gemini-2.5-flash-preview-tts",
+      title: "Gemini 2.5 Flash Preview TTS",
+      description: "Our 2.5 Flash text-to-speech audio model optimized for price-performance, low-latency, controllable speech generation.",
+      status: "preview",
+      multiSpeaker: true,
+      maxSpeakers: 2,
+      languages: TTS_LANGUAGES,
+      inputTokenLimit: 8192,
+      pricing: { inputPerMillion: 0.50, outputPerMillion: 10.00 }
+    }
+  ],
+  // Also list TTS models found in Gemini's model list that the catalogue doesn't know yet.
+  // Needs GEMINI_API_KEY on the server; results are reused for cacheSeconds.
+  ttsModelDiscovery: {
+    enabled: false,
+    cacheSeconds: 3600
+  },
+
   // Sample Texts
   sampleTexts: {
-    greeting: "Hi, you're through to [Business Name]. My name's Vera — how may I help you today?",
+    greeting: "Hi, you're through to {{business_name}}. My name's {{agent_name}} — how may I help you today?",
     business: "Thank you for calling. We're currently experiencing high call volumes. Your call is important to us, and we'll be with you as soon as possible. Please hold the line.",
     customer: "I understand your concern, and I'm here to help resolve this for you. Let me look into that right away. Could you please provide me with your account number?",
     announcement: "Good morning, everyone. This is an important announcement. Please ensure all safety protocols are followed. Thank you for your attention."
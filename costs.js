@@ -0,0 +1,320 @@
+/**
+ * Costs and Usage Ledger
+ * Estimates what a request will cost before generating, from the text length, the model's
+ * prices in getModelInfo() and the expected audio length. Finished requests are priced from the
+ * token_usage the server returns and added to a per-day ledger in localStorage, which can be
+ * exported as daily or monthly CSV.
+ * Loaded after app.js and batch.js and uses their helpers (logger, getModelInfo, formatCsv, ...)
+ */
+
+const COST_LEDGER_KEY = 'geminiVoicesCostLedger';
+const LEDGER_FIELDS = ['requests', 'characters', 'audio_seconds', 'input_tokens', 'output_tokens', 'cost_usd', 'estimated_requests'];
+
+document.addEventListener('DOMContentLoaded', () => {
+    const section = document.getElementById('costSection');
+    if (!section) return;
+
+    document.getElementById('costExportDailyBtn').addEventListener('click', () => exportCostLedger('daily'));
+    document.getElementById('costExportMonthlyBtn').addEventListener('click', () => exportCostLedger('monthly'));
+    document.getElementById('costClearBtn').addEventListener('click', clearCostLedger);
+    renderCostLedger();
+});
+
+/**
+ * Price token counts with a model's rates
+ * @param {number} inputTokens - Prompt tokens
+ * @param {number} outputTokens - Audio output tokens
+ * @param {{inputPerMillion: number, outputPerMillion: number}} pricing - USD per 1M tokens
+ * @returns {number} USD
+ */
+function priceTokens(inputTokens, outputTokens, pricing) {
+    return (inputTokens * pricing.inputPerMillion + outputTokens * pricing.outputPerMillion) / 1e6;
+}
+
+/**
+ * Format a dollar amount, keeping enough decimals to show sub-cent requests
+ * @param {number} usd - Amount in USD
+ * @returns {string}
+ */
+function formatCost(usd) {
+    return `$${usd >= 1 ? usd.toFixed(2) : usd.toFixed(4)}`;
+}
+
+/**
+ * Format seconds of audio as m:ss
+ * @param {number} seconds
+ * @returns {string}
+ */
+function formatAudioLength(seconds) {
+    const total = Math.round(seconds);
+    return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Estimate the tokens and cost of generating a script before sending it
+ * @param {string} text - Script text ({{variables}} are filled in from the saved values)
+ * @param {string} modelId - TTS model id
+ * @param {boolean} [longForm] - Whether the server will split the script into chunks
+ * @returns {{inputTokens: number, outputTokens: number, audioSeconds: number, cost: number|null}}
+ */
+function estimateSynthesisCost(text, modelId, longForm = false) {
+    const { charactersPerToken, promptOverheadTokens, charactersPerSecond, audioTokensPerSecond, longFormChunkChars } = CONFIG.costEstimate;
+    const spoken = text.replace(/(\\?)\{\{\s*([A-Za-z_][A-Za-z0-9_]*)\s*\}\}/g,
+        (match, escape, name) => escape ? match.slice(1) : (templateValues[name] ?? match));
+    // Each chunk is sent with its own copy of the accent and expression instructions
+    const chunkCount = longForm ? Math.max(1, Math.ceil(spoken.length / longFormChunkChars)) : 1;
+    const inputTokens = Math.ceil(spoken.length / charactersPerToken) + promptOverheadTokens * chunkCount;
+    const audioSeconds = spoken.length / charactersPerSecond;
+    const outputTokens = Math.ceil(audioSeconds * audioTokensPerSecond);
+    const pricing = getModelInfo()[modelId]?.pricing;
+    return {
+        inputTokens,
+        outputTokens,
+        audioSeconds,
+        cost: pricing ? priceTokens(inputTokens, outputTokens, pricing) : null
+    };
+}
+
+/**
+ * Show the estimate for the main form's script and model under the text box
+ */
+function updateCostEstimate() {
+    const estimateDiv = document.getElementById('costEstimate');
+    if (!estimateDiv) return;
+
+    const text = document.getElementById('textInput')?.value.trim() || '';
+    const modelId = document.getElementById('modelIdSelect')?.value || userConfig.modelId;
+    if (!text || !modelId) {
+        estimateDiv.textContent = '';
+        return;
+    }
+    const estimate = estimateSynthesisCost(text, modelId, isLongFormEnabled());
+    const modelTitle = getModelInfo()[modelId]?.title || modelId;
+    // Gemini bills the audio it generates; the rate slider only changes the length of the final file
+    const audioLength = formatAudioLength(estimate.audioSeconds / getProsodyValues().rate);
+    estimateDiv.textContent = estimate.cost === null
+        ? `≈ ${audioLength} of audio · no pricing for ${modelTitle}`
+        : `≈ ${audioLength} of audio · est. ${formatCost(estimate.cost)} with ${modelTitle}`;
+}
+
+/**
+ * Price a finished request. Uses the token counts Gemini reported, or an estimate from the
+ * text and audio length when the response has none.
+ * @param {object} data - Response from /api/synthesize
+ * @returns {{modelId: string, inputTokens: number, outputTokens: number, cost: number, estimated: boolean}}
+ */
+function getRequestCost(data) {
+    const modelId = data.model_id || userConfig.modelId;
+    const pricing = getModelInfo()[modelId]?.pricing;
+    let inputTokens = data.token_usage?.prompt_tokens;
+    let outputTokens = data.token_usage?.output_tokens;
+    const estimated = !data.token_usage;
+    if (estimated) {
+        const { charactersPerToken, promptOverheadTokens, audioTokensPerSecond } = CONFIG.costEstimate;
+        inputTokens = Math.ceil((data.text_length || 0) / charactersPerToken) + promptOverheadTokens * (data.chunk_count || 1);
+        outputTokens = Math.ceil((data.audio_info?.duration_seconds || 0) * audioTokensPerSecond);
+    }
+    return {
+        modelId,
+        inputTokens,
+        outputTokens,
+        cost: pricing ? priceTokens(inputTokens, outputTokens, pricing) : 0,
+        estimated
+    };
+}
+
+/**
+ * Read the usage ledger: day (YYYY-MM-DD, local time) → model id → totals
+ * @returns {Object<string, Object<string, object>>}
+ */
+function loadCostLedger() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(COST_LEDGER_KEY) || '{}');
+        return saved && typeof saved === 'object' && !Array.isArray(saved) ? saved : {};
+    } catch (e) {
+        logger.warn('Ignoring unreadable usage ledger in localStorage', { error_message: e.message });
+        return {};
+    }
+}
+
+/**
+ * Today's date in local time as YYYY-MM-DD
+ * @returns {string}
+ */
+function getLedgerDay() {
+    const now = new Date();
+    return `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}`;
+}
+
+/**
+ * Add a finished request to today's ledger entry for its model. Responses served from the
+ * server's audio cache cost nothing and are left out.
+ * @param {object} data - Response from /api/synthesize
+ * @returns {object} The request's cost (see getRequestCost)
+ */
+function recordUsage(data) {
+    if (data.cached) {
+        return { modelId: data.model_id, inputTokens: 0, outputTokens: 0, cost: 0, estimated: false, cached: true };
+    }
+    const requestCost = getRequestCost(data);
+    const ledger = loadCostLedger();
+    const day = getLedgerDay();
+    ledger[day] = ledger[day] || {};
+    const totals = ledger[day][requestCost.modelId] || Object.fromEntries(LEDGER_FIELDS.map(field => [field, 0]));
+    totals.requests += 1;
+    totals.characters += data.text_length || 0;
+    totals.audio_seconds += data.audio_info?.duration_seconds || 0;
+    totals.input_tokens += requestCost.inputTokens;
+    totals.output_tokens += requestCost.outputTokens;
+    totals.cost_usd += requestCost.cost;
+    totals.estimated_requests += requestCost.estimated ? 1 : 0;
+    ledger[day][requestCost.modelId] = totals;
+
+    try {
+        localStorage.setItem(COST_LEDGER_KEY, JSON.stringify(ledger));
+    } catch (e) {
+        logger.error('Failed to save usage ledger', e);
+    }
+    logger.debug('Request added to usage ledger', {
+        model_id: requestCost.modelId,
+        input_tokens: requestCost.inputTokens,
+        output_tokens: requestCost.outputTokens,
+        cost_usd: requestCost.cost,
+        estimated: requestCost.estimated
+    });
+    renderCostLedger();
+    return requestCost;
+}
+
+/**
+ * Show a finished request's cost with the audio details
+ * @param {object} requestCost - From recordUsage()
+ */
+function showRequestCost(requestCost) {
+    const costInfo = document.getElementById('costInfo');
+    if (!costInfo) return;
+    document.getElementById('costUsed').textContent = requestCost.cached
+        ? `${formatCost(0)} (served from the audio cache)`
+        : requestCost.estimated
+        ? `≈ ${formatCost(requestCost.cost)} (estimated; Gemini did not report token counts)`
+        : `${formatCost(requestCost.cost)} (${requestCost.inputTokens.toLocaleString()} input + ${requestCost.outputTokens.toLocaleString()} output tokens)`;
+    costInfo.style.display = 'block';
+}
+
+/**
+ * Ledger rows per day and model, or per month and model, oldest first
+ * @param {'daily'|'monthly'} period - Grouping
+ * @returns {Array<object>} Rows with period, model_id and the LEDGER_FIELDS totals
+ */
+function summarizeCostLedger(period) {
+    const ledger = loadCostLedger();
+    const rows = new Map();
+    Object.keys(ledger).sort().forEach(day => {
+        Object.entries(ledger[day]).forEach(([modelId, totals]) => {
+            const key = `${period === 'monthly' ? day.slice(0, 7) : day}|${modelId}`;
+            const row = rows.get(key) || {
+                period: key.split('|')[0],
+                model_id: modelId,
+                ...Object.fromEntries(LEDGER_FIELDS.map(field => [field, 0]))
+            };
+            LEDGER_FIELDS.forEach(field => {
+                row[field] += totals[field] || 0;
+            });
+            rows.set(key, row);
+        });
+    });
+    return [...rows.values()];
+}
+
+/**
+ * Show today's and this month's totals and a table of monthly costs
+ */
+function renderCostLedger() {
+    const totalsDiv = document.getElementById('costTotals');
+    if (!totalsDiv) return;
+
+    const monthly = summarizeCostLedger('monthly');
+    const daily = summarizeCostLedger('daily');
+    const today = getLedgerDay();
+    const sum = (rows) => rows.reduce((total, row) => ({
+        requests: total.requests + row.requests,
+        cost: total.cost + row.cost_usd
+    }), { requests: 0, cost: 0 });
+    const todayTotals = sum(daily.filter(row => row.period === today));
+    const monthTotals = sum(monthly.filter(row => row.period === today.slice(0, 7)));
+
+    totalsDiv.textContent = monthly.length === 0
+        ? 'No usage recorded in this browser yet.'
+        : `Today: ${formatCost(todayTotals.cost)} (${todayTotals.requests} requests) · This month: ${formatCost(monthTotals.cost)} (${monthTotals.requests} requests)`;
+
+    const table = document.getElementById('costTable');
+    const tbody = document.getElementById('costTableBody');
+    tbody.innerHTML = '';
+    monthly.slice().reverse().forEach(row => {
+        const tr = document.createElement('tr');
+        [
+            row.period,
+            getModelInfo()[row.model_id]?.title || row.model_id,
+            row.requests,
+            row.characters.toLocaleString(),
+            formatAudioLength(row.audio_seconds),
+            `${row.input_tokens.toLocaleString()} / ${row.output_tokens.toLocaleString()}`,
+            formatCost(row.cost_usd)
+        ].forEach(value => {
+            const td = document.createElement('td');
+            td.textContent = value;
+            tr.appendChild(td);
+        });
+        tbody.appendChild(tr);
+    });
+    table.style.display = monthly.length > 0 ? 'table' : 'none';
+}
+
+/**
+ * Download the ledger as CSV, one row per day (or month) and model
+ * @param {'daily'|'monthly'} period - Grouping
+ */
+function exportCostLedger(period) {
+    const rows = summarizeCostLedger(period);
+    if (rows.length === 0) {
+        showError('There is no usage to export yet.');
+        return;
+    }
+
+    const content = formatCsv([
+        [period === 'monthly' ? 'month' : 'date', 'model_id', ...LEDGER_FIELDS],
+        ...rows.map(row => [
+            row.period,
+            row.model_id,
+            String(row.requests),
+            String(row.characters),
+            row.audio_seconds.toFixed(1),
+            String(row.input_tokens),
+            String(row.output_tokens),
+            row.cost_usd.toFixed(6),
+            String(row.estimated_requests)
+        ])
+    ]);
+    const blob = new Blob([content], { type: 'text/csv' });
+
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `gemini-voices-usage-${period}-${getLedgerDay()}.csv`;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+}
+
+/**
+ * Delete the usage ledger after confirmation
+ */
+function clearCostLedger() {
+    if (!confirm('Delete all recorded usage? Export it first if you still need it.')) {
+        return;
+    }
+    localStorage.removeItem(COST_LEDGER_KEY);
+    logger.info('Usage ledger cleared');
+    renderCostLedger();
+}
@@ -0,0 +1,404 @@
+/**
+ * Generation History
+ * Keeps every clip generated from the main form in IndexedDB so takes can be
+ * replayed, downloaded, searched and re-run later.
+ * Loaded after app.js and uses its helpers (logger, formatExpressionName, showError, ...)
+ */
+
+const HISTORY_DB_NAME = 'geminiVoicesHistory';
+const HISTORY_STORE = 'clips';
+const HISTORY_QUOTA_KEY = 'geminiVoicesHistoryQuotaMb';
+
+let historyDbPromise = null;
+let historyEntries = []; // Newest first
+let historyPlayerUrl = null;
+
+document.addEventListener('DOMContentLoaded', () => {
+    const section = document.getElementById('historySection');
+    if (!section) return;
+
+    if (!window.indexedDB) {
+        document.getElementById('historyUsage').textContent = 'History is not available in this browser.';
+        return;
+    }
+
+    const quotaSelect = document.getElementById('historyQuota');
+    CONFIG.history.quotaOptionsMb.forEach(mb => {
+        const option = document.createElement('option');
+        option.value = mb;
+        option.textContent = mb >= 1024 ? `${mb / 1024} GB` : `${mb} MB`;
+        quotaSelect.appendChild(option);
+    });
+    quotaSelect.value = getHistoryQuotaMb();
+    quotaSelect.addEventListener('change', async () => {
+        localStorage.setItem(HISTORY_QUOTA_KEY, quotaSelect.value);
+        await enforceHistoryQuota();
+        await refreshHistory();
+    });
+
+    document.getElementById('historySearch').addEventListener('input', renderHistory);
+    document.getElementById('historyDeleteOldBtn').addEventListener('click', deleteOldHistory);
+    document.getElementById('historyClearBtn').addEventListener('click', clearHistory);
+
+    refreshHistory();
+});
+
+/**
+ * Open (and create on first use) the history database
+ * @returns {Promise<IDBDatabase>}
+ */
+function openHistoryDb() {
+    if (!historyDbPromise) {
+        historyDbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(HISTORY_DB_NAME, 1);
+            request.onupgradeneeded = () => {
+                const store = request.result.createObjectStore(HISTORY_STORE, { keyPath: 'id', autoIncrement: true });
+                store.createIndex('createdAt', 'createdAt');
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+    return historyDbPromise;
+}
+
+/**
+ * Run one request against the clips store
+ * @param {IDBTransactionMode} mode - 'readonly' or 'readwrite'
+ * @param {function(IDBObjectStore): IDBRequest} operation - Builds the request
+ * @returns {Promise<*>} Request result
+ */
+async function historyStoreRequest(mode, operation) {
+    const db = await openHistoryDb();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(HISTORY_STORE, mode);
+        const request = operation(transaction.objectStore(HISTORY_STORE));
+        transaction.oncomplete = () => resolve(request.result);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+}
+
+/**
+ * Storage limit chosen in the history panel
+ * @returns {number} Megabytes
+ */
+function getHistoryQuotaMb() {
+    const saved = parseInt(localStorage.getItem(HISTORY_QUOTA_KEY), 10);
+    return CONFIG.history.quotaOptionsMb.includes(saved) ? saved : CONFIG.history.defaultQuotaMb;
+}
+
+/**
+ * Store a generated clip with everything needed to re-run it
+ * @param {Blob} audioBlob - Generated audio
+ * @param {string} filename - Download filename
+ * @param {object} data - /api/synthesize response
+ * @param {object} requestBody - Request that produced the clip
+ */
+async function saveToHistory(audioBlob, filename, data, requestBody) {
+    if (!window.indexedDB) return;
+
+    // Never persist the API key
+    const { apiKey, ...request } = requestBody;
+    const entry = {
+        createdAt: Date.now(),
+        blob: audioBlob,
+        // The music bed travels with the request as base64 WAV, so it counts against the quota too
+        size: audioBlob.size + (request.music_bed?.audio.length || 0),
+        filename,
+        text: request.text,
+        voice: data.model_used,
+        expression: data.expression_used,
+        accent: data.accent_used,
+        modelId: request.modelId,
+        audioInfo: data.audio_info,
+        mimeType: data.mime_type,
+        settings: request.settings || {},
+        request
+    };
+
+    try {
+        await historyStoreRequest('readwrite', store => store.add(entry));
+        await enforceHistoryQuota();
+        await refreshHistory();
+        logger.debug('Clip saved to history', { size_kb: (entry.size / 1024).toFixed(2) });
+    } catch (error) {
+        logger.error('Failed to save clip to history', error);
+    }
+}
+
+/**
+ * Delete the oldest clips until history fits the size quota and entry limit
+ */
+async function enforceHistoryQuota() {
+    const entries = await historyStoreRequest('readonly', store => store.index('createdAt').getAll());
+    const quotaBytes = getHistoryQuotaMb() * 1024 * 1024;
+    let totalBytes = entries.reduce((sum, entry) => sum + entry.size, 0);
+    let count = entries.length;
+
+    const toDelete = [];
+    for (const entry of entries) {
+        if (totalBytes <= quotaBytes && count <= CONFIG.history.maxEntries) break;
+        toDelete.push(entry.id);
+        totalBytes -= entry.size;
+        count--;
+    }
+    if (toDelete.length === 0) return;
+
+    await historyStoreRequest('readwrite', store => {
+        let request;
+        toDelete.forEach(id => {
+            request = store.delete(id);
+        });
+        return request;
+    });
+    logger.info('History trimmed to quota', { deleted: toDelete.length, quota_mb: getHistoryQuotaMb() });
+}
+
+/**
+ * Reload history from IndexedDB and redraw the panel
+ */
+async function refreshHistory() {
+    try {
+        const entries = await historyStoreRequest('readonly', store => store.index('createdAt').getAll());
+        historyEntries = entries.reverse();
+    } catch (error) {
+        logger.error('Failed to load history', error);
+        historyEntries = [];
+    }
+    renderHistory();
+}
+
+/**
+ * Format a byte count for display
+ * @param {number} bytes
+ * @returns {string}
+ */
+function formatBytes(bytes) {
+    if (bytes >= 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+}
+
+/**
+ * Draw the history list, filtered by the search box
+ */
+function renderHistory() {
+    const list = document.getElementById('historyList');
+    const usage = document.getElementById('historyUsage');
+    const query = document.getElementById('historySearch').value.trim().toLowerCase();
+
+    const totalBytes = historyEntries.reduce((sum, entry) => sum + entry.size, 0);
+    usage.textContent = `${historyEntries.length} clip${historyEntries.length === 1 ? '' : 's'} · ${formatBytes(totalBytes)} of ${getHistoryQuotaMb()} MB`;
+
+    const matches = historyEntries.filter(entry => !query ||
+        [entry.text, entry.voice, entry.expression, formatExpressionName(entry.expression || ''), entry.modelId, entry.accent]
+            .some(value => value && value.toLowerCase().includes(query)));
+
+    list.innerHTML = '';
+    if (matches.length === 0) {
+        const empty = document.createElement('li');
+        empty.className = 'history-empty';
+        empty.textContent = historyEntries.length === 0 ? 'Generated clips will appear here.' : 'No clips match your search.';
+        list.appendChild(empty);
+        return;
+    }
+
+    matches.forEach(entry => {
+        const item = document.createElement('li');
+        item.className = 'history-item';
+
+        const meta = document.createElement('div');
+        meta.className = 'history-meta';
+        const duration = entry.audioInfo?.duration_seconds;
+        meta.textContent = [
+            entry.voice,
+            formatExpressionName(entry.expression || ''),
+            entry.accent,
+            entry.modelId,
+            duration ? `${duration.toFixed(1)}s` : null,
+            formatBytes(entry.size),
+            new Date(entry.createdAt).toLocaleString()
+        ].filter(Boolean).join(' · ');
+
+        const text = document.createElement('div');
+        text.className = 'history-text';
+        text.textContent = entry.text;
+        text.title = entry.text;
+
+        const actions = document.createElement('div');
+        actions.className = 'history-actions';
+        [
+            ['Play', () => playHistoryEntry(entry)],
+            ['Download', () => downloadHistoryEntry(entry)],
+            ['Re-run', () => rerunHistoryEntry(entry)],
+            ['Delete', () => deleteHistoryEntry(entry.id)]
+        ].forEach(([label, handler]) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = label === 'Delete' ? 'btn-text-link danger' : 'btn-text-link';
+            button.textContent = label;
+            button.addEventListener('click', handler);
+            actions.appendChild(button);
+        });
+
+        item.append(meta, text, actions);
+        list.appendChild(item);
+    });
+}
+
+/**
+ * Play a clip in the shared history player
+ * @param {object} entry - History entry
+ */
+function playHistoryEntry(entry) {
+    const player = document.getElementById('historyPlayer');
+    if (historyPlayerUrl) {
+        URL.revokeObjectURL(historyPlayerUrl);
+    }
+    historyPlayerUrl = URL.createObjectURL(entry.blob);
+    player.src = historyPlayerUrl;
+    player.style.display = 'block';
+    player.play().catch(error => logger.warn('History playback failed', { error_message: error.message }));
+}
+
+/**
+ * Download a clip with its original filename
+ * @param {object} entry - History entry
+ */
+function downloadHistoryEntry(entry) {
+    const url = URL.createObjectURL(entry.blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = entry.filename;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+}
+
+/**
+ * Put a past generation back into the main form and generate it again
+ * with the settings it was made with
+ * @param {object} entry - History entry
+ */
+function rerunHistoryEntry(entry) {
+    const request = entry.request;
+    const textInput = document.getElementById('textInput');
+    textInput.value = request.text;
+    textInput.dispatchEvent(new Event('input'));
+    if (request.variables) {
+        saveTemplateValues(request.variables);
+        renderTemplateFields(true);
+    }
+
+    const modelIdSelect = document.getElementById('modelIdSelect');
+    if (request.modelId && Array.from(modelIdSelect.options).some(option => option.value === request.modelId)) {
+        modelIdSelect.value = request.modelId;
+    }
+
+    // Show every voice so the saved one can be selected
+    document.getElementById('genderSelect').value = 'all';
+    filterVoiceModelsByGender();
+    if (request.model_name) {
+        document.getElementById('modelSelect').value = request.model_name;
+    }
+
+    // The expression may have been renamed or deleted since; the saved settings still define it
+    const expressionSelect = document.getElementById('expressionSelect');
+    if (!Array.from(expressionSelect.options).some(option => option.value === request.expression)) {
+        const option = document.createElement('option');
+        option.value = request.expression;
+        option.textContent = formatExpressionName(request.expression);
+        expressionSelect.appendChild(option);
+    }
+    expressionSelect.value = request.expression;
+
+    const accentSelect = document.getElementById('accentSelect');
+    if (request.accent_instruction) {
+        accentSelect.value = 'custom';
+        document.getElementById('accentCustomInput').value = request.accent_instruction;
+    } else if (request.accent) {
+        accentSelect.value = request.accent;
+    }
+    updateAccentCustomInput();
+    setProsodyValues(request.prosody);
+    setMusicBedRequest(request.music_bed);
+
+    const dialogueToggle = document.getElementById('dialogueToggle');
+    dialogueToggle.checked = !!request.dialogue;
+    if (request.dialogue) {
+        dialogueSpeakers = request.dialogue.speakers;
+        renderSpeakerMapping();
+    }
+    dialogueToggle.dispatchEvent(new Event('change'));
+
+    document.getElementById('markupToggle').checked = !!request.markup;
+    document.getElementById('captionsToggle').checked = !!request.captions;
+
+    const longFormToggle = document.getElementById('longFormToggle');
+    longFormToggle.checked = !!request.long_form;
+    if (request.long_form?.silenceMs !== undefined) {
+        document.getElementById('longFormSilence').value = request.long_form.silenceMs;
+    }
+    longFormToggle.dispatchEvent(new Event('change'));
+
+    logger.info('Re-running history entry', { history_id: entry.id });
+    historyRerunSettings = entry.settings;
+    document.getElementById('synthesisForm').scrollIntoView({ behavior: 'smooth', block: 'start' });
+    document.getElementById('synthesisForm').dispatchEvent(new Event('submit', { cancelable: true }));
+}
+
+/**
+ * Delete one clip
+ * @param {number} id - History entry id
+ */
+async function deleteHistoryEntry(id) {
+    try {
+        await historyStoreRequest('readwrite', store => store.delete(id));
+    } catch (error) {
+        logger.error('Failed to delete history entry', error, { history_id: id });
+        showError('Failed to delete clip from history.');
+    }
+    await refreshHistory();
+}
+
+/**
+ * Delete clips older than the chosen age
+ */
+async function deleteOldHistory() {
+    const days = parseInt(document.getElementById('historyCleanupAge').value, 10);
+    const cutoff = Date.now() - days * 24 * 60 * 60 * 1000;
+    try {
+        const oldIds = historyEntries.filter(entry => entry.createdAt < cutoff).map(entry => entry.id);
+        if (oldIds.length > 0) {
+            await historyStoreRequest('readwrite', store => {
+                let request;
+                oldIds.forEach(id => {
+                    request = store.delete(id);
+                });
+                return request;
+            });
+        }
+        showSuccess(`Removed ${oldIds.length} clip${oldIds.length === 1 ? '' : 's'} older than ${days} days.`);
+    } catch (error) {
+        logger.error('Failed to clean up history', error);
+        showError('Failed to clean up history.');
+    }
+    await refreshHistory();
+}
+
+/**
+ * Delete every clip
+ */
+async function clearHistory() {
+    if (!confirm('Delete all clips from history? This cannot be undone.')) {
+        return;
+    }
+    try {
+        await historyStoreRequest('readwrite', store => store.clear());
+    } catch (error) {
+        logger.error('Failed to clear history', error);
+        showError('Failed to clear history.');
+    }
+    await refreshHistory();
+}
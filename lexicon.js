@@ -0,0 +1,272 @@
+/**
+ * Pronunciation Lexicon
+ * Settings editor for term → spoken form entries, with JSON/CSV import and export.
+ * Entries are saved in currentSettings.lexicon and sent with every synthesis request.
+ * Loaded after app.js and batch.js and uses their helpers (logger, lexiconRules, parseCsv, formatCsv, ...)
+ */
+
+document.addEventListener('DOMContentLoaded', () => {
+    const list = document.getElementById('lexiconList');
+    if (!list) return;
+
+    document.getElementById('addLexiconBtn').addEventListener('click', () => {
+        addLexiconRow({ term: '', replacement: '', wholeWord: true, caseSensitive: false })
+            .querySelector('.lexicon-term').focus();
+    });
+    document.getElementById('lexiconImportBtn').addEventListener('click', () => {
+        document.getElementById('lexiconFileInput').click();
+    });
+    document.getElementById('lexiconFileInput').addEventListener('change', handleLexiconImport);
+    document.getElementById('lexiconExportJsonBtn').addEventListener('click', () => exportLexicon('json'));
+    document.getElementById('lexiconExportCsvBtn').addEventListener('click', () => exportLexicon('csv'));
+});
+
+/**
+ * Render the lexicon editor in settings
+ * @param {Array<object>} entries - Saved lexicon entries
+ */
+function renderLexiconEditor(entries) {
+    const list = document.getElementById('lexiconList');
+    if (!list) return;
+    list.innerHTML = '';
+    entries.forEach(entry => addLexiconRow(entry));
+    updateLexiconCount();
+}
+
+/**
+ * Add one entry to the lexicon editor
+ * @param {{term: string, replacement: string, wholeWord?: boolean, caseSensitive?: boolean}} entry
+ * @returns {HTMLElement} The new row
+ */
+function addLexiconRow(entry) {
+    const list = document.getElementById('lexiconList');
+    const row = document.createElement('div');
+    row.className = 'lexicon-row';
+
+    const termInput = document.createElement('input');
+    termInput.type = 'text';
+    termInput.className = 'lexicon-term';
+    termInput.value = entry.term;
+    termInput.placeholder = 'Term, e.g. SQL';
+    termInput.maxLength = lexiconRules.maxTermLength;
+    termInput.setAttribute('aria-label', 'Term');
+
+    const replacementInput = document.createElement('input');
+    replacementInput.type = 'text';
+    replacementInput.className = 'lexicon-replacement';
+    replacementInput.value = entry.replacement;
+    replacementInput.placeholder = 'Say as, e.g. sequel';
+    replacementInput.maxLength = lexiconRules.maxReplacementLength;
+    replacementInput.setAttribute('aria-label', 'Spoken form');
+
+    const options = document.createElement('div');
+    options.className = 'lexicon-options';
+    [
+        ['lexicon-whole-word', 'Whole word', entry.wholeWord !== false],
+        ['lexicon-case-sensitive', 'Match case', entry.caseSensitive === true]
+    ].forEach(([className, text, checked]) => {
+        const label = document.createElement('label');
+        label.className = 'checkbox-label';
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.className = className;
+        checkbox.checked = checked;
+        const span = document.createElement('span');
+        span.textContent = text;
+        label.append(checkbox, span);
+        options.appendChild(label);
+    });
+
+    const deleteBtn = document.createElement('button');
+    deleteBtn.type = 'button';
+    deleteBtn.className = 'btn-text-link danger';
+    deleteBtn.textContent = 'Delete';
+    deleteBtn.addEventListener('click', () => {
+        row.remove();
+        updateLexiconCount();
+    });
+
+    row.append(termInput, replacementInput, options, deleteBtn);
+    list.appendChild(row);
+    updateLexiconCount();
+    return row;
+}
+
+/**
+ * Show the number of entries against the server limit
+ */
+function updateLexiconCount() {
+    const count = document.querySelectorAll('#lexiconList .lexicon-row').length;
+    document.getElementById('lexiconCount').textContent = count > 0
+        ? `${count} of ${lexiconRules.maxEntries} entries`
+        : 'No entries yet.';
+}
+
+/**
+ * Check lexicon entries the same way the server does
+ * @param {Array<object>} entries - Entries to check
+ * @returns {string|null} First problem found, or null
+ */
+function validateLexiconEntries(entries) {
+    if (entries.length > lexiconRules.maxEntries) {
+        return `The lexicon can hold at most ${lexiconRules.maxEntries} entries.`;
+    }
+    const seen = new Set();
+    for (const entry of entries) {
+        if (!entry.term) {
+            return 'Every lexicon entry needs a term.';
+        }
+        if (!entry.replacement) {
+            return `Lexicon term "${entry.term}" needs a spoken form.`;
+        }
+        if (entry.term.length > lexiconRules.maxTermLength || entry.replacement.length > lexiconRules.maxReplacementLength) {
+            return `Lexicon term "${entry.term.slice(0, 20)}" is too long.`;
+        }
+        const key = entry.caseSensitive ? entry.term : entry.term.toLowerCase();
+        if (seen.has(key)) {
+            return `The lexicon has "${entry.term}" twice.`;
+        }
+        seen.add(key);
+    }
+    return null;
+}
+
+/**
+ * Read the lexicon editor
+ * @returns {{entries?: Array<object>, error?: string}} Entries, or a validation error
+ */
+function collectLexiconEntries() {
+    const entries = Array.from(document.querySelectorAll('#lexiconList .lexicon-row'), row => ({
+        term: row.querySelector('.lexicon-term').value.trim(),
+        replacement: row.querySelector('.lexicon-replacement').value.trim(),
+        wholeWord: row.querySelector('.lexicon-whole-word').checked,
+        caseSensitive: row.querySelector('.lexicon-case-sensitive').checked
+    })).filter(entry => entry.term || entry.replacement); // Ignore rows left completely blank
+
+    const error = validateLexiconEntries(entries);
+    return error ? { error } : { entries };
+}
+
+/**
+ * Read a true/false option from an imported record
+ * @param {*} value - Boolean, or CSV text such as "yes", "false", "1"
+ * @param {boolean} fallback - Value when the field is missing or blank
+ * @returns {boolean}
+ */
+function parseLexiconFlag(value, fallback) {
+    if (typeof value === 'boolean') return value;
+    const text = String(value ?? '').trim().toLowerCase();
+    if (!text) return fallback;
+    if (['true', 'yes', 'y', '1'].includes(text)) return true;
+    if (['false', 'no', 'n', '0'].includes(text)) return false;
+    throw new Error(`"${value}" is not true or false`);
+}
+
+/**
+ * Parse an exported lexicon: a JSON array (or { lexicon: [...] }) or CSV with
+ * term, replacement, whole_word and case_sensitive columns
+ * @param {string} content - File contents
+ * @param {string} fileName - File name, used to pick the format
+ * @returns {Array<object>} Entries
+ * @throws {Error} If the file is not a lexicon
+ */
+function parseLexiconFile(content, fileName) {
+    const text = content.replace(/^\uFEFF/, '');
+    let records;
+    if (/\.json$/i.test(fileName) || /^\s*[[{]/.test(text)) {
+        const data = JSON.parse(text);
+        records = Array.isArray(data) ? data : data?.lexicon;
+        if (!Array.isArray(records)) {
+            throw new Error('JSON must be an array of entries or an object with a "lexicon" array');
+        }
+    } else {
+        const [header, ...rows] = parseCsv(text);
+        const columns = (header || []).map(name => name.trim().toLowerCase().replace(/[\s-]+/g, '_'));
+        if (!columns.includes('term') || !columns.includes('replacement')) {
+            throw new Error('CSV needs a header row with "term" and "replacement" columns');
+        }
+        records = rows.map(cells => Object.fromEntries(columns.map((name, index) => [name, cells[index] ?? ''])));
+    }
+
+    return records.map((record, index) => {
+        if (!record || typeof record !== 'object') {
+            throw new Error(`Entry ${index + 1} is not an object`);
+        }
+        try {
+            return {
+                term: String(record.term ?? '').trim(),
+                replacement: String(record.replacement ?? '').trim(),
+                wholeWord: parseLexiconFlag(record.wholeWord ?? record.whole_word, true),
+                caseSensitive: parseLexiconFlag(record.caseSensitive ?? record.case_sensitive, false)
+            };
+        } catch (error) {
+            throw new Error(`Entry ${index + 1}: ${error.message}`);
+        }
+    });
+}
+
+/**
+ * Import a lexicon file into the editor; entries replace existing rows with the same term
+ * @param {Event} e - File input change event
+ */
+async function handleLexiconImport(e) {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    let imported;
+    try {
+        imported = parseLexiconFile(await file.text(), file.name);
+    } catch (error) {
+        logger.warn('Failed to import lexicon', { file_name: file.name, error_message: error.message });
+        showError(`Could not import ${file.name}: ${error.message}`);
+        return;
+    }
+
+    const current = collectLexiconEntries();
+    if (current.error) {
+        showError(`Fix the lexicon before importing: ${current.error}`);
+        return;
+    }
+    const existing = current.entries;
+    const importedTerms = new Set(imported.map(entry => entry.term.toLowerCase()));
+    const merged = [...existing.filter(entry => !importedTerms.has(entry.term.toLowerCase())), ...imported];
+    const error = validateLexiconEntries(merged);
+    if (error) {
+        showError(`Could not import ${file.name}: ${error}`);
+        return;
+    }
+
+    renderLexiconEditor(merged);
+    logger.info('Lexicon imported', { file_name: file.name, imported: imported.length, total: merged.length });
+    showSuccess(`Imported ${imported.length} lexicon entr${imported.length === 1 ? 'y' : 'ies'}. Click Save to apply.`);
+}
+
+/**
+ * Download the entries currently in the editor
+ * @param {'json'|'csv'} format - Export format
+ */
+function exportLexicon(format) {
+    const result = collectLexiconEntries();
+    if (result.error) {
+        showError(result.error);
+        return;
+    }
+
+    const content = format === 'csv'
+        ? formatCsv([
+            ['term', 'replacement', 'whole_word', 'case_sensitive'],
+            ...result.entries.map(entry => [entry.term, entry.replacement, String(entry.wholeWord), String(entry.caseSensitive)])
+        ])
+        : JSON.stringify(result.entries, null, 2);
+    const blob = new Blob([content], { type: format === 'csv' ? 'text/csv' : 'application/json' });
+
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `lexicon.${format}`;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+}
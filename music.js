@@ -0,0 +1,205 @@
+/**
+ * Music Bed
+ * Background track mixed under the speech on the server (hold music, jingles). The uploaded file
+ * is decoded with Web Audio, rendered to mono WAV and kept in memory until it is removed.
+ * Loaded after app.js and uses its helpers (logger, musicBedRules, showError, ...)
+ */
+
+// Slider element ids for each music bed option, with how their values are shown
+const MUSIC_BED_INPUTS = {
+    volumeDb: { id: 'musicBedVolume', format: value => `${value} dB` },
+    duckDb: { id: 'musicBedDuck', format: value => `${value} dB` },
+    introMs: { id: 'musicBedIntro', format: value => `${(value / 1000).toFixed(1)} s` },
+    outroMs: { id: 'musicBedOutro', format: value => `${(value / 1000).toFixed(1)} s` },
+    fadeInMs: { id: 'musicBedFadeIn', format: value => `${(value / 1000).toFixed(1)} s` },
+    fadeOutMs: { id: 'musicBedFadeOut', format: value => `${(value / 1000).toFixed(1)} s` }
+};
+
+let musicBed = null; // { name, audio (base64 WAV), seconds }
+
+document.addEventListener('DOMContentLoaded', () => {
+    const fileInput = document.getElementById('musicBedFile');
+    if (!fileInput) return;
+
+    fileInput.addEventListener('change', () => {
+        const file = fileInput.files[0];
+        if (file) loadMusicBedFile(file);
+    });
+    document.getElementById('musicBedRemoveBtn').addEventListener('click', () => setMusicBed(null));
+    Object.values(MUSIC_BED_INPUTS).forEach(({ id }) => {
+        document.getElementById(id).addEventListener('input', updateMusicBedLabels);
+    });
+    updateMusicBedLabels();
+});
+
+/**
+ * Set the slider ranges and defaults from the server rules
+ */
+function applyMusicBedRules() {
+    if (!musicBedRules) return;
+    const ranges = {
+        volumeDb: [musicBedRules.minVolumeDb, musicBedRules.maxVolumeDb],
+        duckDb: [musicBedRules.minDuckDb, 0],
+        introMs: [0, musicBedRules.maxIntroOutroMs],
+        outroMs: [0, musicBedRules.maxIntroOutroMs],
+        fadeInMs: [0, musicBedRules.maxFadeMs],
+        fadeOutMs: [0, musicBedRules.maxFadeMs]
+    };
+    Object.entries(MUSIC_BED_INPUTS).forEach(([option, { id }]) => {
+        const input = document.getElementById(id);
+        if (!input) return;
+        [input.min, input.max] = ranges[option];
+        input.value = musicBedRules[option];
+    });
+    const loop = document.getElementById('musicBedLoop');
+    if (loop) loop.checked = musicBedRules.loop;
+    updateMusicBedLabels();
+}
+
+/**
+ * Show the slider values
+ */
+function updateMusicBedLabels() {
+    Object.values(MUSIC_BED_INPUTS).forEach(({ id, format }) => {
+        const output = document.getElementById(`${id}Value`);
+        if (output) output.textContent = format(Number(document.getElementById(id).value));
+    });
+}
+
+/**
+ * Decode an uploaded audio file and keep it as the music bed. Tracks longer than the server
+ * allows are cut to the limit.
+ * @param {File} file - Any format the browser can decode (MP3, WAV, OGG, ...)
+ */
+async function loadMusicBedFile(file) {
+    const nameLabel = document.getElementById('musicBedName');
+    nameLabel.textContent = 'Converting...';
+    try {
+        const maxSeconds = musicBedRules?.maxSeconds || 60;
+        const { wav, seconds, truncated } = await renderMusicBedWav(await file.arrayBuffer(), maxSeconds);
+        setMusicBed({ name: file.name, audio: wav, seconds });
+        if (truncated) {
+            nameLabel.textContent += ` (first ${maxSeconds} s)`;
+        }
+        logger.info('Music bed loaded', { file_name: file.name, duration_seconds: seconds.toFixed(1), truncated });
+    } catch (error) {
+        logger.warn('Music bed could not be decoded', { file_name: file.name, error_message: error.message });
+        setMusicBed(null);
+        showError(`Could not read "${file.name}" as audio: ${error.message}`);
+    }
+}
+
+/**
+ * Decode audio and render it to mono 16-bit WAV at CONFIG.musicBed.sampleRate
+ * @param {ArrayBuffer} data - Encoded audio file
+ * @param {number} maxSeconds - Longest track to keep
+ * @returns {Promise<{wav: string, seconds: number, truncated: boolean}>} Base64 WAV and its length
+ */
+async function renderMusicBedWav(data, maxSeconds) {
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+    const context = new AudioContextClass();
+    let decoded;
+    try {
+        decoded = await context.decodeAudioData(data);
+    } finally {
+        context.close();
+    }
+
+    // Render through an offline context to resample and mix down to mono in one step
+    const sampleRate = CONFIG.musicBed.sampleRate;
+    const seconds = Math.min(decoded.duration, maxSeconds);
+    const offline = new OfflineAudioContext(1, Math.max(1, Math.floor(seconds * sampleRate)), sampleRate);
+    const source = offline.createBufferSource();
+    source.buffer = decoded;
+    source.connect(offline.destination);
+    source.start();
+    const samples = (await offline.startRendering()).getChannelData(0);
+
+    const wav = new DataView(new ArrayBuffer(44 + samples.length * 2));
+    const writeText = (offset, text) => [...text].forEach((char, i) => wav.setUint8(offset + i, char.charCodeAt(0)));
+    writeText(0, 'RIFF');
+    wav.setUint32(4, 36 + samples.length * 2, true);
+    writeText(8, 'WAVE');
+    writeText(12, 'fmt ');
+    wav.setUint32(16, 16, true);
+    wav.setUint16(20, 1, true); // PCM
+    wav.setUint16(22, 1, true); // Mono
+    wav.setUint32(24, sampleRate, true);
+    wav.setUint32(28, sampleRate * 2, true);
+    wav.setUint16(32, 2, true);
+    wav.setUint16(34, 16, true);
+    writeText(36, 'data');
+    wav.setUint32(40, samples.length * 2, true);
+    samples.forEach((sample, i) => {
+        wav.setInt16(44 + i * 2, Math.max(-32768, Math.min(32767, Math.round(sample * 32768))), true);
+    });
+
+    // btoa needs a binary string; build it in slices to stay under the argument limit
+    const bytes = new Uint8Array(wav.buffer);
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return { wav: btoa(binary), seconds, truncated: decoded.duration > maxSeconds };
+}
+
+/**
+ * Set or clear the music bed and update the form
+ * @param {{name: string, audio: string, seconds: number}|null} bed - Decoded bed, or null to remove it
+ */
+function setMusicBed(bed) {
+    musicBed = bed;
+    document.getElementById('musicBedName').textContent = bed ? `${bed.name} (${bed.seconds.toFixed(1)} s)` : '';
+    document.getElementById('musicBedRemoveBtn').style.display = bed ? '' : 'none';
+    document.getElementById('musicBedControls').style.display = bed ? '' : 'none';
+    if (!bed) {
+        document.getElementById('musicBedFile').value = '';
+    }
+}
+
+/**
+ * The music_bed field of a synthesis request
+ * @returns {object|null} Track and mix options, or null when no bed is loaded
+ */
+function getMusicBedRequest() {
+    if (!musicBed) return null;
+    const request = { audio: musicBed.audio };
+    Object.entries(MUSIC_BED_INPUTS).forEach(([option, { id }]) => {
+        request[option] = Number(document.getElementById(id).value);
+    });
+    request.loop = document.getElementById('musicBedLoop').checked;
+    return request;
+}
+
+/**
+ * Restore the music bed of an earlier request (history re-runs)
+ * @param {object|undefined} request - music_bed from the request, or undefined to remove the bed
+ */
+function setMusicBedRequest(request) {
+    if (!request) {
+        setMusicBed(null);
+        return;
+    }
+    // Length from the size of the WAV: 16-bit mono samples after a 44-byte header
+    const bytes = request.audio.length * 3 / 4 - (request.audio.match(/=*$/)[0].length);
+    const seconds = (bytes - 44) / (2 * CONFIG.musicBed.sampleRate);
+    setMusicBed({ name: 'Track from history', audio: request.audio, seconds });
+    Object.entries(MUSIC_BED_INPUTS).forEach(([option, { id }]) => {
+        if (request[option] !== undefined) document.getElementById(id).value = request[option];
+    });
+    document.getElementById('musicBedLoop').checked = request.loop !== false;
+    updateMusicBedLabels();
+}
+
+/**
+ * Describe the mix of a clip, e.g. "-18 dB, ducked -12 dB, 2.0 s intro, 2.0 s outro, looped 3×"
+ * @param {object} report - music_bed from the /api/synthesize response
+ * @returns {string}
+ */
+function formatMusicBed(report) {
+    const parts = [`${report.volume_db} dB`];
+    if (report.duck_db !== 0) parts.push(`ducked ${report.duck_db} dB`);
+    parts.push(`${(report.intro_ms / 1000).toFixed(1)} s intro`, `${(report.outro_ms / 1000).toFixed(1)} s outro`);
+    if (report.loop && report.plays > 1) parts.push(`looped ${report.plays}×`);
+    return parts.join(', ');
+}
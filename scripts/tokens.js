@@ -0,0 +1,152 @@
+#!/usr/bin/env node
+/**
+ * Admin CLI for access tokens (server key mode, AUTH_MODE=token)
+ *
+ *   npm run tokens -- create <name> [--expires 30d|2026-12-31|never]
+ *   npm run tokens -- list
+ *   npm run tokens -- disable <id>
+ *   npm run tokens -- enable <id>
+ *   npm run tokens -- expire <id> <30d|2026-12-31|never>
+ *   npm run tokens -- delete <id>
+ *   npm run tokens -- export
+ *
+ * Tokens are stored hashed in ACCESS_TOKENS_FILE (default access-tokens.json). "export" prints
+ * the store as one line for the ACCESS_TOKENS environment variable on hosts without a writable disk.
+ */
+
+import { readTokenStore, writeTokenStore, createAccessToken, getTokenStorePath } from '../utils/auth.js';
+
+const USAGE = `Usage: npm run tokens -- <command>
+
+  create <name> [--expires <when>]   Issue a token (shown once)
+  list                               Show all tokens
+  disable <id> | enable <id>         Turn a token off or back on
+  expire <id> <when>                 Change a token's expiry
+  delete <id>                        Remove a token
+  export                             Print the store for the ACCESS_TOKENS variable
+
+<when> is a duration (12h, 30d), a date (2026-12-31) or "never".`;
+
+/**
+ * Turn an expiry argument into an ISO time
+ * @param {string} value - Duration such as 30d or 12h, a date, or "never"
+ * @returns {string|null} ISO time, or null for no expiry
+ * @throws {Error} If the value is not understood or is in the past
+ */
+function parseExpiry(value) {
+  if (!value || value.startsWith('--')) {
+    throw new Error(`Missing expiry: give a duration (30d, 12h, 2w), a date or "never"\n\n${USAGE}`);
+  }
+  if (value === 'never') {
+    return null;
+  }
+  const duration = value.match(/^(\d+)([hdw])$/);
+  const hours = { h: 1, d: 24, w: 24 * 7 };
+  const time = duration
+    ? Date.now() + Number(duration[1]) * hours[duration[2]] * 3600 * 1000
+    : Date.parse(value);
+  if (Number.isNaN(time)) {
+    throw new Error(`"${value}" is not a duration (30d, 12h, 2w), a date or "never"`);
+  }
+  if (time <= Date.now()) {
+    throw new Error(`"${value}" is in the past`);
+  }
+  return new Date(time).toISOString();
+}
+
+/**
+ * Describe a token's state for the list command
+ * @param {object} record - Token record
+ * @returns {string}
+ */
+function describeStatus(record) {
+  if (record.enabled === false) return 'disabled';
+  if (record.expiresAt && Date.parse(record.expiresAt) <= Date.now()) return 'expired';
+  return 'active';
+}
+
+/**
+ * Find a token by id
+ * @param {Array<object>} records - Token records
+ * @param {string} id - Token id
+ * @returns {object} Record
+ * @throws {Error} If there is no such token
+ */
+function findRecord(records, id) {
+  const record = records.find(entry => entry.id === id);
+  if (!record) {
+    throw new Error(`No token with id "${id}". Run "npm run tokens -- list" to see them.`);
+  }
+  return record;
+}
+
+function main(argv) {
+  const [command, ...args] = argv;
+  const records = readTokenStore();
+
+  switch (command) {
+    case 'create': {
+      const expiresIndex = args.indexOf('--expires');
+      const expiresAt = expiresIndex === -1 ? null : parseExpiry(args[expiresIndex + 1]);
+      const nameArgs = expiresIndex === -1 ? args : [...args.slice(0, expiresIndex), ...args.slice(expiresIndex + 2)];
+      const name = nameArgs.join(' ').trim();
+      if (!name) {
+        throw new Error('Give the token a name, e.g. "create alice --expires 90d"');
+      }
+      const { token, record } = createAccessToken(name, expiresAt);
+      writeTokenStore([...records, record]);
+      console.log(`Created token ${record.id} for ${name}${expiresAt ? ` (expires ${expiresAt})` : ''}.`);
+      console.log('Send this token to its owner now; it cannot be shown again:\n');
+      console.log(`  ${token}\n`);
+      break;
+    }
+    case 'list': {
+      if (records.length === 0) {
+        console.log(`No tokens in ${getTokenStorePath()}.`);
+        break;
+      }
+      console.table(records.map(record => ({
+        id: record.id,
+        name: record.name,
+        status: describeStatus(record),
+        created: record.createdAt,
+        expires: record.expiresAt || 'never'
+      })));
+      break;
+    }
+    case 'enable':
+    case 'disable': {
+      const record = findRecord(records, args[0]);
+      record.enabled = command === 'enable';
+      writeTokenStore(records);
+      console.log(`Token ${record.id} (${record.name}) is now ${command}d.`);
+      break;
+    }
+    case 'expire': {
+      const record = findRecord(records, args[0]);
+      record.expiresAt = parseExpiry(args[1]);
+      writeTokenStore(records);
+      console.log(`Token ${record.id} (${record.name}) now expires ${record.expiresAt || 'never'}.`);
+      break;
+    }
+    case 'delete': {
+      const record = findRecord(records, args[0]);
+      writeTokenStore(records.filter(entry => entry !== record));
+      console.log(`Deleted token ${record.id} (${record.name}).`);
+      break;
+    }
+    case 'export':
+      console.log(JSON.stringify(records));
+      break;
+    default:
+      console.log(USAGE);
+      process.exitCode = command ? 1 : 0;
+  }
+}
+
+try {
+  main(process.argv.slice(2));
+} catch (error) {
+  console.error(`Error: ${error.message}`);
+  process.exitCode = 1;
+}
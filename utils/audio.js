@@ -0,0 +1,489 @@
+/**
+ * PCM Audio Utilities
+ * Sample rate, channel and bit depth conversion plus the WAV container
+ */
+
+// WAV format tags for the codecs we can write
+const WAV_FORMAT_TAGS = {
+  pcm: 1,
+  alaw: 6,
+  mulaw: 7
+};
+
+export const WAV_CODECS = Object.keys(WAV_FORMAT_TAGS);
+
+// Windowed-sinc resampler: zero crossings per side and table resolution
+const RESAMPLE_ZERO_CROSSINGS = 16;
+const RESAMPLE_TABLE_STEPS = 512;
+
+/**
+ * Blackman-windowed sinc kernel sampled from 0 to RESAMPLE_ZERO_CROSSINGS
+ */
+const RESAMPLE_KERNEL = (() => {
+  const size = RESAMPLE_ZERO_CROSSINGS * RESAMPLE_TABLE_STEPS + 1;
+  const table = new Float64Array(size + 1);
+  for (let i = 0; i < size; i++) {
+    const x = i / RESAMPLE_TABLE_STEPS;
+    const sinc = x === 0 ? 1 : Math.sin(Math.PI * x) / (Math.PI * x);
+    const t = x / RESAMPLE_ZERO_CROSSINGS;
+    const window = 0.42 + 0.5 * Math.cos(Math.PI * t) + 0.08 * Math.cos(2 * Math.PI * t);
+    table[i] = sinc * window;
+  }
+  return table;
+})();
+
+function clamp16(value) {
+  return value > 32767 ? 32767 : value < -32768 ? -32768 : Math.round(value);
+}
+
+/**
+ * Read 16-bit little-endian PCM bytes into an Int16Array
+ * @param {Buffer|Uint8Array} pcmData - Raw PCM bytes
+ * @returns {Int16Array} Interleaved samples
+ */
+export function pcm16ToSamples(pcmData) {
+  const pcmBuffer = Buffer.isBuffer(pcmData) ? pcmData : Buffer.from(pcmData);
+  const samples = new Int16Array(Math.floor(pcmBuffer.length / 2));
+  for (let i = 0; i < samples.length; i++) {
+    samples[i] = pcmBuffer.readInt16LE(i * 2);
+  }
+  return samples;
+}
+
+/**
+ * Write samples back out as 16-bit little-endian PCM bytes
+ * @param {Int16Array} samples - Interleaved samples
+ * @returns {Buffer} Raw PCM bytes
+ */
+export function samplesToPcm16(samples) {
+  const buffer = Buffer.alloc(samples.length * 2);
+  for (let i = 0; i < samples.length; i++) {
+    buffer.writeInt16LE(samples[i], i * 2);
+  }
+  return buffer;
+}
+
+/**
+ * Resample one channel with a band-limited (windowed sinc) interpolator
+ * @param {Int16Array} input - Channel samples
+ * @param {number} fromRate - Input sample rate in Hz
+ * @param {number} toRate - Output sample rate in Hz
+ * @returns {Int16Array} Resampled channel
+ */
+function resampleChannel(input, fromRate, toRate) {
+  const ratio = toRate / fromRate;
+  // Lower the cutoff when downsampling so content above the new Nyquist doesn't alias
+  const cutoff = Math.min(1, ratio);
+  const halfWidth = RESAMPLE_ZERO_CROSSINGS / cutoff;
+  const output = new Int16Array(Math.round(input.length * ratio));
+
+  for (let i = 0; i < output.length; i++) {
+    const center = i / ratio;
+    const start = Math.max(0, Math.ceil(center - halfWidth));
+    const end = Math.min(input.length - 1, Math.floor(center + halfWidth));
+    let sum = 0;
+    for (let j = start; j <= end; j++) {
+      const position = Math.abs(j - center) * cutoff * RESAMPLE_TABLE_STEPS;
+      const index = Math.floor(position);
+      const fraction = position - index;
+      const weight = RESAMPLE_KERNEL[index] + (RESAMPLE_KERNEL[index + 1] - RESAMPLE_KERNEL[index]) * fraction;
+      sum += input[j] * weight;
+    }
+    output[i] = clamp16(sum * cutoff);
+  }
+
+  return output;
+}
+
+/**
+ * Resample interleaved samples to a new rate
+ * @param {Int16Array} samples - Interleaved samples
+ * @param {number} channels - Number of audio channels
+ * @param {number} fromRate - Input sample rate in Hz
+ * @param {number} toRate - Output sample rate in Hz
+ * @returns {Int16Array} Resampled interleaved samples
+ */
+export function resample(samples, channels, fromRate, toRate) {
+  if (fromRate === toRate) {
+    return samples;
+  }
+
+  const frameCount = Math.floor(samples.length / channels);
+  const resampled = [];
+  for (let ch = 0; ch < channels; ch++) {
+    const channel = new Int16Array(frameCount);
+    for (let i = 0; i < frameCount; i++) {
+      channel[i] = samples[i * channels + ch];
+    }
+    resampled.push(resampleChannel(channel, fromRate, toRate));
+  }
+
+  const outFrames = resampled[0].length;
+  const output = new Int16Array(outFrames * channels);
+  for (let i = 0; i < outFrames; i++) {
+    for (let ch = 0; ch < channels; ch++) {
+      output[i * channels + ch] = resampled[ch][i];
+    }
+  }
+  return output;
+}
+
+/**
+ * Change the channel count: duplicate for upmixing, average for downmixing
+ * @param {Int16Array} samples - Interleaved samples
+ * @param {number} fromChannels - Input channel count
+ * @param {number} toChannels - Output channel count
+ * @returns {Int16Array} Interleaved samples with the new channel count
+ */
+export function convertChannels(samples, fromChannels, toChannels) {
+  if (fromChannels === toChannels) {
+    return samples;
+  }
+
+  const frameCount = Math.floor(samples.length / fromChannels);
+  const output = new Int16Array(frameCount * toChannels);
+  for (let i = 0; i < frameCount; i++) {
+    let sum = 0;
+    for (let ch = 0; ch < fromChannels; ch++) {
+      sum += samples[i * fromChannels + ch];
+    }
+    const mixed = Math.round(sum / fromChannels);
+    for (let ch = 0; ch < toChannels; ch++) {
+      output[i * toChannels + ch] = fromChannels === 1 ? samples[i] : mixed;
+    }
+  }
+  return output;
+}
+
+/**
+ * Convert 16-bit PCM from one sample rate/channel layout to another
+ * @param {Buffer} pcmData - Raw 16-bit little-endian PCM bytes
+ * @param {{sampleRate: number, channels: number}} source - Input layout
+ * @param {{sampleRate: number, channels: number}} target - Output layout
+ * @returns {Buffer} Converted 16-bit PCM bytes
+ */
+export function convertPcm(pcmData, source, target) {
+  if (source.sampleRate === target.sampleRate && source.channels === target.channels) {
+    return Buffer.isBuffer(pcmData) ? pcmData : Buffer.from(pcmData);
+  }
+
+  let samples = pcm16ToSamples(pcmData);
+  // Resample before upmixing and after downmixing, so we never resample more channels than needed
+  if (target.channels > source.channels) {
+    samples = resample(samples, source.channels, source.sampleRate, target.sampleRate);
+    samples = convertChannels(samples, source.channels, target.channels);
+  } else {
+    samples = convertChannels(samples, source.channels, target.channels);
+    samples = resample(samples, target.channels, source.sampleRate, target.sampleRate);
+  }
+  return samplesToPcm16(samples);
+}
+
+/**
+ * Create silent 16-bit PCM
+ * @param {number} durationMs - Length of the silence in milliseconds
+ * @param {{sampleRate: number, channels: number}} layout - PCM layout
+ * @returns {Buffer} Zeroed PCM bytes
+ */
+export function createSilence(durationMs, { sampleRate, channels }) {
+  const frames = Math.round(durationMs * sampleRate / 1000);
+  return Buffer.alloc(frames * channels * 2);
+}
+
+/**
+ * Join 16-bit PCM segments with silence between them
+ * @param {Buffer[]} segments - PCM segments in playback order
+ * @param {number|number[]} silenceMs - Silence between segments in milliseconds, or one value per
+ *   gap including before the first and after the last segment (segments.length + 1 values)
+ * @param {{sampleRate: number, channels: number}} layout - PCM layout shared by all segments
+ * @returns {Buffer} Joined PCM bytes
+ */
+export function joinPcm(segments, silenceMs, layout) {
+  const pauses = Array.isArray(silenceMs)
+    ? silenceMs
+    : [0, ...segments.slice(1).map(() => silenceMs), 0];
+  const parts = [];
+  segments.forEach((segment, index) => {
+    if (pauses[index] > 0) {
+      parts.push(createSilence(pauses[index], layout));
+    }
+    parts.push(segment);
+  });
+  if (pauses[segments.length] > 0) {
+    parts.push(createSilence(pauses[segments.length], layout));
+  }
+  return Buffer.concat(parts);
+}
+
+/**
+ * Encode a 16-bit sample as G.711 mu-law
+ * @param {number} sample - Signed 16-bit sample
+ * @returns {number} Mu-law byte
+ */
+export function linearToMulaw(sample) {
+  const MULAW_BIAS = 0x84;
+  const MULAW_CLIP = 32635;
+
+  const sign = sample < 0 ? 0x80 : 0;
+  const magnitude = Math.min(Math.abs(sample), MULAW_CLIP) + MULAW_BIAS;
+  const exponent = Math.min(7, 31 - Math.clz32(magnitude >> 7));
+  const mantissa = (magnitude >> (exponent + 3)) & 0x0f;
+  return ~(sign | (exponent << 4) | mantissa) & 0xff;
+}
+
+/**
+ * Encode a 16-bit sample as G.711 A-law
+ * @param {number} sample - Signed 16-bit sample
+ * @returns {number} A-law byte
+ */
+export function linearToAlaw(sample) {
+  const ALAW_CLIP = 32635;
+
+  const sign = sample >= 0 ? 0x80 : 0;
+  const magnitude = Math.min(sample >= 0 ? sample : -sample, ALAW_CLIP);
+  let compressed;
+  if (magnitude >= 256) {
+    const exponent = 32 - Math.clz32(magnitude >> 8);
+    const mantissa = (magnitude >> (exponent + 3)) & 0x0f;
+    compressed = (exponent << 4) | mantissa;
+  } else {
+    compressed = magnitude >> 4;
+  }
+  return compressed ^ (sign ^ 0x55);
+}
+
+/**
+ * Re-encode 16-bit PCM at the requested sample width or G.711 codec
+ * @param {Buffer} pcmData - Raw 16-bit little-endian PCM bytes
+ * @param {number} sampleWidth - Output sample width in bytes (1-4), ignored for G.711
+ * @param {string} codec - 'pcm', 'mulaw' or 'alaw'
+ * @returns {Buffer} Encoded sample bytes
+ */
+export function encodeSampleWidth(pcmData, sampleWidth, codec = 'pcm') {
+  if (!WAV_CODECS.includes(codec)) {
+    throw new Error(`Invalid codec: must be one of ${WAV_CODECS.join(', ')}, got ${codec}`);
+  }
+
+  const samples = pcm16ToSamples(pcmData);
+
+  if (codec !== 'pcm') {
+    const encode = codec === 'mulaw' ? linearToMulaw : linearToAlaw;
+    const output = Buffer.alloc(samples.length);
+    for (let i = 0; i < samples.length; i++) {
+      output[i] = encode(samples[i]);
+    }
+    return output;
+  }
+
+  if (sampleWidth === 2) {
+    return Buffer.isBuffer(pcmData) ? pcmData : Buffer.from(pcmData);
+  }
+
+  const output = Buffer.alloc(samples.length * sampleWidth);
+  for (let i = 0; i < samples.length; i++) {
+    const sample = samples[i];
+    switch (sampleWidth) {
+      case 1:
+        // 8-bit WAV is unsigned
+        output.writeUInt8((sample >> 8) + 128, i);
+        break;
+      case 3:
+        output.writeIntLE(sample * 256, i * 3, 3);
+        break;
+      case 4:
+        output.writeInt32LE(sample * 65536, i * 4);
+        break;
+      default:
+        throw new Error(`Invalid sampleWidth: must be 1, 2, 3 or 4, got ${sampleWidth}`);
+    }
+  }
+  return output;
+}
+
+/**
+ * Build the cue and LIST/adtl chunks that mark labelled positions in a WAV file
+ * (shown as markers or regions by audio editors)
+ * @param {Array<{frame: number, label: string}>} cues - Marker positions in sample frames
+ * @returns {Buffer} Chunk bytes to append after the data chunk
+ */
+function buildCueChunks(cues) {
+  const cueChunk = Buffer.alloc(12 + cues.length * 24);
+  cueChunk.write('cue ', 0);
+  cueChunk.writeUInt32LE(4 + cues.length * 24, 4);
+  cueChunk.writeUInt32LE(cues.length, 8);
+
+  const labels = cues.map(({ label }, index) => {
+    const text = Buffer.from(`${label}\0`, 'utf8');
+    const size = 4 + text.length;
+    const chunk = Buffer.alloc(8 + size + (size % 2)); // word-aligned
+    chunk.write('labl', 0);
+    chunk.writeUInt32LE(size, 4);
+    chunk.writeUInt32LE(index + 1, 8);
+    text.copy(chunk, 12);
+    return chunk;
+  });
+  cues.forEach(({ frame }, index) => {
+    const offset = 12 + index * 24;
+    cueChunk.writeUInt32LE(index + 1, offset); // cue id, matched by its labl
+    cueChunk.writeUInt32LE(frame, offset + 4);
+    cueChunk.write('data', offset + 8);
+    cueChunk.writeUInt32LE(0, offset + 12); // chunk start
+    cueChunk.writeUInt32LE(0, offset + 16); // block start
+    cueChunk.writeUInt32LE(frame, offset + 20); // sample offset
+  });
+
+  const adtl = Buffer.concat([Buffer.from('adtl'), ...labels]);
+  const listHeader = Buffer.alloc(8);
+  listHeader.write('LIST', 0);
+  listHeader.writeUInt32LE(adtl.length, 4);
+  return Buffer.concat([cueChunk, listHeader, adtl]);
+}
+
+/**
+ * Convert PCM audio data to WAV format
+ * @param {Buffer|Uint8Array} pcmData - Encoded audio bytes (already at the given rate, channels and width)
+ * @param {number} sampleRate - Sample rate in Hz
+ * @param {number} channels - Number of audio channels
+ * @param {number} sampleWidth - Sample width in bytes
+ * @param {string} codec - 'pcm', 'mulaw' or 'alaw'
+ * @param {Array<{frame: number, label: string}>} [cues] - Labelled cue markers to add
+ * @returns {Buffer} WAV formatted audio bytes
+ */
+export function pcmToWav(pcmData, sampleRate, channels, sampleWidth, codec = 'pcm', cues = []) {
+  // Validate parameters
+  if (!pcmData || (typeof pcmData !== 'string' && !Buffer.isBuffer(pcmData) && !(pcmData instanceof Uint8Array))) {
+    throw new Error('Invalid pcmData: must be Buffer, Uint8Array, or string');
+  }
+
+  if (typeof sampleRate !== 'number' || sampleRate <= 0 || !Number.isInteger(sampleRate)) {
+    throw new Error(`Invalid sampleRate: must be a positive integer, got ${sampleRate}`);
+  }
+
+  if (typeof channels !== 'number' || channels <= 0 || !Number.isInteger(channels)) {
+    throw new Error(`Invalid channels: must be a positive integer, got ${channels}`);
+  }
+
+  if (typeof sampleWidth !== 'number' || sampleWidth <= 0 || !Number.isInteger(sampleWidth)) {
+    throw new Error(`Invalid sampleWidth: must be a positive integer, got ${sampleWidth}`);
+  }
+
+  if (!WAV_FORMAT_TAGS[codec]) {
+    throw new Error(`Invalid codec: must be one of ${WAV_CODECS.join(', ')}, got ${codec}`);
+  }
+
+  // Ensure pcmData is a Buffer
+  let pcmBuffer;
+  try {
+    pcmBuffer = Buffer.isBuffer(pcmData) ? pcmData : Buffer.from(pcmData);
+  } catch (error) {
+    throw new Error(`Failed to convert pcmData to Buffer: ${error.message}`);
+  }
+
+  // Non-PCM codecs need an extended fmt chunk (cbSize) and a fact chunk
+  const isPcm = codec === 'pcm';
+  const fmtChunkSize = isPcm ? 16 : 18;
+  const factChunkLength = isPcm ? 0 : 12;
+  const headerLength = 12 + 8 + fmtChunkSize + factChunkLength + 8;
+  const dataLength = pcmBuffer.length;
+  // Chunks after the data start on an even byte
+  const cueChunks = cues.length > 0 ? buildCueChunks(cues) : Buffer.alloc(0);
+  const trailerOffset = headerLength + dataLength + (cues.length > 0 ? dataLength % 2 : 0);
+  const buffer = Buffer.alloc(trailerOffset + cueChunks.length);
+
+  // WAV header
+  let offset = 0;
+  buffer.write('RIFF', offset);
+  buffer.writeUInt32LE(buffer.length - 8, offset + 4);
+  buffer.write('WAVE', offset + 8);
+  offset += 12;
+
+  buffer.write('fmt ', offset);
+  buffer.writeUInt32LE(fmtChunkSize, offset + 4);
+  buffer.writeUInt16LE(WAV_FORMAT_TAGS[codec], offset + 8); // audio format
+  buffer.writeUInt16LE(channels, offset + 10);
+  buffer.writeUInt32LE(sampleRate, offset + 12);
+  buffer.writeUInt32LE(sampleRate * channels * sampleWidth, offset + 16); // byte rate
+  buffer.writeUInt16LE(channels * sampleWidth, offset + 20); // block align
+  buffer.writeUInt16LE(sampleWidth * 8, offset + 22); // bits per sample
+  if (!isPcm) {
+    buffer.writeUInt16LE(0, offset + 24); // cbSize
+  }
+  offset += 8 + fmtChunkSize;
+
+  if (!isPcm) {
+    buffer.write('fact', offset);
+    buffer.writeUInt32LE(4, offset + 4);
+    buffer.writeUInt32LE(Math.floor(dataLength / (channels * sampleWidth)), offset + 8); // sample frames
+    offset += factChunkLength;
+  }
+
+  buffer.write('data', offset);
+  buffer.writeUInt32LE(dataLength, offset + 4);
+
+  // Copy PCM data
+  pcmBuffer.copy(buffer, headerLength);
+  cueChunks.copy(buffer, trailerOffset);
+
+  return buffer;
+}
+
+/**
+ * Read a WAV file back into 16-bit PCM. Accepts 8/16/24/32-bit integer and 32-bit float
+ * PCM, including WAVE_FORMAT_EXTENSIBLE headers.
+ * @param {Buffer} wavData - WAV file bytes
+ * @returns {{pcm: Buffer, sampleRate: number, channels: number}} 16-bit little-endian PCM and its layout
+ * @throws {Error} If the file isn't a WAV file in a supported encoding
+ */
+export function wavToPcm(wavData) {
+  if (wavData.length < 12 || wavData.toString('ascii', 0, 4) !== 'RIFF' || wavData.toString('ascii', 8, 12) !== 'WAVE') {
+    throw new Error('Not a WAV file');
+  }
+
+  let format = null;
+  let data = null;
+  for (let offset = 12; offset + 8 <= wavData.length;) {
+    const id = wavData.toString('ascii', offset, offset + 4);
+    const size = wavData.readUInt32LE(offset + 4);
+    const body = wavData.subarray(offset + 8, Math.min(wavData.length, offset + 8 + size));
+    if (id === 'fmt ' && body.length >= 16) {
+      let tag = body.readUInt16LE(0);
+      // WAVE_FORMAT_EXTENSIBLE keeps the real format tag at the start of its sub-format GUID
+      if (tag === 0xFFFE && body.length >= 26) {
+        tag = body.readUInt16LE(24);
+      }
+      format = { tag, channels: body.readUInt16LE(2), sampleRate: body.readUInt32LE(4), bits: body.readUInt16LE(14) };
+    } else if (id === 'data') {
+      data = body;
+    }
+    offset += 8 + size + (size % 2); // chunks are word-aligned
+  }
+  if (!format || !data) {
+    throw new Error('WAV file has no fmt or data chunk');
+  }
+
+  const { tag, channels, sampleRate, bits } = format;
+  const isInteger = tag === WAV_FORMAT_TAGS.pcm && [8, 16, 24, 32].includes(bits);
+  const isFloat = tag === 3 && bits === 32;
+  if (!isInteger && !isFloat) {
+    throw new Error(`Unsupported WAV encoding (format ${tag}, ${bits}-bit): use 8/16/24/32-bit PCM or 32-bit float`);
+  }
+  if (channels < 1 || channels > 2 || sampleRate < 8000 || sampleRate > 192000) {
+    throw new Error(`Unsupported WAV layout: ${channels} channels at ${sampleRate}Hz (use mono or stereo, 8-192kHz)`);
+  }
+
+  const width = bits / 8;
+  const samples = new Int16Array(Math.floor(data.length / (width * channels)) * channels);
+  for (let i = 0; i < samples.length; i++) {
+    const offset = i * width;
+    if (isFloat) {
+      samples[i] = clamp16(data.readFloatLE(offset) * 32768);
+    } else if (width === 1) {
+      samples[i] = (data[offset] - 128) << 8; // 8-bit WAV is unsigned
+    } else if (width === 2) {
+      samples[i] = data.readInt16LE(offset);
+    } else {
+      samples[i] = data.readIntLE(offset + width - 2, 2); // keep the top 16 bits
+    }
+  }
+  return { pcm: samplesToPcm16(samples), sampleRate, channels };
+}
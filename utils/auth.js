@@ -0,0 +1,157 @@
+/**
+ * Access Tokens
+ * Optional server-held key mode: with AUTH_MODE=token the Gemini key comes from GEMINI_API_KEY
+ * and browsers send access tokens issued with scripts/tokens.js instead of their own key.
+ * Only a hash of each token is stored.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+
+const TOKEN_PREFIX = 'gvt_';
+const DEFAULT_TOKENS_FILE = 'access-tokens.json';
+
+/**
+ * Whether this deployment uses the server-held key with access tokens
+ * @returns {boolean}
+ */
+export function isTokenMode() {
+  return process.env.AUTH_MODE === 'token';
+}
+
+/**
+ * Path of the token store file (ACCESS_TOKENS_FILE, relative to the working directory)
+ * @returns {string}
+ */
+export function getTokenStorePath() {
+  return path.resolve(process.env.ACCESS_TOKENS_FILE || DEFAULT_TOKENS_FILE);
+}
+
+/**
+ * Hash the secret part of a token
+ * @param {string} secret - Token secret
+ * @returns {string} Hex SHA-256 digest
+ */
+function hashSecret(secret) {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+/**
+ * Read token records from the ACCESS_TOKENS environment variable (JSON), or else the store file.
+ * The file is read on every call so enabling, disabling or expiring a token applies immediately.
+ * @returns {Array<{id: string, name: string, tokenHash: string, enabled: boolean, createdAt: string, expiresAt: string|null}>}
+ * @throws {Error} If the store exists but is not a JSON array
+ */
+export function readTokenStore() {
+  let content = process.env.ACCESS_TOKENS;
+  if (!content) {
+    const storePath = getTokenStorePath();
+    if (!fs.existsSync(storePath)) {
+      return [];
+    }
+    content = fs.readFileSync(storePath, 'utf8');
+  }
+  const records = JSON.parse(content);
+  if (!Array.isArray(records)) {
+    throw new Error('The access token store must be a JSON array');
+  }
+  return records;
+}
+
+/**
+ * Write token records to the store file
+ * @param {Array<object>} records - Token records
+ * @throws {Error} If tokens come from the ACCESS_TOKENS environment variable
+ */
+export function writeTokenStore(records) {
+  if (process.env.ACCESS_TOKENS) {
+    throw new Error('Tokens are read from the ACCESS_TOKENS environment variable; unset it to edit the store file');
+  }
+  fs.writeFileSync(getTokenStorePath(), `${JSON.stringify(records, null, 2)}\n`);
+}
+
+/**
+ * Issue a new access token
+ * @param {string} name - Who the token is for
+ * @param {string|null} expiresAt - ISO expiry time, or null for no expiry
+ * @returns {{token: string, record: object}} The token (shown once) and its stored record
+ */
+export function createAccessToken(name, expiresAt) {
+  const id = crypto.randomBytes(4).toString('hex');
+  const secret = crypto.randomBytes(24).toString('base64url');
+  return {
+    token: `${TOKEN_PREFIX}${id}.${secret}`,
+    record: {
+      id,
+      name,
+      tokenHash: hashSecret(secret),
+      enabled: true,
+      createdAt: new Date().toISOString(),
+      expiresAt
+    }
+  };
+}
+
+/**
+ * Check an access token against the store
+ * @param {string} token - Token from the browser
+ * @returns {{record?: object, failure?: {status: number, body: object}}} The matching record, or an error response
+ */
+export function verifyAccessToken(token) {
+  const fail = (status, error) => ({ failure: { status, body: { error, auth_mode: 'token' } } });
+  if (!token || typeof token !== 'string') {
+    return fail(401, 'An access token is required. Ask your admin for one and enter it in the setup.');
+  }
+
+  const match = token.trim().match(/^gvt_([0-9a-f]{8})\.([A-Za-z0-9_-]+)$/);
+  const record = match && readTokenStore().find(entry => entry.id === match[1]);
+  const expected = record && Buffer.from(String(record.tokenHash), 'hex');
+  const actual = match && Buffer.from(hashSecret(match[2]), 'hex');
+  if (!record || expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return fail(401, 'Invalid access token. Please check the token and try again.');
+  }
+  if (record.enabled === false) {
+    return fail(403, 'This access token has been disabled. Ask your admin to re-enable it.');
+  }
+  if (record.expiresAt && Date.parse(record.expiresAt) <= Date.now()) {
+    return fail(401, `This access token expired on ${record.expiresAt}. Ask your admin for a new one.`);
+  }
+  return { record };
+}
+
+/**
+ * Read the bearer token from a request's Authorization header
+ * @param {object} req - Request
+ * @returns {string} Token, or '' if there is none
+ */
+export function getBearerToken(req) {
+  const header = req.headers?.authorization || '';
+  const match = header.match(/^Bearer\s+(.+)$/i);
+  return match ? match[1].trim() : '';
+}
+
+/**
+ * Resolve the Gemini key for a request. In token mode the request must carry a valid
+ * access token and the server key is used; otherwise the key sent by the browser is used.
+ * @param {object} req - Request
+ * @param {string} [browserKey] - apiKey from the request body
+ * @returns {{apiKey?: string, tokenRecord?: object, failure?: {status: number, body: object}}}
+ */
+export function resolveApiKey(req, browserKey) {
+  if (!isTokenMode()) {
+    if (!browserKey) {
+      return { failure: { status: 400, body: { error: 'API key is required. Please configure it in the setup.' } } };
+    }
+    return { apiKey: browserKey };
+  }
+
+  if (!process.env.GEMINI_API_KEY) {
+    return { failure: { status: 500, body: { error: 'Server key mode is enabled but GEMINI_API_KEY is not set on the server.' } } };
+  }
+  const { record, failure } = verifyAccessToken(getBearerToken(req));
+  if (failure) {
+    return { failure };
+  }
+  return { apiKey: process.env.GEMINI_API_KEY, tokenRecord: record };
+}
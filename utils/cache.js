@@ -0,0 +1,130 @@
+/**
+ * Audio Cache
+ * Content-addressed cache of finished synthesis responses, so an identical request (same
+ * prompts, voices, model and output settings) is answered without calling Gemini again.
+ * Entries live in a pluggable store that defaults to files on disk.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { CONFIG } from '../config.js';
+import { serverLogger } from './logger.js';
+
+const MB = 1024 * 1024;
+
+/**
+ * Create the default file store: one JSON file per entry in AUDIO_CACHE_DIR (default: a folder
+ * in the system temp directory, the only writable place on serverless hosts). When the folder
+ * grows past CONFIG.cache.maxSizeMb the least recently used entries are deleted.
+ *
+ * A store has two methods, which may return promises:
+ * - get(key) → stored value, or null if unset or expired
+ * - set(key, value, ttlMs) → stores a JSON-serializable value that expires after ttlMs
+ * @param {string} [directory] - Folder for cache files
+ * @returns {{get: Function, set: Function}}
+ */
+export function createFileStore(directory = process.env.AUDIO_CACHE_DIR || path.join(os.tmpdir(), 'gemini-voices-cache')) {
+  const filePath = (key) => path.join(directory, `${key}.json`);
+
+  // Delete the least recently used entries until the folder fits in the size limit
+  const prune = async () => {
+    const maxBytes = CONFIG.cache.maxSizeMb * MB;
+    const names = (await fs.readdir(directory)).filter(name => name.endsWith('.json'));
+    const files = await Promise.all(names.map(async (name) => {
+      const stats = await fs.stat(path.join(directory, name)).catch(() => null);
+      return stats && { name, size: stats.size, usedAt: stats.mtimeMs };
+    }));
+    const entries = files.filter(Boolean).sort((a, b) => a.usedAt - b.usedAt);
+    let total = entries.reduce((sum, entry) => sum + entry.size, 0);
+    for (const entry of entries) {
+      if (total <= maxBytes) break;
+      await fs.rm(path.join(directory, entry.name), { force: true });
+      total -= entry.size;
+    }
+  };
+
+  return {
+    async get(key) {
+      let entry;
+      try {
+        entry = JSON.parse(await fs.readFile(filePath(key), 'utf8'));
+      } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+      }
+      if (entry.expiresAt <= Date.now()) {
+        await fs.rm(filePath(key), { force: true });
+        return null;
+      }
+      // The modification time records when an entry was last used, for pruning
+      const now = new Date();
+      await fs.utimes(filePath(key), now, now).catch(() => {});
+      return entry.value;
+    },
+    async set(key, value, ttlMs) {
+      await fs.mkdir(directory, { recursive: true });
+      // Write to a temporary file first so a concurrent get never reads half an entry
+      const tempPath = `${filePath(key)}.${process.pid}.${Date.now()}.tmp`;
+      await fs.writeFile(tempPath, JSON.stringify({ expiresAt: Date.now() + ttlMs, value }));
+      await fs.rename(tempPath, filePath(key));
+      await prune();
+    }
+  };
+}
+
+let store = createFileStore();
+
+/**
+ * Replace the cache store
+ * @param {{get: Function, set: Function}} customStore - Store with the createFileStore() interface
+ */
+export function setCacheStore(customStore) {
+  store = customStore;
+}
+
+/**
+ * Hash everything that decides a request's audio into a cache key
+ * @param {object} parts - Model, speech config, prompts, pauses and output settings
+ * @returns {string} Hex SHA-256 digest
+ */
+export function getCacheKey(parts) {
+  return crypto.createHash('sha256').update(JSON.stringify(parts)).digest('hex');
+}
+
+/**
+ * Look up a cached response. Store failures are logged and treated as a miss.
+ * @param {string} key - From getCacheKey()
+ * @returns {Promise<object|null>} Cached response data, or null
+ */
+export async function readCache(key) {
+  try {
+    return await store.get(key);
+  } catch (error) {
+    serverLogger.warn('Audio cache read failed', { cache_key: key, error_message: error.message });
+    return null;
+  }
+}
+
+/**
+ * Store a response for CONFIG.cache.ttlSeconds. Responses larger than CONFIG.cache.maxEntryMb
+ * are skipped, and store failures are logged rather than failing the request.
+ * @param {string} key - From getCacheKey()
+ * @param {object} data - Response data to reuse
+ * @returns {Promise<boolean>} Whether the response was stored
+ */
+export async function writeCache(key, data) {
+  const size = JSON.stringify(data).length;
+  if (size > CONFIG.cache.maxEntryMb * MB) {
+    serverLogger.debug('Response too large for the audio cache', { cache_key: key, size_mb: (size / MB).toFixed(2) });
+    return false;
+  }
+  try {
+    await store.set(key, data, CONFIG.cache.ttlSeconds * 1000);
+    return true;
+  } catch (error) {
+    serverLogger.warn('Audio cache write failed', { cache_key: key, error_message: error.message });
+    return false;
+  }
+}
@@ -0,0 +1,233 @@
+/**
+ * Captions
+ * Sentence timings for synthesized speech, found by lining up each chunk's sentences with the
+ * pauses in its audio, and written out as SRT and WebVTT.
+ */
+
+import { CONFIG } from '../config.js';
+import { pcm16ToSamples } from './audio.js';
+import { stripEmphasisMarkers } from './markup.js';
+import { splitSentences } from './text.js';
+
+// Level analysis window
+const FRAME_MS = 10;
+// Cost of leaving a sentence end off every pause (seconds of misplacement it is worth)
+const UNMATCHED_COST_SECONDS = 1;
+
+/**
+ * Split text into caption sentences. Dialogue lines keep their speaker label as speaker.
+ * @param {string} text - Chunk text (dialogue chunks are "Speaker: line" lines)
+ * @param {boolean} [dialogue] - Whether lines start with speaker labels
+ * @returns {Array<{text: string, speaker?: string}>} Sentences in reading order
+ */
+export function splitCaptionSentences(text, dialogue = false) {
+  return text.split(/\n+/).flatMap(line => {
+    const match = dialogue && line.match(/^([^:]+):\s*(.*)$/);
+    const sentences = splitSentences(match ? match[2] : line);
+    return sentences.map(sentence => (match ? { speaker: match[1].trim(), text: sentence } : { text: sentence }));
+  });
+}
+
+/**
+ * Find where speech starts and ends in mono PCM and the pauses in between
+ * @param {Int16Array} samples - Mono samples
+ * @param {number} sampleRate - Sample rate in Hz
+ * @returns {{start: number, end: number, pauses: Array<{start: number, end: number}>}|null}
+ *   Positions in samples, or null when nothing is above the threshold
+ */
+function findPauses(samples, sampleRate) {
+  const frame = Math.max(1, Math.round(sampleRate * FRAME_MS / 1000));
+  const threshold = (32768 * 10 ** (CONFIG.captions.silenceThresholdDb / 20)) ** 2;
+  const frames = Math.ceil(samples.length / frame);
+  const loud = new Uint8Array(frames);
+  for (let f = 0; f < frames; f++) {
+    const end = Math.min(samples.length, (f + 1) * frame);
+    let energy = 0;
+    for (let i = f * frame; i < end; i++) {
+      energy += samples[i] * samples[i];
+    }
+    loud[f] = energy / (end - f * frame) > threshold ? 1 : 0;
+  }
+
+  const first = loud.indexOf(1);
+  if (first === -1) {
+    return null;
+  }
+  const last = loud.lastIndexOf(1);
+  const minPauseFrames = Math.ceil(CONFIG.captions.minPauseMs / FRAME_MS);
+  const pauses = [];
+  for (let f = first; f <= last; f++) {
+    if (loud[f]) continue;
+    const start = f;
+    while (!loud[f]) f++;
+    if (f - start >= minPauseFrames) {
+      pauses.push({ start: start * frame, end: f * frame });
+    }
+  }
+  return { start: first * frame, end: Math.min(samples.length, (last + 1) * frame), pauses };
+}
+
+/**
+ * Time each sentence of one chunk. Sentence ends are expected in proportion to the characters
+ * spoken so far; each is moved onto the pause nearest that estimate (longer pauses preferred,
+ * in order, one sentence end per pause) and left on the estimate when no pause fits.
+ * @param {Buffer} pcmData - Mono 16-bit PCM of the chunk
+ * @param {Array<{text: string}>} sentences - Sentences the chunk says
+ * @param {number} sampleRate - Sample rate in Hz
+ * @returns {Array<{start: number, end: number}>} Seconds from the start of the chunk
+ */
+export function findSentenceTimings(pcmData, sentences, sampleRate) {
+  const samples = pcm16ToSamples(pcmData);
+  const speech = findPauses(samples, sampleRate) || { start: 0, end: samples.length, pauses: [] };
+  const { pauses } = speech;
+  const span = speech.end - speech.start;
+  const total = sentences.reduce((sum, sentence) => sum + sentence.text.length, 0) || 1;
+  const expected = [];
+  let spoken = 0;
+  for (let j = 0; j < sentences.length - 1; j++) {
+    spoken += sentences[j].text.length;
+    expected.push(speech.start + span * spoken / total);
+  }
+
+  // cost[j][k]: best placement of the first j sentence ends using the first k pauses
+  const unmatched = UNMATCHED_COST_SECONDS * sampleRate;
+  const matchCost = (j, k) => Math.abs((pauses[k].start + pauses[k].end) / 2 - expected[j]) - (pauses[k].end - pauses[k].start);
+  const cost = Array.from({ length: expected.length + 1 }, () => new Float64Array(pauses.length + 1));
+  const choice = Array.from({ length: expected.length + 1 }, () => new Uint8Array(pauses.length + 1));
+  for (let j = 1; j <= expected.length; j++) {
+    cost[j][0] = j * unmatched;
+    choice[j][0] = 2;
+  }
+  for (let j = 1; j <= expected.length; j++) {
+    for (let k = 1; k <= pauses.length; k++) {
+      const options = [cost[j][k - 1], cost[j - 1][k - 1] + matchCost(j - 1, k - 1), cost[j - 1][k] + unmatched];
+      const best = options.indexOf(Math.min(...options));
+      cost[j][k] = options[best];
+      choice[j][k] = best; // 0: pause k unused, 1: sentence end j on pause k, 2: sentence end j unmatched
+    }
+  }
+
+  const boundaries = new Array(expected.length);
+  for (let j = expected.length, k = pauses.length; j > 0;) {
+    if (choice[j][k] === 0) {
+      k--;
+    } else if (choice[j][k] === 1) {
+      boundaries[j - 1] = { end: pauses[k - 1].start, start: pauses[k - 1].end };
+      j--;
+      k--;
+    } else {
+      boundaries[j - 1] = { end: expected[j - 1], start: expected[j - 1] };
+      j--;
+    }
+  }
+
+  // Estimates placed between matched pauses must not run backwards
+  let floor = speech.start;
+  return sentences.map((sentence, index) => {
+    const start = Math.max(floor, index === 0 ? speech.start : boundaries[index - 1].start);
+    const end = Math.max(start, index === sentences.length - 1 ? speech.end : boundaries[index].end);
+    floor = end;
+    return { start: start / sampleRate, end: end / sampleRate };
+  });
+}
+
+/**
+ * Time every sentence of a request across its chunks and the pauses between them
+ * @param {object} options
+ * @param {Buffer[]} options.segments - Mono 16-bit PCM per chunk
+ * @param {number[]} options.pauses - Silence before each chunk and after the last (ms), as for joinPcm()
+ * @param {string[]} options.chunks - Text of each chunk
+ * @param {number[]} options.chunkGroups - Markup group each chunk was split from
+ * @param {boolean} options.dialogue - Whether chunks are "Speaker: line" scripts
+ * @param {number} options.sampleRate - Sample rate of the segments
+ * @param {Array<string|Array<{speaker: string, text: string}>>} [options.writtenGroups] - Each group
+ *   as written (markup resolved to its written text, no lexicon respellings); used for the caption
+ *   text of every group whose sentences line up with the spoken ones
+ * @param {boolean} [options.markup] - Whether the chunks came from markup, so the spoken text of a
+ *   group that doesn't line up still loses its emphasis markers
+ * @returns {Array<{start: number, end: number, text: string, speaker?: string}>} Seconds from the start of the audio
+ */
+export function buildCaptionTimings({ segments, pauses, chunks, chunkGroups, dialogue, sampleRate, writtenGroups, markup }) {
+  const timings = [];
+  const timingGroups = [];
+  let offset = 0;
+  segments.forEach((segment, index) => {
+    offset += pauses[index] / 1000;
+    const sentences = splitCaptionSentences(chunks[index], dialogue);
+    findSentenceTimings(segment, sentences, sampleRate).forEach((timing, sentenceIndex) => {
+      timings.push({ start: offset + timing.start, end: offset + timing.end, ...sentences[sentenceIndex] });
+      timingGroups.push(chunkGroups[index]);
+    });
+    offset += segment.length / (sampleRate * 2);
+  });
+
+  (writtenGroups || []).forEach((group, groupIndex) => {
+    const written = dialogue
+      ? splitCaptionSentences(group.map(turn => `${turn.speaker}: ${turn.text}`).join('\n'), true)
+      : splitCaptionSentences(group);
+    const spoken = timings.filter((timing, index) => timingGroups[index] === groupIndex);
+    if (written.length === spoken.length) {
+      spoken.forEach((timing, index) => Object.assign(timing, written[index]));
+    } else if (markup) {
+      spoken.forEach(timing => {
+        timing.text = stripEmphasisMarkers(timing.text);
+      });
+    }
+  });
+  return timings;
+}
+
+/**
+ * Move timings from the joined source audio to the final file
+ * @param {Array<object>} timings - From buildCaptionTimings()
+ * @param {{rate: number, offsetSeconds: number, durationSeconds: number}} changes - Speaking rate
+ *   applied, audio added (+) or cut (-) before the speech, and the final length
+ * @returns {Array<{index: number, start: number, end: number, text: string, speaker?: string}>} Cues, rounded to the millisecond
+ */
+export function adjustCaptionTimings(timings, { rate, offsetSeconds, durationSeconds }) {
+  const place = (seconds) => Number(Math.min(durationSeconds, Math.max(0, seconds / rate + offsetSeconds)).toFixed(3));
+  return timings
+    .map(({ start, end, ...rest }) => ({ start: place(start), end: place(end), ...rest }))
+    .filter(cue => cue.end > cue.start)
+    .map((cue, index) => ({ index: index + 1, ...cue }));
+}
+
+/**
+ * Format seconds as a caption timestamp
+ * @param {number} seconds
+ * @param {string} separator - Before the milliseconds: ',' for SRT, '.' for WebVTT
+ * @returns {string} e.g. "00:01:02,345"
+ */
+function formatTimestamp(seconds, separator) {
+  const ms = Math.round(seconds * 1000);
+  const pad = (value, length = 2) => String(value).padStart(length, '0');
+  return `${pad(Math.floor(ms / 3600000))}:${pad(Math.floor(ms / 60000) % 60)}:${pad(Math.floor(ms / 1000) % 60)}${separator}${pad(ms % 1000, 3)}`;
+}
+
+/**
+ * Write cues as SubRip (.srt); dialogue lines are prefixed with the speaker
+ * @param {Array<object>} cues - From adjustCaptionTimings()
+ * @returns {string}
+ */
+export function formatSrt(cues) {
+  return cues.map(cue => [
+    cue.index,
+    `${formatTimestamp(cue.start, ',')} --> ${formatTimestamp(cue.end, ',')}`,
+    cue.speaker ? `${cue.speaker}: ${cue.text}` : cue.text
+  ].join('\n')).join('\n\n') + '\n';
+}
+
+/**
+ * Write cues as WebVTT (.vtt); dialogue lines use voice spans
+ * @param {Array<object>} cues - From adjustCaptionTimings()
+ * @returns {string}
+ */
+export function formatWebVtt(cues) {
+  const escape = (value) => value.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+  const blocks = cues.map(cue => [
+    cue.index,
+    `${formatTimestamp(cue.start, '.')} --> ${formatTimestamp(cue.end, '.')}`,
+    cue.speaker ? `<v ${escape(cue.speaker)}>${escape(cue.text)}` : escape(cue.text)
+  ].join('\n'));
+  return ['WEBVTT', ...blocks].join('\n\n') + '\n';
+}
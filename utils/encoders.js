@@ -0,0 +1,606 @@
+/**
+ * Audio Encoders
+ * Turns raw 16-bit PCM into the compressed formats offered in the settings
+ */
+
+import * as lamejs from '@breezystack/lamejs';
+import OpusScript from 'opusscript';
+
+/**
+ * Output formats the synthesize endpoint can produce
+ */
+export const OUTPUT_FORMATS = {
+  wav: { mimeType: 'audio/wav', extension: 'wav' },
+  mp3: { mimeType: 'audio/mpeg', extension: 'mp3' },
+  ogg: { mimeType: 'audio/ogg; codecs=opus', extension: 'ogg' },
+  flac: { mimeType: 'audio/flac', extension: 'flac' }
+};
+
+// Sample rates libopus accepts
+export const OPUS_SAMPLE_RATES = OpusScript.VALID_SAMPLING_RATES;
+
+// Samples per MPEG-1/2 Layer III frame, the chunk size lame expects
+const MP3_FRAME_SAMPLES = 1152;
+
+// Opus frame length and the encoder delay (in 48kHz samples) libopus reports
+const OPUS_FRAME_MS = 20;
+const OPUS_PRE_SKIP = 312;
+
+// Ogg pages are limited to 255 lacing values
+const OGG_MAX_SEGMENTS = 255;
+
+// FLAC samples per frame (the common libFLAC default)
+const FLAC_BLOCK_SIZE = 4096;
+const FLAC_MAX_FIXED_ORDER = 4;
+const FLAC_MAX_RICE_PARAM = 14;
+
+/**
+ * Read interleaved 16-bit little-endian PCM into one Int16Array per channel
+ * @param {Buffer} pcmBuffer - Interleaved PCM bytes
+ * @param {number} channels - Number of audio channels
+ * @returns {Int16Array[]} Samples for each channel
+ */
+function deinterleave(pcmBuffer, channels) {
+  const frameCount = Math.floor(pcmBuffer.length / (2 * channels));
+  const output = Array.from({ length: channels }, () => new Int16Array(frameCount));
+
+  for (let frame = 0; frame < frameCount; frame++) {
+    for (let ch = 0; ch < channels; ch++) {
+      output[ch][frame] = pcmBuffer.readInt16LE((frame * channels + ch) * 2);
+    }
+  }
+
+  return output;
+}
+
+/**
+ * Encode 16-bit PCM audio as MP3
+ * @param {Buffer|Uint8Array} pcmData - Raw 16-bit little-endian PCM bytes
+ * @param {number} sampleRate - Sample rate in Hz
+ * @param {number} channels - Number of audio channels (1 or 2)
+ * @param {number} bitrate - Target bitrate in kbps
+ * @returns {Buffer} MP3 encoded audio bytes
+ */
+export function encodeMp3(pcmData, sampleRate, channels, bitrate) {
+  if (!pcmData || (!Buffer.isBuffer(pcmData) && !(pcmData instanceof Uint8Array))) {
+    throw new Error('Invalid pcmData: must be Buffer or Uint8Array');
+  }
+
+  if (channels !== 1 && channels !== 2) {
+    throw new Error(`Invalid channels for MP3: must be 1 or 2, got ${channels}`);
+  }
+
+  if (typeof bitrate !== 'number' || bitrate <= 0 || !Number.isInteger(bitrate)) {
+    throw new Error(`Invalid bitrate: must be a positive integer, got ${bitrate}`);
+  }
+
+  const pcmBuffer = Buffer.isBuffer(pcmData) ? pcmData : Buffer.from(pcmData);
+  const [left, right] = deinterleave(pcmBuffer, channels);
+  const encoder = new lamejs.Mp3Encoder(channels, sampleRate, bitrate);
+  const chunks = [];
+
+  for (let i = 0; i < left.length; i += MP3_FRAME_SAMPLES) {
+    const leftChunk = left.subarray(i, i + MP3_FRAME_SAMPLES);
+    const encoded = channels === 2
+      ? encoder.encodeBuffer(leftChunk, right.subarray(i, i + MP3_FRAME_SAMPLES))
+      : encoder.encodeBuffer(leftChunk);
+    if (encoded.length > 0) {
+      chunks.push(Buffer.from(encoded));
+    }
+  }
+
+  const tail = encoder.flush();
+  if (tail.length > 0) {
+    chunks.push(Buffer.from(tail));
+  }
+
+  return Buffer.concat(chunks);
+}
+
+/**
+ * Build the CRC-32 lookup table used by Ogg (polynomial 0x04c11db7, no reflection)
+ */
+const OGG_CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let i = 0; i < 256; i++) {
+    let crc = i << 24;
+    for (let bit = 0; bit < 8; bit++) {
+      crc = crc & 0x80000000 ? (crc << 1) ^ 0x04c11db7 : crc << 1;
+    }
+    table[i] = crc >>> 0;
+  }
+  return table;
+})();
+
+/**
+ * Compute the Ogg page checksum
+ * @param {Buffer} page - Page bytes with the checksum field zeroed
+ * @returns {number} Unsigned CRC-32
+ */
+function oggCrc(page) {
+  let crc = 0;
+  for (let i = 0; i < page.length; i++) {
+    crc = ((crc << 8) ^ OGG_CRC_TABLE[((crc >>> 24) ^ page[i]) & 0xff]) >>> 0;
+  }
+  return crc;
+}
+
+/**
+ * Serialize one Ogg page
+ * @param {Buffer[]} packets - Complete packets carried by the page
+ * @param {object} options - Page fields
+ * @param {number} options.granule - Granule position after the last packet
+ * @param {number} options.serial - Logical stream serial number
+ * @param {number} options.sequence - Page sequence number
+ * @param {number} options.flags - Header type flags (0x02 first page, 0x04 last page)
+ * @returns {Buffer} Page bytes
+ */
+function buildOggPage(packets, { granule, serial, sequence, flags }) {
+  const lacing = [];
+  for (const packet of packets) {
+    let remaining = packet.length;
+    while (remaining >= 255) {
+      lacing.push(255);
+      remaining -= 255;
+    }
+    lacing.push(remaining);
+  }
+
+  const header = Buffer.alloc(27 + lacing.length);
+  header.write('OggS', 0);
+  header.writeUInt8(0, 4); // stream structure version
+  header.writeUInt8(flags, 5);
+  header.writeBigUInt64LE(BigInt(granule), 6);
+  header.writeUInt32LE(serial, 14);
+  header.writeUInt32LE(sequence, 18);
+  header.writeUInt32LE(0, 22); // checksum, filled in below
+  header.writeUInt8(lacing.length, 26);
+  Buffer.from(lacing).copy(header, 27);
+
+  const page = Buffer.concat([header, ...packets]);
+  page.writeUInt32LE(oggCrc(page), 22);
+  return page;
+}
+
+/**
+ * Number of lacing values a packet occupies in an Ogg page
+ */
+function oggSegmentCount(packet) {
+  return Math.floor(packet.length / 255) + 1;
+}
+
+/**
+ * Encode 16-bit PCM audio as Opus in an Ogg container
+ * @param {Buffer|Uint8Array} pcmData - Raw 16-bit little-endian PCM bytes
+ * @param {number} sampleRate - Sample rate in Hz (8000, 12000, 16000, 24000 or 48000)
+ * @param {number} channels - Number of audio channels (1 or 2)
+ * @param {number} bitrate - Target bitrate in kbps
+ * @returns {Buffer} Ogg/Opus encoded audio bytes
+ */
+export function encodeOggOpus(pcmData, sampleRate, channels, bitrate) {
+  if (!pcmData || (!Buffer.isBuffer(pcmData) && !(pcmData instanceof Uint8Array))) {
+    throw new Error('Invalid pcmData: must be Buffer or Uint8Array');
+  }
+
+  if (!OPUS_SAMPLE_RATES.includes(sampleRate)) {
+    throw new Error(`Invalid sampleRate for Opus: must be one of ${OPUS_SAMPLE_RATES.join(', ')}, got ${sampleRate}`);
+  }
+
+  if (channels !== 1 && channels !== 2) {
+    throw new Error(`Invalid channels for Opus: must be 1 or 2, got ${channels}`);
+  }
+
+  if (typeof bitrate !== 'number' || bitrate <= 0 || !Number.isInteger(bitrate)) {
+    throw new Error(`Invalid bitrate: must be a positive integer, got ${bitrate}`);
+  }
+
+  const pcmBuffer = Buffer.isBuffer(pcmData) ? pcmData : Buffer.from(pcmData);
+  const frameSize = sampleRate * OPUS_FRAME_MS / 1000;
+  const frameBytes = frameSize * channels * 2;
+  const granulePerFrame = 48000 * OPUS_FRAME_MS / 1000;
+  const totalFrames = Math.floor(pcmBuffer.length / (channels * 2));
+
+  // The encoder holds back OPUS_PRE_SKIP samples, so feed enough silence after the audio to
+  // flush them out, then encode every 20ms frame, zero-padding the last one
+  const flushBytes = Math.ceil(OPUS_PRE_SKIP * sampleRate / 48000) * channels * 2;
+  const paddedBuffer = Buffer.concat([pcmBuffer, Buffer.alloc(flushBytes)]);
+  const encoder = new OpusScript(sampleRate, channels, OpusScript.Application.AUDIO);
+  const audioPackets = [];
+  try {
+    encoder.setBitrate(bitrate * 1000);
+    for (let offset = 0; offset < paddedBuffer.length; offset += frameBytes) {
+      let frame = paddedBuffer.subarray(offset, offset + frameBytes);
+      if (frame.length < frameBytes) {
+        frame = Buffer.concat([frame, Buffer.alloc(frameBytes - frame.length)]);
+      }
+      audioPackets.push(encoder.encode(frame, frameSize));
+    }
+  } finally {
+    encoder.delete();
+  }
+
+  // Identification and comment headers (RFC 7845)
+  const opusHead = Buffer.alloc(19);
+  opusHead.write('OpusHead', 0);
+  opusHead.writeUInt8(1, 8); // version
+  opusHead.writeUInt8(channels, 9);
+  opusHead.writeUInt16LE(OPUS_PRE_SKIP, 10);
+  opusHead.writeUInt32LE(sampleRate, 12); // original input sample rate
+  opusHead.writeInt16LE(0, 16); // output gain
+  opusHead.writeUInt8(0, 18); // channel mapping family
+
+  const vendor = Buffer.from('gemini-voices');
+  const opusTags = Buffer.alloc(8 + 4 + vendor.length + 4);
+  opusTags.write('OpusTags', 0);
+  opusTags.writeUInt32LE(vendor.length, 8);
+  vendor.copy(opusTags, 12);
+  opusTags.writeUInt32LE(0, 12 + vendor.length); // no user comments
+
+  const serial = Math.floor(Math.random() * 0xffffffff);
+  // End trim: the last page stops at the real audio, never past what the packets decode to
+  const finalGranule = Math.min(
+    OPUS_PRE_SKIP + Math.round(totalFrames * 48000 / sampleRate),
+    audioPackets.length * granulePerFrame
+  );
+  const pages = [
+    buildOggPage([opusHead], { granule: 0, serial, sequence: 0, flags: 0x02 }),
+    buildOggPage([opusTags], { granule: 0, serial, sequence: 1, flags: 0 })
+  ];
+
+  // Pack audio packets into pages, never splitting a packet across pages
+  let pagePackets = [];
+  let pageSegments = 0;
+  let packetsWritten = 0;
+  const flushPage = (isLast) => {
+    packetsWritten += pagePackets.length;
+    const granule = isLast ? finalGranule : packetsWritten * granulePerFrame;
+    pages.push(buildOggPage(pagePackets, {
+      granule,
+      serial,
+      sequence: pages.length,
+      flags: isLast ? 0x04 : 0
+    }));
+    pagePackets = [];
+    pageSegments = 0;
+  };
+
+  audioPackets.forEach((packet, index) => {
+    const segments = oggSegmentCount(packet);
+    if (pageSegments + segments > OGG_MAX_SEGMENTS) {
+      flushPage(false);
+    }
+    pagePackets.push(packet);
+    pageSegments += segments;
+    if (index === audioPackets.length - 1) {
+      flushPage(true);
+    }
+  });
+
+  if (audioPackets.length === 0) {
+    flushPage(true);
+  }
+
+  return Buffer.concat(pages);
+}
+
+/**
+ * MSB-first bit writer used by the FLAC encoder
+ */
+class BitWriter {
+  constructor(initialSize = 1 << 16) {
+    this.bytes = new Uint8Array(initialSize);
+    this.bytePos = 0;
+    this.bitBuffer = 0;
+    this.bitCount = 0;
+  }
+
+  ensureCapacity(extraBytes) {
+    if (this.bytePos + extraBytes <= this.bytes.length) {
+      return;
+    }
+    let size = this.bytes.length * 2;
+    while (size < this.bytePos + extraBytes) {
+      size *= 2;
+    }
+    const grown = new Uint8Array(size);
+    grown.set(this.bytes.subarray(0, this.bytePos));
+    this.bytes = grown;
+  }
+
+  /**
+   * Write the low `count` bits of an unsigned value (count <= 24)
+   */
+  writeBits(value, count) {
+    this.ensureCapacity(4);
+    this.bitBuffer = (this.bitBuffer << count) | (value & ((1 << count) - 1));
+    this.bitCount += count;
+    while (this.bitCount >= 8) {
+      this.bitCount -= 8;
+      this.bytes[this.bytePos++] = (this.bitBuffer >>> this.bitCount) & 0xff;
+    }
+    this.bitBuffer &= (1 << this.bitCount) - 1;
+  }
+
+  /**
+   * Write a value wider than 24 bits by splitting it
+   */
+  writeWideBits(value, count) {
+    while (count > 24) {
+      count -= 24;
+      this.writeBits(Math.floor(value / 2 ** count) & 0xffffff, 24);
+    }
+    this.writeBits(value % 2 ** count, count);
+  }
+
+  writeSigned(value, count) {
+    this.writeBits(value < 0 ? value + (1 << count) : value, count);
+  }
+
+  writeUnary(quotient) {
+    while (quotient >= 16) {
+      this.writeBits(0, 16);
+      quotient -= 16;
+    }
+    this.writeBits(1, quotient + 1);
+  }
+
+  alignToByte() {
+    if (this.bitCount > 0) {
+      this.writeBits(0, 8 - this.bitCount);
+    }
+  }
+
+  get length() {
+    return this.bytePos;
+  }
+
+  toBuffer() {
+    return Buffer.from(this.bytes.buffer, this.bytes.byteOffset, this.bytePos);
+  }
+}
+
+const FLAC_CRC8_TABLE = (() => {
+  const table = new Uint8Array(256);
+  for (let i = 0; i < 256; i++) {
+    let crc = i;
+    for (let bit = 0; bit < 8; bit++) {
+      crc = crc & 0x80 ? ((crc << 1) ^ 0x07) & 0xff : (crc << 1) & 0xff;
+    }
+    table[i] = crc;
+  }
+  return table;
+})();
+
+const FLAC_CRC16_TABLE = (() => {
+  const table = new Uint16Array(256);
+  for (let i = 0; i < 256; i++) {
+    let crc = i << 8;
+    for (let bit = 0; bit < 8; bit++) {
+      crc = crc & 0x8000 ? ((crc << 1) ^ 0x8005) & 0xffff : (crc << 1) & 0xffff;
+    }
+    table[i] = crc;
+  }
+  return table;
+})();
+
+function flacCrc8(bytes, start, end) {
+  let crc = 0;
+  for (let i = start; i < end; i++) {
+    crc = FLAC_CRC8_TABLE[crc ^ bytes[i]];
+  }
+  return crc;
+}
+
+function flacCrc16(bytes, start, end) {
+  let crc = 0;
+  for (let i = start; i < end; i++) {
+    crc = ((crc << 8) ^ FLAC_CRC16_TABLE[(crc >>> 8) ^ bytes[i]]) & 0xffff;
+  }
+  return crc;
+}
+
+// FLAC frame header sample rate codes; anything else is read from STREAMINFO
+const FLAC_SAMPLE_RATE_CODES = {
+  8000: 0b0100,
+  16000: 0b0101,
+  22050: 0b0110,
+  24000: 0b0111,
+  32000: 0b1000,
+  44100: 0b1001,
+  48000: 0b1010
+};
+
+/**
+ * Compute the residual of a fixed polynomial predictor
+ * @param {Int32Array} samples - Block samples
+ * @param {number} order - Predictor order (0-4)
+ * @returns {Int32Array} Residual for samples[order..]
+ */
+function fixedResidual(samples, order) {
+  const residual = new Int32Array(samples.length - order);
+  for (let i = order; i < samples.length; i++) {
+    let prediction = 0;
+    switch (order) {
+      case 1: prediction = samples[i - 1]; break;
+      case 2: prediction = 2 * samples[i - 1] - samples[i - 2]; break;
+      case 3: prediction = 3 * samples[i - 1] - 3 * samples[i - 2] + samples[i - 3]; break;
+      case 4: prediction = 4 * samples[i - 1] - 6 * samples[i - 2] + 4 * samples[i - 3] - samples[i - 4]; break;
+    }
+    residual[i - order] = samples[i] - prediction;
+  }
+  return residual;
+}
+
+/**
+ * Count the bits a residual takes with a given Rice parameter
+ */
+function riceBits(residual, param) {
+  let bits = 0;
+  for (let i = 0; i < residual.length; i++) {
+    const folded = residual[i] >= 0 ? residual[i] * 2 : -residual[i] * 2 - 1;
+    bits += (folded >>> param) + 1 + param;
+  }
+  return bits;
+}
+
+/**
+ * Pick the cheapest Rice parameter around the one suggested by the mean
+ * @returns {{ param: number, bits: number }}
+ */
+function bestRiceParam(residual) {
+  let sum = 0;
+  for (let i = 0; i < residual.length; i++) {
+    sum += Math.abs(residual[i]);
+  }
+  const mean = residual.length > 0 ? sum / residual.length : 0;
+  const estimate = mean > 1 ? Math.min(FLAC_MAX_RICE_PARAM, Math.floor(Math.log2(mean))) : 0;
+
+  let best = { param: estimate, bits: Infinity };
+  for (let param = Math.max(0, estimate - 1); param <= Math.min(FLAC_MAX_RICE_PARAM, estimate + 1); param++) {
+    const bits = riceBits(residual, param);
+    if (bits < best.bits) {
+      best = { param, bits };
+    }
+  }
+  return best;
+}
+
+/**
+ * Write one subframe, choosing between constant, fixed and verbatim coding
+ */
+function writeFlacSubframe(writer, samples, bitsPerSample) {
+  if (samples.every(sample => sample === samples[0])) {
+    writer.writeBits(0b00000000, 8); // CONSTANT
+    writer.writeSigned(samples[0], bitsPerSample);
+    return;
+  }
+
+  let best = null;
+  for (let order = 0; order <= Math.min(FLAC_MAX_FIXED_ORDER, samples.length - 1); order++) {
+    const residual = fixedResidual(samples, order);
+    const { param, bits } = bestRiceParam(residual);
+    const totalBits = order * bitsPerSample + 6 + 4 + bits;
+    if (!best || totalBits < best.totalBits) {
+      best = { order, residual, param, totalBits };
+    }
+  }
+
+  if (best.totalBits >= samples.length * bitsPerSample) {
+    writer.writeBits(0b00000010, 8); // VERBATIM
+    for (let i = 0; i < samples.length; i++) {
+      writer.writeSigned(samples[i], bitsPerSample);
+    }
+    return;
+  }
+
+  writer.writeBits(0b00010000 | (best.order << 1), 8); // FIXED, no wasted bits
+  for (let i = 0; i < best.order; i++) {
+    writer.writeSigned(samples[i], bitsPerSample);
+  }
+
+  writer.writeBits(0b00, 2); // Rice coding, 4-bit parameters
+  writer.writeBits(0, 4); // partition order 0
+  writer.writeBits(best.param, 4);
+  const { residual, param } = best;
+  for (let i = 0; i < residual.length; i++) {
+    const folded = residual[i] >= 0 ? residual[i] * 2 : -residual[i] * 2 - 1;
+    writer.writeUnary(folded >>> param);
+    if (param > 0) {
+      writer.writeBits(folded & ((1 << param) - 1), param);
+    }
+  }
+}
+
+/**
+ * Write a frame number using FLAC's UTF-8-like variable length coding
+ */
+function writeFlacFrameNumber(writer, frameNumber) {
+  if (frameNumber < 0x80) {
+    writer.writeBits(frameNumber, 8);
+    return;
+  }
+  const continuationBytes = [];
+  let value = frameNumber;
+  while (value >= 0x40 >> continuationBytes.length) {
+    continuationBytes.unshift(0x80 | (value & 0x3f));
+    value = Math.floor(value / 64);
+  }
+  const byteCount = continuationBytes.length + 1;
+  writer.writeBits(((0xff00 >> byteCount) & 0xff) | value, 8);
+  continuationBytes.forEach(byte => writer.writeBits(byte, 8));
+}
+
+/**
+ * Encode 16-bit PCM audio as FLAC (fixed predictors, Rice coded residuals)
+ * @param {Buffer|Uint8Array} pcmData - Raw 16-bit little-endian PCM bytes
+ * @param {number} sampleRate - Sample rate in Hz
+ * @param {number} channels - Number of audio channels (1-8)
+ * @returns {Buffer} FLAC encoded audio bytes
+ */
+export function encodeFlac(pcmData, sampleRate, channels) {
+  if (!pcmData || (!Buffer.isBuffer(pcmData) && !(pcmData instanceof Uint8Array))) {
+    throw new Error('Invalid pcmData: must be Buffer or Uint8Array');
+  }
+
+  if (typeof sampleRate !== 'number' || sampleRate <= 0 || !Number.isInteger(sampleRate)) {
+    throw new Error(`Invalid sampleRate: must be a positive integer, got ${sampleRate}`);
+  }
+
+  if (!Number.isInteger(channels) || channels < 1 || channels > 8) {
+    throw new Error(`Invalid channels for FLAC: must be 1-8, got ${channels}`);
+  }
+
+  const bitsPerSample = 16;
+  const pcmBuffer = Buffer.isBuffer(pcmData) ? pcmData : Buffer.from(pcmData);
+  const channelSamples = deinterleave(pcmBuffer, channels);
+  const totalSamples = channelSamples[0].length;
+  const writer = new BitWriter(Math.max(1024, pcmBuffer.length));
+
+  // Stream marker and STREAMINFO metadata block
+  writer.writeBits(0x664c, 16); // "fL"
+  writer.writeBits(0x6143, 16); // "aC"
+  writer.writeBits(1, 1); // last metadata block
+  writer.writeBits(0, 7); // STREAMINFO
+  writer.writeBits(34, 24);
+  writer.writeBits(Math.min(FLAC_BLOCK_SIZE, Math.max(16, totalSamples)), 16); // min block size
+  writer.writeBits(FLAC_BLOCK_SIZE, 16); // max block size
+  writer.writeBits(0, 24); // min frame size (unknown)
+  writer.writeBits(0, 24); // max frame size (unknown)
+  writer.writeBits(sampleRate, 20);
+  writer.writeBits(channels - 1, 3);
+  writer.writeBits(bitsPerSample - 1, 5);
+  writer.writeWideBits(totalSamples, 36);
+  for (let i = 0; i < 16; i++) {
+    writer.writeBits(0, 8); // MD5 signature (not computed)
+  }
+
+  const sampleRateCode = FLAC_SAMPLE_RATE_CODES[sampleRate] ?? 0;
+  let frameNumber = 0;
+  for (let start = 0; start < totalSamples; start += FLAC_BLOCK_SIZE) {
+    const blockSize = Math.min(FLAC_BLOCK_SIZE, totalSamples - start);
+    const frameStart = writer.length;
+
+    writer.writeBits(0b11111111111110, 14); // sync code
+    writer.writeBits(0, 1); // reserved
+    writer.writeBits(0, 1); // fixed block size stream
+    writer.writeBits(0b0111, 4); // block size stored as 16-bit value after the header
+    writer.writeBits(sampleRateCode, 4);
+    writer.writeBits(channels - 1, 4); // independent channels
+    writer.writeBits(0b100, 3); // 16 bits per sample
+    writer.writeBits(0, 1); // reserved
+    writeFlacFrameNumber(writer, frameNumber);
+    writer.writeBits(blockSize - 1, 16);
+    writer.writeBits(flacCrc8(writer.bytes, frameStart, writer.length), 8);
+
+    for (let ch = 0; ch < channels; ch++) {
+      const samples = Int32Array.from(channelSamples[ch].subarray(start, start + blockSize));
+      writeFlacSubframe(writer, samples, bitsPerSample);
+    }
+
+    writer.alignToByte();
+    writer.writeBits(flacCrc16(writer.bytes, frameStart, writer.length), 16);
+    frameNumber++;
+  }
+
+  return writer.toBuffer();
+}
@@ -0,0 +1,265 @@
+/**
+ * Gemini TTS helpers
+ * Shared by the synthesis endpoints to call Gemini and pull PCM out of the response
+ */
+
+import { serverLogger } from './logger.js';
+
+/**
+ * Build the speech config for a single prebuilt voice
+ * @param {string} voiceName - Prebuilt voice name (e.g. "Puck")
+ * @returns {object} Gemini speechConfig
+ */
+export function buildSpeechConfig(voiceName) {
+  return {
+    voiceConfig: {
+      prebuiltVoiceConfig: {
+        voiceName
+      }
+    }
+  };
+}
+
+/**
+ * Build the speech config for a two-person dialogue
+ * @param {Array<{speaker: string, voice: string}>} speakers - Speaker label to prebuilt voice mapping
+ * @returns {object} Gemini speechConfig
+ */
+export function buildMultiSpeakerConfig(speakers) {
+  return {
+    multiSpeakerVoiceConfig: {
+      speakerVoiceConfigs: speakers.map(({ speaker, voice }) => ({
+        speaker,
+        voiceConfig: {
+          prebuiltVoiceConfig: {
+            voiceName: voice
+          }
+        }
+      }))
+    }
+  };
+}
+
+/**
+ * Find the audio payload in a Gemini response
+ * @param {object} response - Gemini GenerateContentResponse
+ * @returns {string|Buffer|Uint8Array|null} Audio data (usually base64), or null if none
+ */
+export function extractAudioData(response) {
+  serverLogger.debug('Analyzing response structure', {
+    has_candidates: !!response.candidates,
+    candidates_count: response.candidates?.length || 0
+  });
+
+  if (!response.candidates || response.candidates.length === 0) {
+    return null;
+  }
+
+  const candidate = response.candidates[0];
+  serverLogger.debug('Processing candidate', {
+    has_content: !!candidate.content,
+    has_parts: !!candidate.content?.parts,
+    parts_count: candidate.content?.parts?.length || 0
+  });
+
+  for (const part of candidate.content?.parts || []) {
+    // Check for inlineData (base64) or data property
+    if (part.inlineData && part.inlineData.data) {
+      serverLogger.debug('Audio data found in inlineData', {
+        data_type: typeof part.inlineData.data,
+        data_length: typeof part.inlineData.data === 'string' ? part.inlineData.data.length : 'buffer'
+      });
+      return part.inlineData.data;
+    }
+    if (part.data) {
+      serverLogger.debug('Audio data found in data property', {
+        data_type: typeof part.data,
+        data_length: typeof part.data === 'string' ? part.data.length : 'buffer'
+      });
+      return part.data;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Decode an audio payload into raw PCM bytes
+ * @param {string|Buffer|Uint8Array} audioData - Audio payload from Gemini
+ * @returns {Buffer} Raw PCM bytes
+ */
+export function decodeAudioData(audioData) {
+  if (typeof audioData === 'string') {
+    serverLogger.debug('Decoding string audio data from base64');
+    return Buffer.from(audioData, 'base64');
+  }
+  if (Buffer.isBuffer(audioData)) {
+    serverLogger.debug('Audio data is already a Buffer');
+    return audioData;
+  }
+  if (audioData instanceof Uint8Array) {
+    serverLogger.debug('Converting Uint8Array to Buffer');
+    return Buffer.from(audioData);
+  }
+  throw new Error(`Invalid audioData type: ${typeof audioData}`);
+}
+
+/**
+ * Token counts Gemini billed for one response
+ * @param {object} response - Gemini response (aggregated response when streaming)
+ * @returns {{prompt_tokens: number, output_tokens: number, total_tokens: number}|null} Counts, or null if the response has no usageMetadata
+ */
+export function getTokenUsage(response) {
+  const metadata = response?.usageMetadata;
+  if (!metadata) {
+    return null;
+  }
+  const promptTokens = metadata.promptTokenCount || 0;
+  const outputTokens = metadata.candidatesTokenCount || 0;
+  return {
+    prompt_tokens: promptTokens,
+    output_tokens: outputTokens,
+    total_tokens: metadata.totalTokenCount || promptTokens + outputTokens
+  };
+}
+
+/**
+ * Build the generateContent request for a speech prompt
+ * @param {string} prompt - Full prompt text
+ * @param {object} speechConfig - Gemini speechConfig (see buildSpeechConfig)
+ * @returns {object} GenerateContentRequest
+ */
+function buildSpeechRequest(prompt, speechConfig) {
+  return {
+    contents: [{ role: 'user', parts: [{ text: prompt }] }],
+    generationConfig: {
+      responseModalities: ['AUDIO'],
+      speechConfig
+    }
+  };
+}
+
+/**
+ * Create the error thrown when Gemini returns no audio
+ * @param {object} response - Gemini response (or last streamed chunk)
+ * @returns {Error} Error with errorType 'no_audio_data'
+ */
+function noAudioError(response) {
+  serverLogger.error('No audio data found in Gemini response', null, {
+    response_structure: {
+      has_candidates: !!response?.candidates,
+      candidates_count: response?.candidates?.length || 0
+    }
+  });
+  const error = new Error('No audio data found in Gemini response');
+  error.errorType = 'no_audio_data';
+  return error;
+}
+
+/**
+ * Decode audio data, tagging failures with errorType 'audio_decode_failed'
+ * @param {string|Buffer|Uint8Array} audioData - Audio payload from Gemini
+ * @returns {Buffer} Raw PCM bytes
+ */
+function decodeOrThrow(audioData) {
+  try {
+    return decodeAudioData(audioData);
+  } catch (error) {
+    serverLogger.error('Failed to decode audio data', error, {
+      audio_data_type: typeof audioData,
+      is_buffer: Buffer.isBuffer(audioData),
+      is_uint8array: audioData instanceof Uint8Array
+    });
+    const decodeError = new Error(`Failed to decode audio data: ${error.message}`);
+    decodeError.errorType = 'audio_decode_failed';
+    throw decodeError;
+  }
+}
+
+/**
+ * Generate speech for one prompt and return the raw PCM
+ * @param {object} model - Model from GoogleGenerativeAI#getGenerativeModel
+ * @param {string} prompt - Full prompt text
+ * @param {object} speechConfig - Gemini speechConfig (see buildSpeechConfig)
+ * @param {AbortSignal} [signal] - Aborts the call (client cancelled)
+ * @returns {Promise<{pcm: Buffer, response: object}>} PCM bytes and the raw response
+ * @throws {Error} errorType 'no_audio_data' or 'audio_decode_failed' when the response has no usable audio
+ */
+export async function generateSpeechPcm(model, prompt, speechConfig, signal) {
+  // Use generateContent with audio modality
+  const result = await model.generateContent(buildSpeechRequest(prompt, speechConfig), { signal });
+
+  serverLogger.info('Processing Gemini API response');
+  const response = result.response;
+  const audioData = extractAudioData(response);
+
+  if (!audioData) {
+    throw noAudioError(response);
+  }
+
+  serverLogger.success('Audio data extracted successfully', {
+    data_type: typeof audioData,
+    is_string: typeof audioData === 'string',
+    is_buffer: Buffer.isBuffer(audioData)
+  });
+
+  // Decode base64 audio data if needed
+  serverLogger.info('Decoding audio data');
+  const pcm = decodeOrThrow(audioData);
+  serverLogger.debug('Audio data decoded', {
+    pcm_bytes_length: pcm.length,
+    pcm_size_kb: (pcm.length / 1024).toFixed(2)
+  });
+  return { pcm, response };
+}
+
+/**
+ * Stream speech for one prompt, handing PCM to a callback as each chunk arrives
+ * @param {object} model - Model from GoogleGenerativeAI#getGenerativeModel
+ * @param {string} prompt - Full prompt text
+ * @param {object} speechConfig - Gemini speechConfig (see buildSpeechConfig)
+ * @param {function(Buffer): void} onPcm - Called with each PCM piece (always whole 16-bit samples)
+ * @param {AbortSignal} [signal] - Aborts the call (client cancelled)
+ * @returns {Promise<{pcm: Buffer, response: object}>} All PCM bytes and the aggregated response
+ * @throws {Error} errorType 'no_audio_data' or 'audio_decode_failed' when the stream has no usable audio
+ */
+export async function streamSpeechPcm(model, prompt, speechConfig, onPcm, signal) {
+  const result = await model.generateContentStream(buildSpeechRequest(prompt, speechConfig), { signal });
+
+  const pieces = [];
+  // A streamed chunk can end mid-sample, so hold back an odd trailing byte
+  let carry = Buffer.alloc(0);
+  let chunkCount = 0;
+
+  for await (const chunk of result.stream) {
+    chunkCount++;
+    const audioData = extractAudioData(chunk);
+    if (!audioData) {
+      continue;
+    }
+    let pcm = decodeOrThrow(audioData);
+    if (carry.length > 0) {
+      pcm = Buffer.concat([carry, pcm]);
+    }
+    const usable = pcm.length - (pcm.length % 2);
+    carry = pcm.subarray(usable);
+    if (usable > 0) {
+      const piece = pcm.subarray(0, usable);
+      pieces.push(piece);
+      onPcm(piece);
+    }
+  }
+
+  const response = await result.response;
+  if (pieces.length === 0) {
+    throw noAudioError(response);
+  }
+
+  const pcm = Buffer.concat(pieces);
+  serverLogger.debug('Streamed audio received', {
+    stream_chunks: chunkCount,
+    pcm_bytes_length: pcm.length,
+    pcm_size_kb: (pcm.length / 1024).toFixed(2)
+  });
+  return { pcm, response };
+}
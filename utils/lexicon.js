@@ -0,0 +1,97 @@
+/**
+ * Pronunciation Lexicon
+ * Replaces brand names, SKUs and acronyms with the way they should be spoken
+ */
+
+import { CONFIG } from '../config.js';
+
+// Matches are swapped for private-use placeholders first so one entry's
+// replacement is never rewritten by another entry
+const PLACEHOLDER_START = '\uF8F0';
+const PLACEHOLDER_END = '\uF8F1';
+
+/**
+ * Validate lexicon entries from a request and fill in the option defaults
+ * @param {*} entries - settings.lexicon from the request
+ * @returns {Array<{term: string, replacement: string, wholeWord: boolean, caseSensitive: boolean}>}
+ * @throws {Error} Describing the first invalid entry
+ */
+export function validateLexicon(entries) {
+  const { maxEntries, maxTermLength, maxReplacementLength } = CONFIG.lexicon;
+  if (!Array.isArray(entries)) {
+    throw new Error('Invalid lexicon: must be an array of { term, replacement } entries');
+  }
+  if (entries.length > maxEntries) {
+    throw new Error(`Lexicon has too many entries (max ${maxEntries})`);
+  }
+
+  return entries.map((entry, index) => {
+    const label = `Lexicon entry ${index + 1}`;
+    if (!entry || typeof entry !== 'object') {
+      throw new Error(`${label} must be an object with term and replacement`);
+    }
+    if (typeof entry.term !== 'string' || !entry.term.trim()) {
+      throw new Error(`${label} needs a term`);
+    }
+    const term = entry.term.trim();
+    if (term.length > maxTermLength) {
+      throw new Error(`${label} term "${term.slice(0, 20)}…" is too long (max ${maxTermLength} characters)`);
+    }
+    if (typeof entry.replacement !== 'string' || !entry.replacement.trim()) {
+      throw new Error(`Lexicon term "${term}" needs a replacement`);
+    }
+    if (entry.replacement.length > maxReplacementLength) {
+      throw new Error(`Lexicon term "${term}" replacement is too long (max ${maxReplacementLength} characters)`);
+    }
+    for (const option of ['wholeWord', 'caseSensitive']) {
+      if (entry[option] !== undefined && typeof entry[option] !== 'boolean') {
+        throw new Error(`Lexicon term "${term}" ${option} must be true or false`);
+      }
+    }
+    return {
+      term,
+      replacement: entry.replacement.trim(),
+      wholeWord: entry.wholeWord !== false,
+      caseSensitive: entry.caseSensitive === true
+    };
+  });
+}
+
+/**
+ * Build the regex for one entry
+ * @param {{term: string, wholeWord: boolean, caseSensitive: boolean}} entry - Lexicon entry
+ * @returns {RegExp}
+ */
+function entryPattern(entry) {
+  const escaped = entry.term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  // Letters, digits and underscores count as word characters in any script
+  const source = entry.wholeWord ? `(?<![\\p{L}\\p{N}_])${escaped}(?![\\p{L}\\p{N}_])` : escaped;
+  return new RegExp(source, entry.caseSensitive ? 'gu' : 'giu');
+}
+
+/**
+ * Replace every lexicon term in the text with its spoken form. Longer terms win over
+ * shorter ones they contain, and replacements are never matched again.
+ * @param {string} text - Text to speak
+ * @param {Array<{term: string, replacement: string, wholeWord: boolean, caseSensitive: boolean}>} entries - Validated entries
+ * @returns {{text: string, replacements: number}} Rewritten text and how many terms were replaced
+ */
+export function applyLexicon(text, entries) {
+  const ordered = [...entries].sort((a, b) => b.term.length - a.term.length);
+  let replacements = 0;
+  let result = text;
+
+  ordered.forEach((entry, index) => {
+    const placeholder = PLACEHOLDER_START + String.fromCharCode(0xE000 + index) + PLACEHOLDER_END;
+    result = result.replace(entryPattern(entry), () => {
+      replacements++;
+      return placeholder;
+    });
+  });
+
+  result = result.replace(
+    new RegExp(`${PLACEHOLDER_START}([\\uE000-\\uF8EF])${PLACEHOLDER_END}`, 'g'),
+    (match, code) => ordered[code.charCodeAt(0) - 0xE000].replacement
+  );
+  return { text: result, replacements };
+}
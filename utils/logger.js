@@ -1,8 +1,14 @@
 /**
  * Logging Utility
- * Provides structured, pretty logging throughout the application
+ * Server logs as colourised text or one JSON object per line (LOG_FORMAT=json), filtered by
+ * LOG_LEVEL. Lines logged while handling a request carry its request ID, customer text and key
+ * material are redacted, and each request ends with a summary of its timing spans.
  */
 
+import crypto from 'crypto';
+import { AsyncLocalStorage } from 'async_hooks';
+import { performance } from 'perf_hooks';
+
 const LOG_LEVELS = {
   DEBUG: 0,
   INFO: 1,
@@ -22,6 +28,18 @@ const COLORS = {
   cyan: '\x1b[36m'
 };
 
+// Redaction rules: context fields holding customer scripts (replaced by their length unless
+// LOG_REDACT=off), fields holding secrets, and secret patterns removed from every string
+const REDACTED_TEXT_FIELDS = ['text', 'text_to_speak', 'prompt', 'accent_instruction', 'expression_instruction', 'variables', 'term', 'replacement'];
+const REDACTED_SECRET_FIELDS = ['key', 'api_key', 'apikey', 'token', 'access_token', 'authorization'];
+const SECRET_PATTERNS = [
+  /AIza[0-9A-Za-z_-]{20,}/g, // Gemini API keys
+  /gvt_[0-9a-f]{8}\.[A-Za-z0-9_-]+/g, // Access tokens
+  /Bearer\s+[^\s"']+/gi
+];
+
+const requestContext = new AsyncLocalStorage();
+
 /**
  * Format timestamp
  */
@@ -29,16 +47,97 @@ function getTimestamp() {
   return new Date().toISOString();
 }
 
+/**
+ * Minimum level to print: LOG_LEVEL (debug, info, warn, error), else info in production and debug elsewhere
+ * @returns {number} One of LOG_LEVELS
+ */
+function getMinimumLevel() {
+  const configured = LOG_LEVELS[(process.env.LOG_LEVEL || '').toUpperCase()];
+  if (configured !== undefined) {
+    return configured;
+  }
+  return process.env.NODE_ENV === 'production' ? LOG_LEVELS.INFO : LOG_LEVELS.DEBUG;
+}
+
+/**
+ * Remove secrets from a string
+ * @param {string} value
+ * @returns {string}
+ */
+function redactSecrets(value) {
+  return SECRET_PATTERNS.reduce((result, pattern) => result.replace(pattern, '[redacted]'), value);
+}
+
+/**
+ * Apply the redaction rules to a log context
+ * @param {*} value - Context value
+ * @param {string} [key] - Field name the value is stored under
+ * @returns {*} Copy safe to print
+ */
+function redact(value, key = '') {
+  const field = key.toLowerCase();
+  if (value === null || value === undefined) {
+    return value;
+  }
+  if (REDACTED_SECRET_FIELDS.includes(field) && typeof value === 'string') {
+    return '[redacted]';
+  }
+  if (REDACTED_TEXT_FIELDS.includes(field) && process.env.LOG_REDACT !== 'off') {
+    const length = typeof value === 'string' ? value.length : JSON.stringify(value).length;
+    return `[redacted: ${length} chars]`;
+  }
+  if (typeof value === 'string') {
+    return redactSecrets(value);
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => redact(item));
+  }
+  if (typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([name, item]) => [name, redact(item, name)]));
+  }
+  return value;
+}
+
 /**
  * Format log message with context
  */
 function formatLog(level, message, context = {}) {
   const timestamp = getTimestamp();
+  const requestId = requestContext.getStore()?.requestId;
+  if (process.env.LOG_FORMAT === 'json') {
+    return JSON.stringify({
+      time: timestamp,
+      level: level === 'SUCCESS' ? 'info' : level.toLowerCase(),
+      message,
+      ...(requestId && { request_id: requestId }),
+      ...(level === 'SUCCESS' && { success: true }),
+      ...context
+    });
+  }
+
   const contextStr = Object.keys(context).length > 0 
     ? `\n${JSON.stringify(context, null, 2)}` 
     : '';
+  const requestStr = requestId ? ` [${requestId.slice(0, 8)}]` : '';
   
-  return `[${timestamp}] [${level}] ${message}${contextStr}`;
+  return `[${timestamp}] [${level}]${requestStr} ${message}${contextStr}`;
+}
+
+/**
+ * Print one log line if its level is enabled
+ * @param {string} level - DEBUG, INFO, SUCCESS, WARN or ERROR
+ * @param {Function} write - console method
+ * @param {string} color - Colour for text output
+ * @param {string} message - Log message
+ * @param {object} context - Extra fields
+ */
+function writeLog(level, write, color, message, context) {
+  const threshold = level === 'SUCCESS' ? LOG_LEVELS.INFO : LOG_LEVELS[level];
+  if (threshold < getMinimumLevel()) {
+    return;
+  }
+  const line = formatLog(level, redactSecrets(message), redact(context));
+  write(process.env.LOG_FORMAT === 'json' ? line : `${color}${line}${COLORS.reset}`);
 }
 
 /**
@@ -46,15 +145,15 @@ function formatLog(level, message, context = {}) {
  */
 export const serverLogger = {
   debug: (message, context = {}) => {
-    console.log(`${COLORS.dim}${formatLog('DEBUG', message, context)}${COLORS.reset}`);
+    writeLog('DEBUG', console.log, COLORS.dim, message, context);
   },
   
   info: (message, context = {}) => {
-    console.log(`${COLORS.cyan}${formatLog('INFO', message, context)}${COLORS.reset}`);
+    writeLog('INFO', console.log, COLORS.cyan, message, context);
   },
   
   warn: (message, context = {}) => {
-    console.warn(`${COLORS.yellow}${formatLog('WARN', message, context)}${COLORS.reset}`);
+    writeLog('WARN', console.warn, COLORS.yellow, message, context);
   },
   
   error: (message, error = null, context = {}) => {
@@ -68,14 +167,67 @@ export const serverLogger = {
         }
       })
     };
-    console.error(`${COLORS.red}${formatLog('ERROR', message, errorContext)}${COLORS.reset}`);
+    writeLog('ERROR', console.error, COLORS.red, message, errorContext);
   },
   
   success: (message, context = {}) => {
-    console.log(`${COLORS.green}${formatLog('SUCCESS', message, context)}${COLORS.reset}`);
+    writeLog('SUCCESS', console.log, COLORS.green, message, context);
   }
 };
 
+/**
+ * Start timing part of the current request. Spans with the same name add up, so a span
+ * around each Gemini call gives the total time spent waiting for Gemini.
+ * @param {string} name - Span name, e.g. "validation", "gemini", "encoding"
+ * @returns {function(): number} Ends the span and returns its duration in ms
+ */
+export function startSpan(name) {
+  const startedAt = performance.now();
+  return () => {
+    const duration = performance.now() - startedAt;
+    const context = requestContext.getStore();
+    if (context) {
+      context.spans[name] = (context.spans[name] || 0) + duration;
+    }
+    return duration;
+  };
+}
+
+/**
+ * Wrap an API handler so every line it logs carries a request ID, returned in the X-Request-Id
+ * header (an incoming X-Request-Id from a proxy is reused), and the request ends with a
+ * summary line of its status, duration and timing spans
+ * @param {string} endpoint - Endpoint name for the summary line
+ * @param {Function} handler - (req, res) handler
+ * @returns {Function} Wrapped handler
+ */
+export function withRequestLogging(endpoint, handler) {
+  return (req, res) => {
+    const incomingId = req.headers?.['x-request-id'];
+    const requestId = typeof incomingId === 'string' && /^[A-Za-z0-9._-]{8,128}$/.test(incomingId)
+      ? incomingId
+      : crypto.randomUUID();
+    res.setHeader('X-Request-Id', requestId);
+
+    const context = { requestId, spans: {} };
+    const startedAt = performance.now();
+    return requestContext.run(context, async () => {
+      try {
+        return await handler(req, res);
+      } finally {
+        const spans = Object.fromEntries(Object.entries(context.spans).map(([name, ms]) => [`${name}_ms`, Math.round(ms)]));
+        serverLogger.info('Request finished', {
+          endpoint,
+          method: req.method,
+          status: res.statusCode,
+          duration_ms: Math.round(performance.now() - startedAt),
+          ...(Object.keys(spans).length > 0 && { spans })
+        });
+      }
+    });
+  };
+}
+
 /**
  * Client-side logger (for browser)
  */
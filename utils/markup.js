@@ -0,0 +1,432 @@
+/**
+ * Markup Utilities
+ * Parses the SSML subset accepted by /api/synthesize: <break> becomes real silence between
+ * generated segments, the other tags become text substitutions or prompt directives
+ */
+
+import { CONFIG } from '../config.js';
+
+const TAG_PATTERN = /^<(\/?)([a-zA-Z][\w-]*)((?:\s+[a-zA-Z][\w-]*\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>/;
+const ATTRIBUTE_PATTERN = /([a-zA-Z][\w-]*)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+const ENTITIES = { '&lt;': '<', '&gt;': '>', '&amp;': '&', '&quot;': '"', '&apos;': "'" };
+
+const TAGS = {
+  speak: { attributes: [] },
+  break: { attributes: ['time', 'strength'] },
+  emphasis: { attributes: ['level'] },
+  'say-as': { attributes: ['interpret-as', 'format'], textOnly: true },
+  sub: { attributes: ['alias'], textOnly: true },
+  phoneme: { attributes: ['ph', 'alphabet'], textOnly: true }
+};
+
+const EMPHASIS_DIRECTIVES = {
+  stress: { term: '*', instruction: 'Stress the words wrapped in *asterisks*; do not read the asterisks aloud.' },
+  reduced: { term: '_', instruction: 'Say the words wrapped in _underscores_ softly and without stress; do not read the underscores aloud.' }
+};
+
+const ONES = ['zero', 'one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine', 'ten',
+  'eleven', 'twelve', 'thirteen', 'fourteen', 'fifteen', 'sixteen', 'seventeen', 'eighteen', 'nineteen'];
+const TENS = ['', '', 'twenty', 'thirty', 'forty', 'fifty', 'sixty', 'seventy', 'eighty', 'ninety'];
+const SCALES = ['', 'thousand', 'million', 'billion', 'trillion'];
+const ORDINAL_WORDS = {
+  one: 'first', two: 'second', three: 'third', five: 'fifth', eight: 'eighth', nine: 'ninth', twelve: 'twelfth'
+};
+
+/**
+ * Spell out a number below 1000
+ * @param {number} n - 0-999
+ * @returns {string}
+ */
+function hundredsToWords(n) {
+  const words = [];
+  if (n >= 100) {
+    words.push(`${ONES[Math.floor(n / 100)]} hundred`);
+    n %= 100;
+    if (n > 0) words.push('and');
+  }
+  if (n >= 20) {
+    words.push(n % 10 ? `${TENS[Math.floor(n / 10)]}-${ONES[n % 10]}` : TENS[Math.floor(n / 10)]);
+  } else if (n > 0 || words.length === 0) {
+    words.push(ONES[n]);
+  }
+  return words.join(' ');
+}
+
+/**
+ * Spell out an integer in English words ("1204" → "one thousand two hundred and four")
+ * @param {string} value - Integer, optionally signed and with thousands separators
+ * @returns {string|null} Words, or null if the value is not a supported integer
+ */
+export function numberToWords(value) {
+  const match = /^(-?)(\d{1,3}(?:,\d{3})+|\d+)$/.exec(value.trim());
+  if (!match) return null;
+  const digits = match[2].replace(/,/g, '').replace(/^0+(?=\d)/, '');
+  if (digits.length > SCALES.length * 3) return null;
+
+  let n = Number(digits);
+  if (n === 0) return 'zero';
+  const groups = [];
+  for (let scale = 0; n > 0; scale++, n = Math.floor(n / 1000)) {
+    const group = n % 1000;
+    if (group > 0) {
+      groups.unshift(SCALES[scale] ? `${hundredsToWords(group)} ${SCALES[scale]}` : hundredsToWords(group));
+    }
+  }
+  return (match[1] ? 'minus ' : '') + groups.join(' ');
+}
+
+/**
+ * Spell out an integer as an ordinal ("21" → "twenty-first")
+ * @param {string} value - Non-negative integer, optionally followed by st/nd/rd/th
+ * @returns {string|null} Words, or null if the value is not a supported integer
+ */
+function ordinalToWords(value) {
+  const words = numberToWords(value.trim().replace(/(st|nd|rd|th)$/i, ''));
+  if (!words || words.startsWith('minus')) return null;
+  return words.replace(/([a-z]+)$/, last => {
+    if (ORDINAL_WORDS[last]) return ORDINAL_WORDS[last];
+    if (last.endsWith('y')) return `${last.slice(0, -1)}ieth`;
+    return `${last}th`;
+  });
+}
+
+/**
+ * Turn <say-as> content into the text Gemini should read
+ * @param {string} content - Element text
+ * @param {string} interpretAs - interpret-as attribute
+ * @returns {string|null} Replacement text, or null if the content does not fit interpret-as
+ */
+function sayAs(content, interpretAs) {
+  const value = content.trim();
+  switch (interpretAs) {
+    case 'characters':
+    case 'spell-out':
+      return Array.from(value.replace(/\s+/g, '')).join(' ');
+    case 'digits':
+      return /^\d+$/.test(value) ? value.split('').map(d => ONES[d]).join(' ') : null;
+    case 'cardinal':
+    case 'number':
+      return numberToWords(value);
+    case 'ordinal':
+      return ordinalToWords(value);
+    default:
+      return null;
+  }
+}
+
+/**
+ * Parse a <break> into a pause length
+ * @param {object} attributes - Tag attributes
+ * @param {function(string): Error} fail - Builds a positioned error
+ * @returns {number} Pause in milliseconds
+ */
+function breakDuration(attributes, fail) {
+  const { maxBreakMs, breakStrengths } = CONFIG.markup;
+  if (attributes.time !== undefined) {
+    const match = /^(\d+(?:\.\d+)?)\s*(ms|s)$/.exec(attributes.time.trim());
+    if (!match) {
+      throw fail(`<break> time "${attributes.time}" is not valid; use milliseconds or seconds like "500ms" or "1.5s"`);
+    }
+    const ms = Math.round(parseFloat(match[1]) * (match[2] === 's' ? 1000 : 1));
+    if (ms > maxBreakMs) {
+      throw fail(`<break> time "${attributes.time}" is too long (max ${maxBreakMs}ms)`);
+    }
+    return ms;
+  }
+  const strength = attributes.strength ?? 'medium';
+  if (!(strength in breakStrengths)) {
+    throw fail(`<break> strength "${strength}" is not valid. Must be one of: ${Object.keys(breakStrengths).join(', ')}`);
+  }
+  return breakStrengths[strength];
+}
+
+/**
+ * Decode the XML entities allowed in markup text (&lt; &gt; &amp; &quot; &apos;)
+ * @param {string} text - Raw text between tags
+ * @returns {string}
+ */
+function decodeEntities(text) {
+  return text.replace(/&(?:lt|gt|amp|quot|apos);/g, entity => ENTITIES[entity]);
+}
+
+/**
+ * Parse marked-up text into text segments separated by <break> pauses
+ * @param {string} text - Text with SSML-style markup
+ * @param {Map<string, {term: string, instruction: string}>} directives - Collects the prompt directives the markup needs
+ * @returns {{segments: string[], written: string[], pauses: number[]}} written holds each segment as
+ *   the reader sees it (no emphasis markers, the text of <sub> and <say-as> rather than what is spoken);
+ *   pauses has segments.length + 1 entries: before the first segment, between segments and after the last
+ * @throws {Error} Describing the first malformed or unsupported piece of markup and where it is
+ */
+function parseMarkupSegments(text, directives) {
+  const segments = [];
+  const written = [];
+  const pauses = [0];
+  const stack = []; // Open elements: { name, attributes, position, output, written }
+  let current = '';
+  let currentWritten = '';
+  let position = 0;
+
+  const fail = (message, at = position) => new Error(`Markup error at character ${at + 1}: ${message}`);
+  const output = () => (stack.length > 0 ? stack[stack.length - 1] : null);
+  const append = (value, writtenValue = value) => {
+    const parent = output();
+    // Text directly inside <speak> is top-level text, so <break> can split it
+    if (parent && parent.name !== 'speak') {
+      parent.output += value;
+      parent.written += writtenValue;
+    } else {
+      current += value;
+      currentWritten += writtenValue;
+    }
+  };
+
+  while (position < text.length) {
+    const tagStart = text.indexOf('<', position);
+    const plain = text.slice(position, tagStart === -1 ? text.length : tagStart);
+    append(decodeEntities(plain));
+    if (tagStart === -1) break;
+    position = tagStart;
+
+    const match = TAG_PATTERN.exec(text.slice(position));
+    if (!match) {
+      throw fail('malformed tag; write &lt; for a literal "<"');
+    }
+    const [raw, closing, name, attributeText, selfClosing] = match;
+    const tag = TAGS[name];
+    if (!tag) {
+      throw fail(`unsupported tag <${name}>. Supported tags: ${Object.keys(TAGS).map(t => `<${t}>`).join(', ')}`);
+    }
+
+    if (closing) {
+      const open = stack.pop();
+      if (!open || open.name !== name) {
+        throw fail(open ? `</${name}> does not match the open <${open.name}>` : `</${name}> has no opening tag`);
+      }
+      append(closeElement(open, directives, (message) => fail(message, open.position)), open.written);
+      position += raw.length;
+      if (name === 'speak' && text.slice(position).trim()) {
+        throw fail('<speak> must wrap the whole text');
+      }
+      continue;
+    }
+
+    const attributes = {};
+    for (const [, key, doubleQuoted, singleQuoted] of attributeText.matchAll(ATTRIBUTE_PATTERN)) {
+      if (!tag.attributes.includes(key)) {
+        throw fail(`<${name}> does not support the "${key}" attribute`);
+      }
+      attributes[key] = doubleQuoted ?? singleQuoted;
+    }
+
+    const parent = output();
+    if (parent && TAGS[parent.name].textOnly) {
+      throw fail(`<${parent.name}> can only contain text, not <${name}>`);
+    }
+    if (name === 'speak' && (stack.length > 0 || segments.length > 0 || current.trim())) {
+      throw fail('<speak> must wrap the whole text');
+    }
+
+    if (name === 'break') {
+      if (!selfClosing) {
+        throw fail('<break> must be self-closing: <break time="500ms"/>');
+      }
+      if (stack.some(open => open.name !== 'speak')) {
+        throw fail(`<break> cannot be used inside <${stack[stack.length - 1].name}>`);
+      }
+      const pause = breakDuration(attributes, fail);
+      if (current.trim()) {
+        segments.push(current.trim());
+        written.push(currentWritten.trim() || current.trim());
+        pauses.push(pause);
+      } else {
+        // Consecutive breaks (or a break before any text) add up
+        pauses[pauses.length - 1] += pause;
+      }
+      current = '';
+      currentWritten = '';
+    } else if (selfClosing) {
+      throw fail(`<${name}/> cannot be empty`);
+    } else {
+      if (name === 'emphasis' && stack.some(open => open.name === 'emphasis')) {
+        throw fail('<emphasis> cannot be nested');
+      }
+      stack.push({ name, attributes, position, output: '', written: '' });
+    }
+    position += raw.length;
+  }
+
+  if (stack.length > 0) {
+    const open = stack[stack.length - 1];
+    throw fail(`<${open.name}> is never closed`, open.position);
+  }
+  if (current.trim()) {
+    segments.push(current.trim());
+    written.push(currentWritten.trim() || current.trim());
+    pauses.push(0);
+  }
+  return { segments, written, pauses };
+}
+
+/**
+ * Remove the markers <emphasis> wraps around words ("*now*" → "now")
+ * @param {string} text - Text produced by parseMarkup()
+ * @returns {string}
+ */
+export function stripEmphasisMarkers(text) {
+  return Object.values(EMPHASIS_DIRECTIVES).reduce((result, { term }) => {
+    const marker = `\\${term}`;
+    return result.replace(new RegExp(`${marker}([^${marker}]+)${marker}`, 'g'), '$1');
+  }, text);
+}
+
+/**
+ * Check the number of segments a script was split into
+ * @param {number} count - Segment count
+ * @throws {Error} If there is nothing to speak or too many Gemini requests would be needed
+ */
+function checkSegmentCount(count) {
+  if (count === 0) {
+    throw new Error('Markup error: there is no text to speak');
+  }
+  if (count > CONFIG.markup.maxSegments) {
+    throw new Error(`Markup error: too many <break> pauses between text (max ${CONFIG.markup.maxSegments - 1})`);
+  }
+}
+
+/**
+ * Parse marked-up text into the segments to synthesize, the silence around them
+ * and the prompt directives the markup needs
+ * @param {string} text - Text with SSML-style markup
+ * @returns {{segments: string[], written: string[], pauses: number[], directives: Array<{term: string, instruction: string}>}}
+ *   written is each segment as the reader sees it (for captions); pauses has segments.length + 1
+ *   entries: before the first segment, between segments and after the last
+ * @throws {Error} Describing the first malformed or unsupported piece of markup and where it is
+ */
+export function parseMarkup(text) {
+  const directives = new Map();
+  const { segments, written, pauses } = parseMarkupSegments(text, directives);
+  checkSegmentCount(segments.length);
+  return { segments, written, pauses, directives: Array.from(directives.values()) };
+}
+
+/**
+ * Parse the markup in each dialogue turn. A <break> splits the script into groups of turns
+ * that are generated separately with silence between them.
+ * @param {Array<{speaker: string, text: string}>} turns - Parsed dialogue turns
+ * @returns {{groups: Array<Array<{speaker: string, text: string}>>, written: Array<Array<{speaker: string, text: string}>>,
+ *   pauses: number[], directives: Array<{term: string, instruction: string}>}} written mirrors groups
+ *   as the reader sees it; pauses has groups.length + 1 entries, as in parseMarkup
+ * @throws {Error} Naming the speaker whose line has malformed markup
+ */
+export function parseDialogueMarkup(turns) {
+  const directives = new Map();
+  const groups = [[]];
+  const written = [[]];
+  const pauses = [0];
+  const addPause = (ms) => {
+    if (ms <= 0) return;
+    if (groups[groups.length - 1].length > 0) {
+      groups.push([]);
+      written.push([]);
+      pauses.push(ms);
+    } else {
+      pauses[pauses.length - 1] += ms;
+    }
+  };
+
+  for (const turn of turns) {
+    let parsed;
+    try {
+      parsed = parseMarkupSegments(turn.text, directives);
+    } catch (error) {
+      throw new Error(`${turn.speaker}'s line: ${error.message}`);
+    }
+    addPause(parsed.pauses[0]);
+    parsed.segments.forEach((segment, index) => {
+      groups[groups.length - 1].push({ speaker: turn.speaker, text: segment });
+      written[written.length - 1].push({ speaker: turn.speaker, text: parsed.written[index] });
+      addPause(parsed.pauses[index + 1]);
+    });
+  }
+
+  // A trailing break leaves an empty last group; its pause becomes the silence after the script
+  if (groups[groups.length - 1].length === 0) {
+    groups.pop();
+    written.pop();
+  } else {
+    pauses.push(0);
+  }
+  checkSegmentCount(groups.length);
+  return { groups, written, pauses, directives: Array.from(directives.values()) };
+}
+
+/**
+ * Turn a closed element into the text that replaces it, recording any prompt directive it needs
+ * @param {{name: string, attributes: object, output: string}} element - Closed element
+ * @param {Map<string, {term: string, instruction: string}>} directives - Directives collected so far
+ * @param {function(string): Error} fail - Builds an error positioned at the opening tag
+ * @returns {string} Replacement text
+ */
+function closeElement(element, directives, fail) {
+  const { name, attributes, output } = element;
+  const content = output.trim();
+
+  switch (name) {
+    case 'speak':
+      return '';
+
+    case 'emphasis': {
+      const level = attributes.level ?? 'moderate';
+      if (!['strong', 'moderate', 'reduced', 'none'].includes(level)) {
+        throw fail(`<emphasis> level "${level}" is not valid. Must be one of: strong, moderate, reduced, none`);
+      }
+      if (!content || level === 'none') return output;
+      const directive = level === 'reduced' ? EMPHASIS_DIRECTIVES.reduced : EMPHASIS_DIRECTIVES.stress;
+      directives.set(directive.term, directive);
+      return output.replace(content, `${directive.term}${content}${directive.term}`);
+    }
+
+    case 'say-as': {
+      if (!attributes['interpret-as']) {
+        throw fail('<say-as> needs an interpret-as attribute');
+      }
+      const interpretAs = attributes['interpret-as'];
+      if (!['characters', 'spell-out', 'digits', 'cardinal', 'number', 'ordinal'].includes(interpretAs)) {
+        throw fail(`<say-as> interpret-as "${interpretAs}" is not supported. Must be one of: characters, spell-out, digits, cardinal, number, ordinal`);
+      }
+      const spoken = sayAs(content, interpretAs);
+      if (!spoken) {
+        throw fail(`<say-as interpret-as="${interpretAs}"> cannot read "${content}"`);
+      }
+      return spoken;
+    }
+
+    case 'sub':
+      if (!attributes.alias || !attributes.alias.trim()) {
+        throw fail('<sub> needs a non-empty alias attribute');
+      }
+      return decodeEntities(attributes.alias.trim());
+
+    case 'phoneme': {
+      if (!attributes.ph || !attributes.ph.trim()) {
+        throw fail('<phoneme> needs a non-empty ph attribute');
+      }
+      const alphabet = attributes.alphabet ?? 'ipa';
+      if (!['ipa', 'x-sampa'].includes(alphabet)) {
+        throw fail(`<phoneme> alphabet "${alphabet}" is not supported. Must be one of: ipa, x-sampa`);
+      }
+      if (!content) {
+        throw fail('<phoneme> needs the word it applies to');
+      }
+      directives.set(`phoneme:${content}`, {
+        term: content,
+        instruction: `Pronounce "${content}" as /${decodeEntities(attributes.ph.trim())}/ (${alphabet === 'ipa' ? 'IPA' : 'X-SAMPA'}).`
+      });
+      return output;
+    }
+
+    default:
+      return output;
+  }
+}
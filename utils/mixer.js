@@ -0,0 +1,186 @@
+/**
+ * Music Bed Mixing
+ * Validates an uploaded background track and mixes it under the speech: music before and after
+ * the speech, looping to cover the whole clip, a bed level, ducking while someone is speaking
+ * and fades at either end.
+ */
+
+import crypto from 'crypto';
+import { CONFIG } from '../config.js';
+import { pcm16ToSamples, samplesToPcm16, convertPcm, wavToPcm } from './audio.js';
+
+// Window for the speech level that drives the ducking
+const ENVELOPE_MS = 20;
+
+/**
+ * Validate the music_bed of a request and decode its track
+ * @param {*} musicBed - { audio: base64 WAV, volumeDb?, duckDb?, introMs?, outroMs?, fadeInMs?, fadeOutMs?, loop? }
+ * @returns {{track: {pcm: Buffer, sampleRate: number, channels: number}, digest: string, bedSeconds: number,
+ *   volumeDb: number, duckDb: number, introMs: number, outroMs: number, fadeInMs: number, fadeOutMs: number, loop: boolean}}
+ * @throws {Error} Describing the first invalid field
+ */
+export function validateMusicBed(musicBed) {
+  const rules = CONFIG.musicBed;
+  if (!musicBed || typeof musicBed !== 'object' || Array.isArray(musicBed)) {
+    throw new Error('Invalid music_bed: must be an object with the track in audio (base64 WAV)');
+  }
+  if (typeof musicBed.audio !== 'string' || musicBed.audio.length === 0) {
+    throw new Error('Invalid music_bed audio: must be a base64-encoded WAV file');
+  }
+
+  const wavData = Buffer.from(musicBed.audio, 'base64');
+  if (wavData.length > rules.maxUploadMb * 1024 * 1024) {
+    throw new Error(`Music bed too large: ${(wavData.length / (1024 * 1024)).toFixed(1)}MB (max ${rules.maxUploadMb}MB)`);
+  }
+  let track;
+  try {
+    track = wavToPcm(wavData);
+  } catch (error) {
+    throw new Error(`Invalid music_bed audio: ${error.message}`);
+  }
+  const bedSeconds = track.pcm.length / (track.sampleRate * track.channels * 2);
+  if (bedSeconds < 0.1) {
+    throw new Error('Invalid music_bed audio: the track is shorter than 0.1s');
+  }
+  if (bedSeconds > rules.maxSeconds) {
+    throw new Error(`Music bed too long: ${bedSeconds.toFixed(1)}s (max ${rules.maxSeconds}s)`);
+  }
+
+  const checkRange = (name, min, max, unit) => {
+    const value = musicBed[name] ?? rules[name];
+    if (typeof value !== 'number' || !Number.isFinite(value) || value < min || value > max) {
+      throw new Error(`Invalid music_bed ${name}: must be between ${min} and ${max} ${unit}`);
+    }
+    return value;
+  };
+  const loop = musicBed.loop ?? rules.loop;
+  if (typeof loop !== 'boolean') {
+    throw new Error('Invalid music_bed loop: must be true or false');
+  }
+
+  return {
+    track,
+    digest: crypto.createHash('sha256').update(wavData).digest('hex'),
+    bedSeconds,
+    volumeDb: checkRange('volumeDb', rules.minVolumeDb, rules.maxVolumeDb, 'dB'),
+    duckDb: checkRange('duckDb', rules.minDuckDb, 0, 'dB'),
+    introMs: checkRange('introMs', 0, rules.maxIntroOutroMs, 'ms'),
+    outroMs: checkRange('outroMs', 0, rules.maxIntroOutroMs, 'ms'),
+    fadeInMs: checkRange('fadeInMs', 0, rules.maxFadeMs, 'ms'),
+    fadeOutMs: checkRange('fadeOutMs', 0, rules.maxFadeMs, 'ms'),
+    loop
+  };
+}
+
+/**
+ * Ducking gain for every frame of the mix. Each 20ms window of speech above the threshold holds
+ * the bed down for duckHoldMs after it, and the ramp starts before the speech so the first word
+ * is already clear.
+ * @param {Int16Array} speech - Interleaved speech samples
+ * @param {number} offset - Frame where the speech starts in the mix
+ * @param {number} totalFrames - Frames in the mix
+ * @param {{sampleRate: number, channels: number}} layout - PCM layout
+ * @param {number} duckDb - Reduction while speaking
+ * @returns {Float32Array} Linear gain per frame (1 = not ducked)
+ */
+function duckingEnvelope(speech, offset, totalFrames, { sampleRate, channels }, duckDb) {
+  const gains = new Float32Array(totalFrames).fill(1);
+  if (duckDb === 0) {
+    return gains;
+  }
+
+  const rules = CONFIG.musicBed;
+  const windowFrames = Math.max(1, Math.round(sampleRate * ENVELOPE_MS / 1000));
+  const holdFrames = Math.round(sampleRate * rules.duckHoldMs / 1000);
+  const rampFrames = Math.max(1, Math.round(sampleRate * rules.duckRampMs / 1000));
+  const threshold = (32768 * 10 ** (rules.duckThresholdDb / 20)) ** 2;
+  const ducked = 10 ** (duckDb / 20);
+
+  // Mark the frames the bed should be fully down for
+  const target = new Uint8Array(totalFrames);
+  const speechFrames = Math.floor(speech.length / channels);
+  for (let start = 0; start < speechFrames; start += windowFrames) {
+    const end = Math.min(speechFrames, start + windowFrames);
+    let energy = 0;
+    for (let i = start * channels; i < end * channels; i++) {
+      energy += speech[i] * speech[i];
+    }
+    if (energy / ((end - start) * channels) > threshold) {
+      target.fill(1, Math.max(0, offset + start - rampFrames), Math.min(totalFrames, offset + end + holdFrames));
+    }
+  }
+
+  // Slew between the two levels at a fixed rate so the bed never jumps
+  const step = (1 - ducked) / rampFrames;
+  let gain = 1;
+  for (let i = 0; i < totalFrames; i++) {
+    gain = target[i] ? Math.max(ducked, gain - step) : Math.min(1, gain + step);
+    gains[i] = gain;
+  }
+  return gains;
+}
+
+/**
+ * Mix a music bed under 16-bit PCM speech. The result is introMs of music, the speech, then
+ * outroMs of music; the bed restarts to fill it when looping and otherwise ends where the track does.
+ * @param {Buffer} speechPcm - 16-bit little-endian speech PCM
+ * @param {object} musicBed - From validateMusicBed()
+ * @param {{sampleRate: number, channels: number}} layout - Layout of the speech (and the output)
+ * @returns {{pcm: Buffer, report: object}} Mixed PCM and the settings used
+ */
+export function mixMusicBed(speechPcm, musicBed, layout) {
+  const { sampleRate, channels } = layout;
+  const { track, volumeDb, duckDb, introMs, outroMs, fadeInMs, fadeOutMs, loop } = musicBed;
+  const toFrames = (ms) => Math.round(sampleRate * ms / 1000);
+
+  const speech = pcm16ToSamples(speechPcm);
+  const bed = pcm16ToSamples(convertPcm(track.pcm, track, layout));
+  const speechFrames = Math.floor(speech.length / channels);
+  const bedFrames = Math.floor(bed.length / channels);
+  const offset = toFrames(introMs);
+  const totalFrames = offset + speechFrames + toFrames(outroMs);
+  // Where the music stops: the end of the mix, or the end of the track when it doesn't loop
+  const musicFrames = loop ? totalFrames : Math.min(totalFrames, bedFrames);
+
+  const ducking = duckingEnvelope(speech, offset, totalFrames, layout, duckDb);
+  const level = 10 ** (volumeDb / 20);
+  const fadeInFrames = Math.min(toFrames(fadeInMs), musicFrames);
+  const fadeOutFrames = Math.min(toFrames(fadeOutMs), musicFrames);
+
+  const output = new Int16Array(totalFrames * channels);
+  output.set(speech.subarray(0, speechFrames * channels), offset * channels);
+  let clippedSamples = 0;
+  for (let frame = 0; frame < musicFrames; frame++) {
+    let gain = level * ducking[frame];
+    if (frame < fadeInFrames) {
+      gain *= frame / fadeInFrames;
+    }
+    if (frame >= musicFrames - fadeOutFrames) {
+      gain *= (musicFrames - frame) / fadeOutFrames;
+    }
+    const bedIndex = (frame % bedFrames) * channels;
+    for (let ch = 0; ch < channels; ch++) {
+      const value = Math.round(output[frame * channels + ch] + bed[bedIndex + ch] * gain);
+      if (value > 32767 || value < -32768) {
+        clippedSamples++;
+      }
+      output[frame * channels + ch] = Math.max(-32768, Math.min(32767, value));
+    }
+  }
+
+  return {
+    pcm: samplesToPcm16(output),
+    report: {
+      bed_seconds: Number(musicBed.bedSeconds.toFixed(3)),
+      loop,
+      plays: Math.ceil(musicFrames / bedFrames),
+      volume_db: volumeDb,
+      duck_db: duckDb,
+      intro_ms: introMs,
+      outro_ms: outroMs,
+      fade_in_ms: fadeInMs,
+      fade_out_ms: fadeOutMs,
+      ...(clippedSamples > 0 && { clipped_samples: clippedSamples })
+    }
+  };
+}
@@ -0,0 +1,267 @@
+/**
+ * Audio Post-Processing
+ * Loudness measurement (ITU-R BS.1770 integrated LUFS and sample peak), silence trimming with
+ * fixed padding, and normalization to a LUFS or peak target, so clips chained back to back
+ * (IVR prompts) match in level and spacing.
+ */
+
+import { CONFIG } from '../config.js';
+import { pcm16ToSamples, samplesToPcm16 } from './audio.js';
+
+export const NORMALIZE_MODES = ['off', 'lufs', 'peak'];
+
+// BS.1770 gating: 400ms blocks every 100ms, absolute gate at -70 LUFS, relative gate 10 LU down
+const BLOCK_MS = 400;
+const BLOCK_STEP_MS = 100;
+const ABSOLUTE_GATE_LUFS = -70;
+const RELATIVE_GATE_LU = -10;
+
+/**
+ * Convert a linear amplitude (1 = full scale) to dB
+ * @param {number} value
+ * @returns {number|null} dB, or null for silence
+ */
+function toDb(value) {
+  return value > 0 ? 20 * Math.log10(value) : null;
+}
+
+/**
+ * K-weighting filter coefficients (high shelf then high-pass) for any sample rate,
+ * from the analogue prototypes behind the 48kHz values in BS.1770
+ * @param {number} sampleRate - Sample rate in Hz
+ * @returns {Array<{b: number[], a: number[]}>} Two biquads
+ */
+function kWeightingFilters(sampleRate) {
+  const shelfK = Math.tan(Math.PI * 1681.974450955533 / sampleRate);
+  const shelfQ = 0.7071752369554196;
+  const shelfGain = 10 ** (3.999843853973347 / 20);
+  const vb = shelfGain ** 0.4996667741545416;
+  const shelfA0 = 1 + shelfK / shelfQ + shelfK * shelfK;
+
+  const passK = Math.tan(Math.PI * 38.13547087602444 / sampleRate);
+  const passQ = 0.5003270373238773;
+  const passA0 = 1 + passK / passQ + passK * passK;
+
+  return [
+    {
+      b: [
+        (shelfGain + vb * shelfK / shelfQ + shelfK * shelfK) / shelfA0,
+        2 * (shelfK * shelfK - shelfGain) / shelfA0,
+        (shelfGain - vb * shelfK / shelfQ + shelfK * shelfK) / shelfA0
+      ],
+      a: [2 * (shelfK * shelfK - 1) / shelfA0, (1 - shelfK / shelfQ + shelfK * shelfK) / shelfA0]
+    },
+    {
+      b: [1, -2, 1],
+      a: [2 * (passK * passK - 1) / passA0, (1 - passK / passQ + passK * passK) / passA0]
+    }
+  ];
+}
+
+/**
+ * Measure integrated loudness and sample peak
+ * @param {Int16Array} samples - Interleaved samples
+ * @param {{sampleRate: number, channels: number}} layout - PCM layout
+ * @returns {{loudnessLufs: number|null, peakDbfs: number|null}} null when the audio is silent
+ */
+export function measureLoudness(samples, { sampleRate, channels }) {
+  const frames = Math.floor(samples.length / channels);
+  const blockFrames = Math.round(sampleRate * BLOCK_MS / 1000);
+  const stepFrames = Math.round(sampleRate * BLOCK_STEP_MS / 1000);
+  const filters = kWeightingFilters(sampleRate);
+
+  // Sum of K-weighted squares per 100ms step, over all channels (BS.1770 weights L/R at 1)
+  const stepEnergy = new Float64Array(Math.ceil(frames / stepFrames));
+  let peak = 0;
+  for (let ch = 0; ch < channels; ch++) {
+    const state = filters.map(() => [0, 0, 0, 0]); // x1, x2, y1, y2
+    for (let i = 0; i < frames; i++) {
+      let value = samples[i * channels + ch] / 32768;
+      peak = Math.max(peak, Math.abs(value));
+      filters.forEach(({ b, a }, index) => {
+        const s = state[index];
+        const output = b[0] * value + b[1] * s[0] + b[2] * s[1] - a[0] * s[2] - a[1] * s[3];
+        s[1] = s[0];
+        s[0] = value;
+        s[3] = s[2];
+        s[2] = output;
+        value = output;
+      });
+      stepEnergy[Math.floor(i / stepFrames)] += value * value;
+    }
+  }
+
+  // 400ms blocks overlapping by 75%; a clip shorter than one block is measured as a single block
+  const stepsPerBlock = Math.round(blockFrames / stepFrames);
+  const blocks = [];
+  if (frames < blockFrames) {
+    if (frames > 0) blocks.push(stepEnergy.reduce((sum, value) => sum + value, 0) / frames);
+  } else {
+    for (let start = 0; start + stepsPerBlock <= Math.floor(frames / stepFrames); start++) {
+      let energy = 0;
+      for (let step = start; step < start + stepsPerBlock; step++) {
+        energy += stepEnergy[step];
+      }
+      blocks.push(energy / blockFrames);
+    }
+  }
+
+  const loudness = (meanSquare) => -0.691 + 10 * Math.log10(meanSquare);
+  const mean = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+  const audible = blocks.filter(value => value > 0 && loudness(value) > ABSOLUTE_GATE_LUFS);
+  if (audible.length === 0) {
+    return { loudnessLufs: null, peakDbfs: toDb(peak) };
+  }
+  const relativeGate = loudness(mean(audible)) + RELATIVE_GATE_LU;
+  const gated = audible.filter(value => loudness(value) > relativeGate);
+  return { loudnessLufs: loudness(mean(gated)), peakDbfs: toDb(peak) };
+}
+
+/**
+ * Cut leading and trailing silence, then pad both ends to exactly paddingMs. Quiet audio next
+ * to the speech (breaths, decay) is kept inside the padding; the rest is filled with silence.
+ * @param {Int16Array} samples - Interleaved samples
+ * @param {{sampleRate: number, channels: number}} layout - PCM layout
+ * @param {{thresholdDb: number, paddingMs: number}} options - Level below which audio counts as silence (dBFS)
+ * @returns {{samples: Int16Array, leadingMs: number, trailingMs: number, offsetMs: number}} Trimmed samples, how much
+ *   silence was removed, and how far the kept audio moved (negative: earlier)
+ */
+export function trimSilence(samples, { sampleRate, channels }, { thresholdDb, paddingMs }) {
+  const frames = Math.floor(samples.length / channels);
+  const threshold = 32768 * 10 ** (thresholdDb / 20);
+  const isSound = (frame) => {
+    for (let ch = 0; ch < channels; ch++) {
+      if (Math.abs(samples[frame * channels + ch]) >= threshold) return true;
+    }
+    return false;
+  };
+
+  let first = 0;
+  while (first < frames && !isSound(first)) first++;
+  if (first === frames) {
+    // Nothing above the threshold: leave the clip alone rather than trim it to nothing
+    return { samples, leadingMs: 0, trailingMs: 0, offsetMs: 0 };
+  }
+  let last = frames - 1;
+  while (last > first && !isSound(last)) last--;
+
+  const padding = Math.round(sampleRate * paddingMs / 1000);
+  const keepStart = Math.max(0, first - padding);
+  const keepEnd = Math.min(frames, last + 1 + padding);
+  const leadFill = padding - (first - keepStart);
+  const trailFill = padding - (keepEnd - (last + 1));
+
+  const output = new Int16Array((leadFill + (keepEnd - keepStart) + trailFill) * channels);
+  output.set(samples.subarray(keepStart * channels, keepEnd * channels), leadFill * channels);
+  const toMs = (count) => Math.round(count * 1000 / sampleRate);
+  return { samples: output, leadingMs: toMs(keepStart), trailingMs: toMs(frames - keepEnd), offsetMs: toMs(leadFill - keepStart) };
+}
+
+/**
+ * Validate the post-processing fields of settings.audio and fill in the defaults
+ * @param {object} audioSettings - settings.audio from the request
+ * @returns {{normalize: string, normalizeTarget: number|null, trimSilence: boolean, trimThresholdDb: number|null, trimPaddingMs: number|null}}
+ * @throws {Error} Describing the first invalid field
+ */
+export function validatePostProcessing(audioSettings) {
+  const rules = CONFIG.postProcessing;
+  const normalize = audioSettings.normalize ?? CONFIG.audio.normalize;
+  if (!NORMALIZE_MODES.includes(normalize)) {
+    throw new Error(`Invalid normalize. Must be one of: ${NORMALIZE_MODES.join(', ')}`);
+  }
+  const trim = audioSettings.trimSilence ?? CONFIG.audio.trimSilence;
+  if (typeof trim !== 'boolean') {
+    throw new Error('Invalid trimSilence: must be true or false');
+  }
+
+  const checkRange = (name, value, min, max, unit) => {
+    if (typeof value !== 'number' || !Number.isFinite(value) || value < min || value > max) {
+      throw new Error(`Invalid ${name}: must be between ${min} and ${max} ${unit}`);
+    }
+    return value;
+  };
+
+  let normalizeTarget = null;
+  if (normalize === 'lufs') {
+    normalizeTarget = checkRange('normalizeTarget', audioSettings.normalizeTarget ?? rules.lufsTarget, rules.minLufsTarget, rules.maxLufsTarget, 'LUFS');
+  } else if (normalize === 'peak') {
+    normalizeTarget = checkRange('normalizeTarget', audioSettings.normalizeTarget ?? rules.peakTarget, rules.minPeakTarget, rules.maxPeakTarget, 'dBFS');
+  }
+
+  return {
+    normalize,
+    normalizeTarget,
+    trimSilence: trim,
+    trimThresholdDb: trim
+      ? checkRange('trimThresholdDb', audioSettings.trimThresholdDb ?? rules.trimThresholdDb, rules.minTrimThresholdDb, rules.maxTrimThresholdDb, 'dBFS')
+      : null,
+    trimPaddingMs: trim
+      ? checkRange('trimPaddingMs', audioSettings.trimPaddingMs ?? rules.trimPaddingMs, 0, rules.maxTrimPaddingMs, 'ms')
+      : null
+  };
+}
+
+/**
+ * Trim silence from 16-bit PCM when enabled
+ * @param {Buffer} pcmData - 16-bit little-endian PCM
+ * @param {{sampleRate: number, channels: number}} layout - PCM layout
+ * @param {object} options - From validatePostProcessing()
+ * @returns {{pcm: Buffer, report: object|null, offsetMs: number}} Trimmed PCM, what was removed (null if trimming
+ *   is off) and how far the speech moved
+ */
+export function trimPcm(pcmData, layout, { trimSilence: trim, trimThresholdDb, trimPaddingMs }) {
+  if (!trim) {
+    return { pcm: pcmData, report: null, offsetMs: 0 };
+  }
+  const trimmed = trimSilence(pcm16ToSamples(pcmData), layout, { thresholdDb: trimThresholdDb, paddingMs: trimPaddingMs });
+  return {
+    pcm: samplesToPcm16(trimmed.samples),
+    offsetMs: trimmed.offsetMs,
+    report: {
+      trim_threshold_db: trimThresholdDb,
+      padding_ms: trimPaddingMs,
+      trimmed_leading_ms: trimmed.leadingMs,
+      trimmed_trailing_ms: trimmed.trailingMs
+    }
+  };
+}
+
+/**
+ * Normalize 16-bit PCM when enabled, then measure the result
+ * @param {Buffer} pcmData - 16-bit little-endian PCM
+ * @param {{sampleRate: number, channels: number}} layout - PCM layout
+ * @param {object} options - From validatePostProcessing()
+ * @returns {{pcm: Buffer, loudnessLufs: number|null, peakDbfs: number|null, report: object|null}}
+ *   Processed PCM, its measured loudness and peak, and the gain applied (null if normalization is off)
+ */
+export function normalizePcm(pcmData, layout, { normalize, normalizeTarget }) {
+  const samples = pcm16ToSamples(pcmData);
+  if (normalize === 'off') {
+    return { pcm: pcmData, ...measureLoudness(samples, layout), report: null };
+  }
+
+  const measured = measureLoudness(samples, layout);
+  const current = normalize === 'lufs' ? measured.loudnessLufs : measured.peakDbfs;
+  let gainDb = current === null ? 0 : normalizeTarget - current;
+  // Raising quiet speech to a LUFS target must not push its peaks past the ceiling
+  let limited = false;
+  if (normalize === 'lufs' && measured.peakDbfs !== null && measured.peakDbfs + gainDb > CONFIG.postProcessing.peakCeilingDb) {
+    gainDb = CONFIG.postProcessing.peakCeilingDb - measured.peakDbfs;
+    limited = true;
+  }
+  const factor = 10 ** (gainDb / 20);
+  for (let i = 0; i < samples.length; i++) {
+    samples[i] = Math.max(-32768, Math.min(32767, Math.round(samples[i] * factor)));
+  }
+
+  return {
+    pcm: samplesToPcm16(samples),
+    ...measureLoudness(samples, layout),
+    report: {
+      normalize,
+      normalize_target: normalizeTarget,
+      gain_db: Number(gainDb.toFixed(2)),
+      ...(limited && { peak_limited: true })
+    }
+  };
+}
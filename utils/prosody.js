@@ -0,0 +1,201 @@
+/**
+ * Speaking Rate, Pitch and Volume
+ * Validates the prosody options of a request and applies them to Gemini's PCM: a WSOLA
+ * time-stretch for the rate (pitch unchanged), a stretch plus resample for the pitch, and a gain.
+ */
+
+import { CONFIG } from '../config.js';
+import { pcm16ToSamples, samplesToPcm16, resample } from './audio.js';
+
+// WSOLA frame length and how far either side of the nominal position to look for the best overlap
+const FRAME_MS = 30;
+const SEARCH_MS = 10;
+
+export const NEUTRAL_PROSODY = { rate: 1, pitch: 0, gain: 0 };
+
+/**
+ * Validate the prosody options from a request. A preset supplies the starting values and
+ * explicit rate, pitch or gain values override it.
+ * @param {*} prosody - prosody from the request: { preset?, rate?, pitch?, gain? }
+ * @returns {{rate: number, pitch: number, gain: number}}
+ * @throws {Error} Describing the first invalid option
+ */
+export function validateProsody(prosody) {
+  if (!prosody || typeof prosody !== 'object' || Array.isArray(prosody)) {
+    throw new Error('Invalid prosody: must be an object with rate, pitch and/or gain');
+  }
+
+  let values = NEUTRAL_PROSODY;
+  if (prosody.preset !== undefined) {
+    const preset = CONFIG.prosody.presets.find(entry => entry.id === prosody.preset);
+    if (!preset) {
+      throw new Error(`Invalid prosody preset. Must be one of: ${CONFIG.prosody.presets.map(entry => entry.id).join(', ')}`);
+    }
+    values = { rate: preset.rate, pitch: preset.pitch, gain: preset.gain };
+  }
+
+  const units = { rate: '×', pitch: ' semitones', gain: ' dB' };
+  const result = { ...values };
+  for (const option of Object.keys(NEUTRAL_PROSODY)) {
+    if (prosody[option] === undefined || prosody[option] === null) continue;
+    const { min, max } = CONFIG.prosody[option];
+    const value = prosody[option];
+    if (typeof value !== 'number' || !Number.isFinite(value) || value < min || value > max) {
+      throw new Error(`Invalid prosody ${option}: must be a number from ${min}${units[option]} to ${max}${units[option]}`);
+    }
+    result[option] = value;
+  }
+  return result;
+}
+
+/**
+ * Whether prosody options leave the audio unchanged
+ * @param {{rate: number, pitch: number, gain: number}} prosody - From validateProsody()
+ * @returns {boolean}
+ */
+export function isNeutralProsody(prosody) {
+  return !prosody || Object.keys(NEUTRAL_PROSODY).every(option => prosody[option] === NEUTRAL_PROSODY[option]);
+}
+
+/**
+ * Pacing directive for the prompt. It only asks for phrasing that suits the rate: the speed
+ * itself comes from the time-stretch, so asking Gemini to slow down as well would apply it twice.
+ * @param {{rate: number}} prosody - From validateProsody()
+ * @returns {string|null} Instruction text, or null at the natural rate
+ */
+export function buildPacingInstruction({ rate }) {
+  if (rate < 1) {
+    return 'Articulate every word clearly and leave a short, even pause between phrases and list items, as in a phone menu.';
+  }
+  if (rate > 1) {
+    return 'Keep the delivery flowing, with no long pauses between sentences.';
+  }
+  return null;
+}
+
+/**
+ * Position near `nominal` whose opening half-frame best continues the previous frame
+ * (normalized cross-correlation against the input that followed it)
+ * @param {Float32Array} input - Source samples
+ * @param {number} natural - Where the previous frame's audio naturally continues
+ * @param {number} nominal - Position the tempo asks for
+ * @param {number} search - Largest offset to try either side of nominal
+ * @param {number} length - Samples to compare
+ * @returns {number} Frame start in the input
+ */
+function findBestOverlap(input, natural, nominal, search, length) {
+  const lastStart = input.length - length;
+  if (natural > lastStart || nominal > lastStart) {
+    return Math.min(Math.max(0, nominal), Math.max(0, lastStart));
+  }
+
+  const score = (start, step) => {
+    let correlation = 0;
+    let energy = 1e-9;
+    for (let n = 0; n < length; n += step) {
+      const sample = input[start + n];
+      correlation += input[natural + n] * sample;
+      energy += sample * sample;
+    }
+    return correlation / Math.sqrt(energy);
+  };
+  const bestIn = (from, to, step, compareStep) => {
+    let best = Math.min(Math.max(0, from), lastStart);
+    let bestScore = -Infinity;
+    for (let start = Math.max(0, from); start <= Math.min(to, lastStart); start += step) {
+      const value = score(start, compareStep);
+      if (value > bestScore) {
+        bestScore = value;
+        best = start;
+      }
+    }
+    return best;
+  };
+
+  // Coarse pass over the whole window on every 4th sample, then refine around the winner
+  const coarse = bestIn(nominal - search, nominal + search, 4, 4);
+  return bestIn(coarse - 3, coarse + 3, 1, 2);
+}
+
+/**
+ * Change the duration of mono audio without changing its pitch (WSOLA: Hann-windowed frames at
+ * 50% overlap, each taken from wherever it lines up best with the one before)
+ * @param {Float32Array} input - Mono samples
+ * @param {number} tempo - Speed factor: 2 halves the duration, 0.5 doubles it
+ * @param {number} sampleRate - Sample rate in Hz
+ * @returns {Float32Array} Stretched samples
+ */
+export function timeStretch(input, tempo, sampleRate) {
+  if (tempo === 1 || input.length === 0) {
+    return input;
+  }
+
+  const frame = Math.round(sampleRate * FRAME_MS / 2000) * 2;
+  const hop = frame / 2;
+  const search = Math.round(sampleRate * SEARCH_MS / 1000);
+  const window = new Float32Array(frame);
+  for (let n = 0; n < frame; n++) {
+    window[n] = 0.5 - 0.5 * Math.cos(2 * Math.PI * n / frame);
+  }
+
+  const outLength = Math.round(input.length / tempo);
+  const output = new Float32Array(outLength + frame);
+  const weights = new Float32Array(outLength + frame);
+  let previous = 0;
+  for (let outPos = 0; outPos < outLength; outPos += hop) {
+    const start = outPos === 0
+      ? 0
+      : findBestOverlap(input, previous + hop, Math.round(outPos * tempo), search, hop);
+    for (let n = 0; n < frame; n++) {
+      const sample = start + n < input.length ? input[start + n] : 0;
+      output[outPos + n] += sample * window[n];
+      weights[outPos + n] += window[n];
+    }
+    previous = start;
+  }
+
+  // The windows sum to 1 except at the very start, where they fade in from 0
+  for (let i = 0; i < outLength; i++) {
+    if (weights[i] > 0.1) {
+      output[i] /= weights[i];
+    }
+  }
+  return output.subarray(0, outLength);
+}
+
+/**
+ * Apply rate, pitch and gain to mono 16-bit PCM. The pitch shift stretches by the pitch ratio
+ * and resamples back, so its duration change cancels out and only the rate changes the length.
+ * @param {Buffer} pcmData - Mono 16-bit little-endian PCM
+ * @param {{rate: number, pitch: number, gain: number}} prosody - From validateProsody()
+ * @param {number} sampleRate - Sample rate in Hz
+ * @returns {{pcm: Buffer, clippedSamples: number}} Processed PCM and how many samples the gain clipped
+ */
+export function applyProsody(pcmData, { rate, pitch, gain }, sampleRate) {
+  const pitchRatio = 2 ** (pitch / 12);
+  let samples = pcm16ToSamples(pcmData);
+
+  if (rate !== 1 || pitch !== 0) {
+    const stretched = timeStretch(Float32Array.from(samples), rate / pitchRatio, sampleRate);
+    samples = new Int16Array(stretched.length);
+    for (let i = 0; i < stretched.length; i++) {
+      samples[i] = Math.max(-32768, Math.min(32767, Math.round(stretched[i])));
+    }
+    // Playing sampleRate * pitchRatio samples per second raises the pitch by pitchRatio
+    samples = resample(samples, 1, sampleRate * pitchRatio, sampleRate);
+  }
+
+  let clippedSamples = 0;
+  if (gain !== 0) {
+    const factor = 10 ** (gain / 20);
+    for (let i = 0; i < samples.length; i++) {
+      const value = Math.round(samples[i] * factor);
+      if (value > 32767 || value < -32768) {
+        clippedSamples++;
+      }
+      samples[i] = Math.max(-32768, Math.min(32767, value));
+    }
+  }
+
+  return { pcm: samplesToPcm16(samples), clippedSamples };
+}
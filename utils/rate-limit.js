@@ -0,0 +1,177 @@
+/**
+ * Rate Limiting
+ * Requests-per-minute and characters-per-day limits per API key or access token, checked
+ * before Gemini is called. Counters live in a pluggable store that defaults to in-memory.
+ */
+
+import crypto from 'crypto';
+import { CONFIG } from '../config.js';
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+/**
+ * Create the default in-memory counter store. Counters belong to one server instance, so on
+ * serverless hosts each warm instance counts separately; use setRateLimitStore() with a shared
+ * store (Redis, Vercel KV, ...) for exact limits.
+ *
+ * A store has two methods, which may return promises:
+ * - get(key) → current value (0 if unset or expired)
+ * - increment(key, amount, ttlMs) → value after adding amount (may be negative); a new key expires after ttlMs
+ * @returns {{get: Function, increment: Function}}
+ */
+export function createMemoryStore() {
+  const counters = new Map();
+  let nextSweep = Date.now() + MINUTE_MS;
+  // Keys carry their window start, so a passed window is never read again; drop them in bulk
+  const sweep = () => {
+    const now = Date.now();
+    if (now < nextSweep) return;
+    nextSweep = now + MINUTE_MS;
+    counters.forEach((entry, key) => {
+      if (entry.expiresAt <= now) {
+        counters.delete(key);
+      }
+    });
+  };
+  const read = (key) => {
+    const entry = counters.get(key);
+    if (entry && entry.expiresAt <= Date.now()) {
+      counters.delete(key);
+      return null;
+    }
+    return entry;
+  };
+
+  return {
+    get(key) {
+      return read(key)?.value || 0;
+    },
+    increment(key, amount, ttlMs) {
+      sweep();
+      const entry = read(key) || { value: 0, expiresAt: Date.now() + ttlMs };
+      entry.value += amount;
+      counters.set(key, entry);
+      return entry.value;
+    }
+  };
+}
+
+let store = createMemoryStore();
+
+/**
+ * Replace the counter store
+ * @param {{get: Function, increment: Function}} customStore - Store with the createMemoryStore() interface
+ */
+export function setRateLimitStore(customStore) {
+  store = customStore;
+}
+
+/**
+ * Identify who a request counts against: the access token, or a hash of the API key
+ * (raw keys are never used as store keys)
+ * @param {{apiKey: string, tokenRecord?: object}} auth - Result of resolveApiKey()
+ * @returns {string}
+ */
+export function getRateLimitIdentity({ apiKey, tokenRecord }) {
+  if (tokenRecord) {
+    return `token:${tokenRecord.id}`;
+  }
+  return `key:${crypto.createHash('sha256').update(apiKey).digest('hex').slice(0, 16)}`;
+}
+
+/**
+ * Current fixed windows: the minute and the UTC day containing now
+ * @returns {{minuteStart: number, dayStart: number}}
+ */
+function getWindows() {
+  const now = Date.now();
+  return {
+    minuteStart: Math.floor(now / MINUTE_MS) * MINUTE_MS,
+    dayStart: Math.floor(now / DAY_MS) * DAY_MS
+  };
+}
+
+/**
+ * Describe one limit for API responses
+ * @param {number} limit - Configured limit (0 means unlimited)
+ * @param {number} used - Amount used in the window
+ * @param {number} resetsAt - End of the window (ms)
+ * @returns {{limit: number|null, used: number, remaining: number|null, resets_at: string}}
+ */
+function describeLimit(limit, used, resetsAt) {
+  return {
+    limit: limit > 0 ? limit : null,
+    used,
+    remaining: limit > 0 ? Math.max(0, limit - used) : null,
+    resets_at: new Date(resetsAt).toISOString()
+  };
+}
+
+/**
+ * Current usage for an identity
+ * @param {string} identity - From getRateLimitIdentity()
+ * @returns {Promise<{requests_per_minute: object, characters_per_day: object}>}
+ */
+export async function getUsage(identity) {
+  const { requestsPerMinute, charactersPerDay } = CONFIG.rateLimit;
+  const { minuteStart, dayStart } = getWindows();
+  const [requests, characters] = await Promise.all([
+    store.get(`${identity}:rpm:${minuteStart}`),
+    store.get(`${identity}:cpd:${dayStart}`)
+  ]);
+  return {
+    requests_per_minute: describeLimit(requestsPerMinute, requests, minuteStart + MINUTE_MS),
+    characters_per_day: describeLimit(charactersPerDay, characters, dayStart + DAY_MS)
+  };
+}
+
+/**
+ * Count a request against the limits, or refuse it. Counters are incremented first and rolled
+ * back when over the limit, so concurrent requests can't both take the last slot.
+ * @param {string} identity - From getRateLimitIdentity()
+ * @param {{requests: number, characters: number}} cost - Gemini calls and characters the request needs
+ * @returns {Promise<{allowed: boolean, usage: object, limit?: string, retryDelay?: number, error?: string}>}
+ */
+export async function consumeRateLimit(identity, { requests, characters }) {
+  const { enabled, requestsPerMinute, charactersPerDay } = CONFIG.rateLimit;
+  if (!enabled) {
+    return { allowed: true, usage: await getUsage(identity) };
+  }
+
+  const { minuteStart, dayStart } = getWindows();
+  const requestKey = `${identity}:rpm:${minuteStart}`;
+  const characterKey = `${identity}:cpd:${dayStart}`;
+  const secondsUntil = (time) => Math.max(1, Math.ceil((time - Date.now()) / 1000));
+
+  // A request needing more calls than a whole minute allows may still run in an empty window
+  const requestCount = await store.increment(requestKey, requests, MINUTE_MS);
+  if (requestsPerMinute > 0 && requestCount > requestsPerMinute && requestCount > requests) {
+    await store.increment(requestKey, -requests, MINUTE_MS);
+    return {
+      allowed: false,
+      limit: 'requests_per_minute',
+      retryDelay: secondsUntil(minuteStart + MINUTE_MS),
+      error: `Rate limit reached: ${requestsPerMinute} Gemini requests per minute for this ${identity.startsWith('token:') ? 'access token' : 'API key'}.`,
+      usage: await getUsage(identity)
+    };
+  }
+
+  const characterCount = await store.increment(characterKey, characters, DAY_MS);
+  if (charactersPerDay > 0 && characterCount > charactersPerDay) {
+    await Promise.all([
+      store.increment(requestKey, -requests, MINUTE_MS),
+      store.increment(characterKey, -characters, DAY_MS)
+    ]);
+    const remaining = Math.max(0, charactersPerDay - (characterCount - characters));
+    return {
+      allowed: false,
+      limit: 'characters_per_day',
+      retryDelay: secondsUntil(dayStart + DAY_MS),
+      error: `Daily character limit reached: this request needs ${characters.toLocaleString('en-US')} characters but only ${remaining.toLocaleString('en-US')} of ${charactersPerDay.toLocaleString('en-US')} are left today (resets at midnight UTC).`,
+      usage: await getUsage(identity)
+    };
+  }
+
+  return { allowed: true, usage: await getUsage(identity) };
+}
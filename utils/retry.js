@@ -0,0 +1,135 @@
+/**
+ * Retries
+ * Retries transient Gemini failures (quota, 500/502/503/504, network errors) with exponential
+ * backoff and jitter, waiting at least as long as Gemini's suggested retry delay.
+ * Authentication and invalid-input errors are never retried.
+ */
+
+import { CONFIG } from '../config.js';
+
+const TRANSIENT_STATUSES = [429, 500, 502, 503, 504];
+
+/**
+ * HTTP status of a failed Gemini call, from the SDK error or its "[503 Service Unavailable]" message
+ * @param {Error} error - Error thrown by the Gemini SDK
+ * @returns {number|null}
+ */
+export function getErrorStatus(error) {
+  if (typeof error.status === 'number') {
+    return error.status;
+  }
+  const match = (error.message || '').match(/\[(\d{3})\b/);
+  return match ? Number(match[1]) : null;
+}
+
+/**
+ * Delay Gemini asked for, from "retry in 37.2s" in the message or RetryInfo in the error details
+ * @param {Error} error - Error thrown by the Gemini SDK
+ * @returns {number|null} Whole seconds, or null if Gemini didn't say
+ */
+export function getSuggestedRetryDelay(error) {
+  const match = (error.message || '').match(/retry in (\d+(?:\.\d+)?)s/i);
+  if (match) {
+    return Math.ceil(parseFloat(match[1]));
+  }
+  const retryInfo = Array.isArray(error.errorDetails)
+    ? error.errorDetails.find(detail => typeof detail?.retryDelay === 'string')
+    : null;
+  return retryInfo ? Math.ceil(parseFloat(retryInfo.retryDelay)) : null;
+}
+
+/**
+ * Whether a failed Gemini call is worth retrying
+ * @param {Error} error - Error thrown while generating speech
+ * @returns {boolean}
+ */
+export function isTransientError(error) {
+  // no_audio_data / audio_decode_failed come from a response Gemini did send
+  if (error.errorType) {
+    return false;
+  }
+  const status = getErrorStatus(error);
+  if (status) {
+    return TRANSIENT_STATUSES.includes(status);
+  }
+  return /quota|rate limit|overloaded|unavailable|fetch failed|econnreset|etimedout|socket hang up/i.test(error.message || '');
+}
+
+/**
+ * Wait before the next attempt: exponential backoff with ±jitter, but never less than Gemini's retry delay
+ * @param {number} attempt - Attempt that just failed (1-based)
+ * @param {Error} error - Its error
+ * @param {object} [policy] - CONFIG.retry
+ * @returns {number} Milliseconds
+ */
+export function getRetryDelayMs(attempt, error, policy = CONFIG.retry) {
+  const backoff = Math.min(policy.maxDelayMs, policy.baseDelayMs * 2 ** (attempt - 1));
+  const jittered = Math.min(policy.maxDelayMs, backoff * (1 - policy.jitter + Math.random() * policy.jitter * 2));
+  const suggested = (getSuggestedRetryDelay(error) || 0) * 1000;
+  return Math.round(Math.max(jittered, suggested));
+}
+
+/**
+ * Throw if the client has gone away, so no more Gemini calls are made for it
+ * @param {AbortSignal} [signal] - Aborted when the request is cancelled
+ * @throws {Error} errorType 'cancelled'
+ */
+export function throwIfCancelled(signal) {
+  if (signal?.aborted) {
+    const error = new Error('Request cancelled by the client');
+    error.errorType = 'cancelled';
+    throw error;
+  }
+}
+
+/**
+ * Wait, ending early when the signal aborts
+ * @param {number} ms - Milliseconds
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<void>}
+ */
+function sleep(ms, signal) {
+  return new Promise(resolve => {
+    const timer = setTimeout(done, ms);
+    function done() {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', done);
+      resolve();
+    }
+    signal?.addEventListener('abort', done);
+  });
+}
+
+/**
+ * Run a Gemini call, retrying transient failures. The final error carries `attempts`.
+ * @param {Function} operation - Called with the attempt number; returns a promise
+ * @param {object} [options]
+ * @param {object} [options.policy] - { maxAttempts, baseDelayMs, maxDelayMs, jitter }, defaults to CONFIG.retry
+ * @param {Function} [options.canRetry] - Return false to give up on an error that would otherwise be retried
+ * @param {Function} [options.onRetry] - Called with { attempt, maxAttempts, delayMs, error } before waiting
+ * @param {AbortSignal} [options.signal] - Stops the backoff and any further attempt when aborted
+ * @returns {Promise<*>} The operation's result
+ * @throws {Error} errorType 'cancelled' once the signal has aborted
+ */
+export async function withRetry(operation, { policy = CONFIG.retry, canRetry = () => true, onRetry = () => {}, signal } = {}) {
+  for (let attempt = 1; ; attempt++) {
+    throwIfCancelled(signal);
+    try {
+      return await operation(attempt);
+    } catch (error) {
+      // An aborted call fails with whatever the SDK makes of it; report it as the cancellation
+      throwIfCancelled(signal);
+      error.attempts = attempt;
+      if (attempt >= policy.maxAttempts || !isTransientError(error) || !canRetry(error)) {
+        throw error;
+      }
+      // Gemini asked for a longer wait than we're willing to hold the request open for
+      if ((getSuggestedRetryDelay(error) || 0) * 1000 > policy.maxDelayMs) {
+        throw error;
+      }
+      const delayMs = getRetryDelayMs(attempt, error, policy);
+      await onRetry({ attempt: attempt + 1, maxAttempts: policy.maxAttempts, delayMs, error });
+      await sleep(delayMs, signal);
+    }
+  }
+}
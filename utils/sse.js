@@ -0,0 +1,28 @@
+/**
+ * Server-Sent Events helpers
+ * Used by endpoints that report progress while a long request runs
+ */
+
+/**
+ * Switch the response into an event stream
+ * @param {object} res - Vercel/Node response
+ */
+export function startEventStream(res) {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders?.();
+}
+
+/**
+ * Write one named event with a JSON payload
+ * @param {object} res - Response already switched with startEventStream
+ * @param {string} event - Event name
+ * @param {object} data - JSON-serializable payload
+ */
+export function sendEvent(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
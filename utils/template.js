@@ -0,0 +1,87 @@
+/**
+ * Template Variables
+ * Fills {{variable}} placeholders in scripts with values sent in the request
+ */
+
+import { CONFIG } from '../config.js';
+
+// {{ name }} with optional spaces inside the braces; a leading backslash keeps the braces literal
+const VARIABLE_REGEX = /(\\?)\{\{([^{}]*)\}\}/g;
+const NAME_REGEX = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+/**
+ * Validate template values from a request
+ * @param {*} variables - variables object from the request
+ * @returns {Object<string, string>} Values with whitespace tidied
+ * @throws {Error} Describing the first invalid variable
+ */
+export function validateTemplateValues(variables) {
+  const { maxVariables, maxValueLength, builtIn } = CONFIG.templates;
+  if (!variables || typeof variables !== 'object' || Array.isArray(variables)) {
+    throw new Error('Invalid variables: must be an object of name to value');
+  }
+  const entries = Object.entries(variables);
+  if (entries.length > maxVariables) {
+    throw new Error(`Too many template variables (max ${maxVariables})`);
+  }
+
+  const values = {};
+  for (const [name, value] of entries) {
+    if (!NAME_REGEX.test(name)) {
+      throw new Error(`Invalid template variable name "${name}": use letters, digits and underscores`);
+    }
+    if (builtIn.includes(name)) {
+      throw new Error(`{{${name}}} is filled in automatically and cannot be set`);
+    }
+    if (typeof value !== 'string' && typeof value !== 'number') {
+      throw new Error(`Template variable "${name}" must be text`);
+    }
+    const text = String(value).replace(/\s+/g, ' ').trim();
+    if (text.length > maxValueLength) {
+      throw new Error(`Template variable "${name}" is too long (max ${maxValueLength} characters)`);
+    }
+    values[name] = text;
+  }
+  return values;
+}
+
+/**
+ * Escape a value so markup parsing reads it as plain text
+ * @param {string} value - Variable value
+ * @returns {string} Escaped value
+ */
+function escapeMarkup(value) {
+  return value.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * Fill the {{variables}} in a script. Values are inserted in a single pass, so a value
+ * containing {{...}} is spoken as written rather than expanded again.
+ * @param {string} text - Script text
+ * @param {Object<string, string>} values - Variable values
+ * @param {object} [options]
+ * @param {boolean} [options.markup] - Escape values for markup mode
+ * @returns {{text: string, missing: string[], invalid: string[]}} Filled text, names with no
+ *   (or an empty) value, and placeholders that are not valid variable names
+ */
+export function renderTemplate(text, values, { markup = false } = {}) {
+  const missing = new Set();
+  const invalid = new Set();
+  const rendered = text.replace(VARIABLE_REGEX, (match, escape, inner) => {
+    if (escape) {
+      return match.slice(1);
+    }
+    const name = inner.trim();
+    if (!NAME_REGEX.test(name)) {
+      invalid.add(match);
+      return match;
+    }
+    const value = values[name];
+    if (!value) {
+      missing.add(name);
+      return match;
+    }
+    return markup ? escapeMarkup(value) : value;
+  });
+  return { text: rendered, missing: [...missing], invalid: [...invalid] };
+}
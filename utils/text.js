@@ -0,0 +1,165 @@
+/**
+ * Text Utilities
+ * Splits long scripts into chunks Gemini can voice in one call, and parses dialogue scripts
+ */
+
+const sentenceSegmenter = new Intl.Segmenter('en', { granularity: 'sentence' });
+
+/**
+ * Split a paragraph into sentences
+ * @param {string} paragraph - Paragraph text
+ * @returns {string[]} Trimmed sentences
+ */
+export function splitSentences(paragraph) {
+  return Array.from(sentenceSegmenter.segment(paragraph), s => s.segment.trim()).filter(Boolean);
+}
+
+/**
+ * Break a piece of text that is still too long at word boundaries
+ * (or mid-word as a last resort)
+ * @param {string} text - Text longer than maxChars
+ * @param {number} maxChars - Maximum characters per piece
+ * @returns {string[]} Pieces no longer than maxChars
+ */
+function splitAtWords(text, maxChars) {
+  const pieces = [];
+  let current = '';
+
+  for (const word of text.split(/\s+/).filter(Boolean)) {
+    if (word.length > maxChars) {
+      if (current) {
+        pieces.push(current);
+        current = '';
+      }
+      for (let i = 0; i < word.length; i += maxChars) {
+        pieces.push(word.slice(i, i + maxChars));
+      }
+      continue;
+    }
+    if (current && current.length + 1 + word.length > maxChars) {
+      pieces.push(current);
+      current = word;
+    } else {
+      current = current ? `${current} ${word}` : word;
+    }
+  }
+
+  if (current) {
+    pieces.push(current);
+  }
+  return pieces;
+}
+
+/**
+ * Split text into chunks of at most maxChars, preferring paragraph
+ * boundaries, then sentence boundaries, then word boundaries
+ * @param {string} text - Text to split
+ * @param {number} maxChars - Maximum characters per chunk
+ * @returns {string[]} Chunks in reading order
+ */
+export function splitTextIntoChunks(text, maxChars) {
+  if (typeof maxChars !== 'number' || maxChars <= 0) {
+    throw new Error(`Invalid maxChars: must be a positive number, got ${maxChars}`);
+  }
+
+  // Units are pieces that must not be split further, tagged with the separator that precedes them
+  const units = [];
+  const paragraphs = text.split(/\n\s*\n/).map(p => p.trim()).filter(Boolean);
+  paragraphs.forEach((paragraph, paragraphIndex) => {
+    const separator = paragraphIndex === 0 ? '' : '\n\n';
+    if (paragraph.length <= maxChars) {
+      units.push({ text: paragraph, separator });
+      return;
+    }
+    splitSentences(paragraph).forEach((sentence, sentenceIndex) => {
+      const sentenceSeparator = sentenceIndex === 0 ? separator : ' ';
+      const pieces = sentence.length <= maxChars ? [sentence] : splitAtWords(sentence, maxChars);
+      pieces.forEach((piece, pieceIndex) => {
+        units.push({ text: piece, separator: pieceIndex === 0 ? sentenceSeparator : ' ' });
+      });
+    });
+  });
+
+  // Greedily pack units into chunks
+  const chunks = [];
+  let current = '';
+  for (const unit of units) {
+    if (current && current.length + unit.separator.length + unit.text.length > maxChars) {
+      chunks.push(current);
+      current = unit.text;
+    } else {
+      current = current ? current + unit.separator + unit.text : unit.text;
+    }
+  }
+  if (current) {
+    chunks.push(current);
+  }
+
+  return chunks;
+}
+
+// "Label: line" where the label is a short name (letters, digits, spaces, . ' _ -)
+const SPEAKER_LINE = /^\s*([^:]{1,40}?)\s*:\s*(.*)$/u;
+
+/**
+ * Parse a dialogue script into speaker turns.
+ * Only the given speaker labels start a turn, so lines such as "Note: please hold" continue the
+ * previous one; text before the first label is rejected.
+ * @param {string} text - Script with lines like "Agent: Hello"
+ * @param {string[]} labels - Speaker labels mapped to voices
+ * @returns {Array<{speaker: string, text: string}>} Turns in order
+ * @throws {Error} When the script does not start with a speaker label
+ */
+export function parseDialogue(text, labels) {
+  const turns = [];
+  for (const line of text.split(/\r?\n/)) {
+    if (!line.trim()) {
+      continue;
+    }
+    const match = line.match(SPEAKER_LINE);
+    if (match && labels.includes(match[1])) {
+      turns.push({ speaker: match[1], text: match[2].trim() });
+    } else if (turns.length > 0) {
+      const turn = turns[turns.length - 1];
+      turn.text = turn.text ? `${turn.text} ${line.trim()}` : line.trim();
+    } else {
+      throw new Error(`Dialogue scripts must start with a speaker label: ${labels.map(label => `"${label}:"`).join(' or ')}`);
+    }
+  }
+  return turns.filter(turn => turn.text);
+}
+
+/**
+ * Split dialogue turns into chunks of at most maxChars, keeping whole turns together
+ * where possible and repeating the speaker label when a turn has to be split
+ * @param {Array<{speaker: string, text: string}>} turns - Turns from parseDialogue
+ * @param {number} maxChars - Maximum characters per chunk
+ * @returns {string[]} Chunks of "Speaker: line" lines
+ */
+export function splitDialogueIntoChunks(turns, maxChars) {
+  const lines = [];
+  for (const { speaker, text } of turns) {
+    const prefix = `${speaker}: `;
+    const line = prefix + text;
+    if (line.length <= maxChars) {
+      lines.push(line);
+    } else {
+      splitTextIntoChunks(text, maxChars - prefix.length).forEach(piece => lines.push(prefix + piece));
+    }
+  }
+
+  const chunks = [];
+  let current = '';
+  for (const line of lines) {
+    if (current && current.length + 1 + line.length > maxChars) {
+      chunks.push(current);
+      current = line;
+    } else {
+      current = current ? `${current}\n${line}` : line;
+    }
+  }
+  if (current) {
+    chunks.push(current);
+  }
+  return chunks;
+}
@@ -0,0 +1,76 @@
+/**
+ * TTS Model Catalogue
+ * The TTS models offered in the UI: CONFIG.ttsModels, plus (optionally) models discovered
+ * from Gemini's model list that the config doesn't describe yet.
+ */
+
+import { CONFIG } from '../config.js';
+import { serverLogger } from './logger.js';
+
+const MODELS_URL = 'https://generativelanguage.googleapis.com/v1beta/models';
+const MAX_PAGES = 5;
+
+let discoveryCache = null; // { models, expiresAt }
+
+/**
+ * List the TTS models Gemini offers for a key
+ * @param {string} apiKey - Gemini API key
+ * @returns {Promise<Array<object>>} Catalogue entries built from Gemini's model metadata
+ * @throws {Error} If the model list can't be fetched
+ */
+async function fetchGeminiTtsModels(apiKey) {
+  const models = [];
+  let pageToken = '';
+  for (let page = 0; page < MAX_PAGES; page++) {
+    const url = `${MODELS_URL}?pageSize=1000${pageToken ? `&pageToken=${encodeURIComponent(pageToken)}` : ''}`;
+    const response = await fetch(url, { headers: { 'x-goog-api-key': apiKey } });
+    if (!response.ok) {
+      throw new Error(`Gemini model list returned ${response.status}`);
+    }
+    const data = await response.json();
+    models.push(...(data.models || []));
+    pageToken = data.nextPageToken;
+    if (!pageToken) break;
+  }
+
+  return models
+    .filter(model => /-tts\b/.test(model.name || '') && model.supportedGenerationMethods?.includes('generateContent'))
+    .map(model => ({
+      id: model.name.replace(/^models\//, ''),
+      title: model.displayName || model.name.replace(/^models\//, ''),
+      description: model.description || '',
+      status: 'discovered',
+      multiSpeaker: null,
+      maxSpeakers: null,
+      languages: [],
+      inputTokenLimit: model.inputTokenLimit || null,
+      pricing: null
+    }));
+}
+
+/**
+ * Build the catalogue for /api/models. Discovery failures are logged and the configured
+ * models are returned on their own.
+ * @returns {Promise<Array<object>>} Configured models first, then discovered ones
+ */
+export async function getTtsModelCatalogue() {
+  const configured = CONFIG.ttsModels;
+  const apiKey = process.env.GEMINI_API_KEY;
+  if (!CONFIG.ttsModelDiscovery.enabled || !apiKey) {
+    return configured;
+  }
+
+  if (!discoveryCache || discoveryCache.expiresAt <= Date.now()) {
+    try {
+      const models = await fetchGeminiTtsModels(apiKey);
+      discoveryCache = { models, expiresAt: Date.now() + CONFIG.ttsModelDiscovery.cacheSeconds * 1000 };
+      serverLogger.debug('TTS models discovered from Gemini', { model_ids: models.map(model => model.id) });
+    } catch (error) {
+      serverLogger.warn('TTS model discovery failed, using the configured catalogue', { error_message: error.message });
+      return configured;
+    }
+  }
+
+  const knownIds = new Set(configured.map(model => model.id));
+  return [...configured, ...discoveryCache.models.filter(model => !knownIds.has(model.id))];
+}